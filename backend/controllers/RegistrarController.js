@@ -66,16 +66,22 @@ class RegistrarController {
         });
       }
 
-      const result = await blockchain.contract.removeRegistrar(address);
-      const receipt = await result.wait();
+      const result = await blockchain.removeRegistrar(address);
+
+      if (!result.success) {
+        return res.status(500).json({
+          error: 'Failed to remove registrar',
+          message: result.error
+        });
+      }
 
       res.json({
         success: true,
         message: 'Registrar removed successfully',
         data: {
           registrarAddress: address,
-          transactionHash: result.hash,
-          blockNumber: receipt.blockNumber
+          transactionHash: result.transactionHash,
+          blockNumber: result.blockNumber
         }
       });
 
@@ -133,10 +139,9 @@ class RegistrarController {
         });
       }
 
-      const [institutionName, isActive, documentsIssued, dateAdded] = 
-        await blockchain.contract.getRegistrarInfo(address);
+      const registrar = await blockchain.getRegistrarInfo(address);
 
-      if (!isActive && institutionName === '') {
+      if (!registrar) {
         return res.status(404).json({
           error: 'Registrar not found'
         });
@@ -144,13 +149,7 @@ class RegistrarController {
 
       res.json({
         success: true,
-        registrar: {
-          address,
-          institutionName,
-          isActive,
-          documentsIssued: documentsIssued.toString(),
-          dateAdded: new Date(Number(dateAdded) * 1000).toISOString()
-        }
+        registrar
       });
 
     } catch (error) {
@@ -168,18 +167,22 @@ class RegistrarController {
   static async listAllRegistrars(req, res) {
     try {
       const blockchain = req.app.locals.blockchain;
-      
-      // Note: This is a simplified implementation
-      // In a real scenario, you'd want to emit events and track registrars
-      // or implement additional contract functions
-      
-      const stats = await blockchain.getContractStats();
-      
+
+      const addresses = await blockchain.getRegistrarList();
+      const registrars = [];
+
+      for (const address of addresses) {
+        const info = await blockchain.getRegistrarInfo(address);
+        if (info) {
+          registrars.push(info);
+        }
+      }
+
       res.json({
         success: true,
-        message: 'Use blockchain events or additional contract methods to get full registrar list',
-        totalRegistrars: stats.totalRegistrars,
-        suggestion: 'Implement getRegistrarList() function in smart contract for complete list'
+        totalRegistrars: registrars.length,
+        activeRegistrars: registrars.filter(registrar => registrar.isActive).length,
+        registrars
       });
 
     } catch (error) {
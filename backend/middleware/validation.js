@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const { ethers } = require('ethers');
+const VerifierApiKeyService = require('../services/VerifierApiKeyService');
 
 /**
  * Authenticate registrar using JWT token
@@ -69,19 +70,36 @@ const authenticateOwner = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    
-    // Check if the address is the contract owner
+    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key-change-in-production');
+
     const blockchain = req.app.locals.blockchain;
-    const stats = await blockchain.getContractStats();
+    if (!blockchain || !blockchain.initialized) {
+      return res.status(503).json({
+        error: 'Blockchain service not available'
+      });
+    }
+
+    // Wallet logins carry the address; admin/registrar logins use the wallet connected to their
+    // account, but only one proven by a signed connect-wallet challenge
+    let address = decoded.address;
+    if (!address && decoded.id && (decoded.type === 'admin' || decoded.type === 'registrar')) {
+      const result = await req.app.locals.db.query(
+        'SELECT wallet_address FROM registrars WHERE id = $1 AND wallet_verified_at IS NOT NULL',
+        [decoded.id]
+      );
+      address = result.rows[0]?.wallet_address;
+    }
+
+    // Check if the address is the contract owner
+    const owner = await blockchain.getOwner();
     
-    if (decoded.address.toLowerCase() !== stats.contractOwner.toLowerCase()) {
+    if (!address || !owner || address.toLowerCase() !== owner.toLowerCase()) {
       return res.status(403).json({
         error: 'Access denied. Owner privileges required.'
       });
     }
 
-    req.owner = decoded;
+    req.owner = { ...decoded, address };
     next();
 
   } catch (error) {
@@ -225,6 +243,85 @@ const createRateLimiter = (windowMs, maxRequests) => {
   };
 };
 
+/**
+ * Verifier API key middleware. Requests with an X-API-Key header must carry
+ * a valid key with the given scope and quota left; the key is counted once
+ * per request unless countUsage is false (the route counts it itself).
+ * Requests without a key go through anonymousLimiter, or are refused when
+ * there is none.
+ */
+const createVerifierAccess = (scope, { anonymousLimiter = null, countUsage = true } = {}) => {
+  return async (req, res, next) => {
+    const apiKey = req.header('X-API-Key');
+
+    if (!apiKey) {
+      if (!anonymousLimiter) {
+        return res.status(401).json({
+          error: 'API key required',
+          message: 'Send a verifier API key in the X-API-Key header'
+        });
+      }
+
+      return anonymousLimiter(req, res, next);
+    }
+
+    try {
+      const db = req.app.locals.db;
+      const auth = await VerifierApiKeyService.authenticate(db, apiKey);
+
+      if (auth.error) {
+        return res.status(auth.statusCode).json({ error: auth.error });
+      }
+
+      if (!auth.key.scopes.includes(scope)) {
+        return res.status(403).json({
+          error: `API key does not have the '${scope}' scope`
+        });
+      }
+
+      req.apiKey = auth.key;
+      req.verifierOrganization = auth.organization;
+
+      if (countUsage) {
+        const quota = await VerifierApiKeyService.consumeQuota(db, auth.key, scope);
+        if (!setQuotaHeaders(res, quota)) {
+          return;
+        }
+      }
+
+      next();
+    } catch (error) {
+      console.error('API key check error:', error);
+      res.status(500).json({ error: 'Failed to check API key' });
+    }
+  };
+};
+
+/**
+ * Set X-RateLimit-* headers from a quota check, answering 429 when it was refused
+ * @returns {boolean} - Whether the request may go on
+ */
+const setQuotaHeaders = (res, quota) => {
+  if (quota.daily.limit !== null) {
+    res.set('X-RateLimit-Limit', String(quota.daily.limit));
+    res.set('X-RateLimit-Remaining', String(Math.max(0, quota.daily.limit - quota.daily.used)));
+    res.set('X-RateLimit-Reset', String(VerifierApiKeyService.getSecondsUntilReset('daily')));
+  }
+
+  if (quota.allowed) {
+    return true;
+  }
+
+  res.set('Retry-After', String(VerifierApiKeyService.getSecondsUntilReset(quota.exceeded)));
+  res.status(429).json({
+    error: 'API key quota exceeded',
+    message: `The ${quota.exceeded} quota of ${quota[quota.exceeded].limit} requests has been used`,
+    quota: { daily: quota.daily, monthly: quota.monthly }
+  });
+
+  return false;
+};
+
 /**
  * Error handling middleware
  */
@@ -311,6 +408,8 @@ module.exports = {
   validateDocument,
   validateVerificationRequest,
   createRateLimiter,
+  createVerifierAccess,
+  setQuotaHeaders,
   errorHandler,
   requestLogger,
   corsOptions
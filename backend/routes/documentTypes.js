@@ -0,0 +1,90 @@
+// routes/documentTypes.js - Document types and their validity periods
+const express = require('express');
+const router = express.Router();
+const jwt = require('jsonwebtoken');
+const DocumentTypeService = require('../services/DocumentTypeService');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+
+// Middleware to verify JWT token
+function authenticateToken(req, res, next) {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token) {
+        return res.status(401).json({
+            success: false,
+            error: 'Authentication required'
+        });
+    }
+
+    jwt.verify(token, JWT_SECRET, (err, user) => {
+        if (err) {
+            return res.status(403).json({
+                success: false,
+                error: 'Invalid or expired token'
+            });
+        }
+
+        req.user = user;
+        next();
+    });
+}
+
+// Middleware to verify registrar (admin portal logins are registrar accounts too)
+function requireRegistrar(req, res, next) {
+    if (req.user.type !== 'registrar' && req.user.type !== 'admin') {
+        return res.status(403).json({
+            success: false,
+            error: 'Access denied. Registrar privileges required.'
+        });
+    }
+    next();
+}
+
+// GET /api/document-types - All document types with their validity periods
+router.get('/', async (req, res) => {
+    try {
+        const types = await DocumentTypeService.listTypes(req.app.locals.db);
+
+        res.json({
+            success: true,
+            documentTypes: types
+        });
+
+    } catch (error) {
+        console.error('Error listing document types:', error);
+        res.status(500).json({ success: false, error: 'Failed to list document types' });
+    }
+});
+
+// PUT /api/document-types/:code - Create a document type or change its validity (applies to documents issued afterwards)
+router.put('/:code', authenticateToken, requireRegistrar, async (req, res) => {
+    try {
+        const { name, validityKind, validityMonths } = req.body;
+        const code = req.params.code.toUpperCase();
+
+        const existing = await DocumentTypeService.getType(req.app.locals.db, code);
+        if (!existing && !name) {
+            return res.status(400).json({ success: false, error: 'name is required for a new document type' });
+        }
+
+        let documentType;
+        try {
+            documentType = await DocumentTypeService.saveType(req.app.locals.db, code, { name, validityKind, validityMonths });
+        } catch (validationError) {
+            return res.status(400).json({ success: false, error: validationError.message });
+        }
+
+        res.json({
+            success: true,
+            documentType
+        });
+
+    } catch (error) {
+        console.error('Error saving document type:', error);
+        res.status(500).json({ success: false, error: 'Failed to save document type' });
+    }
+});
+
+module.exports = router;
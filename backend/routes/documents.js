@@ -5,13 +5,25 @@ const multer = require('multer');
 const fs = require('fs').promises;
 const path = require('path');
 const QRCode = require('qrcode');
-const { PDFDocument, rgb, StandardFonts, degrees } = require('pdf-lib');
+const { PDFDocument, rgb, StandardFonts } = require('pdf-lib');
 const sharp = require('sharp');
 const { ethers } = require('ethers');
 const mammoth = require('mammoth');
 const { exec } = require('child_process');
 const util = require('util');
 const execPromise = util.promisify(exec);
+const jwt = require('jsonwebtoken');
+const AnchorQueueService = require('../services/AnchorQueueService');
+const IssuanceSignatureService = require('../services/IssuanceSignatureService');
+const DocumentVersionService = require('../services/DocumentVersionService');
+const DocumentAccessService = require('../services/DocumentAccessService');
+const DocumentTypeService = require('../services/DocumentTypeService');
+const ContentFingerprintService = require('../services/ContentFingerprintService');
+const PerceptualHashService = require('../services/PerceptualHashService');
+const PDFMetadataService = require('../services/PDFMetadataService');
+const { ANCHOR_BACKENDS } = require('../services/AnchorBackendService');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
 
 
 // Configure multer for file uploads
@@ -20,6 +32,42 @@ const upload = multer({
     limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
 });
 
+// Middleware to verify JWT token
+function authenticateToken(req, res, next) {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+    
+    if (!token) {
+        return res.status(401).json({
+            success: false,
+            error: 'Authentication required'
+        });
+    }
+
+    jwt.verify(token, JWT_SECRET, (err, user) => {
+        if (err) {
+            return res.status(403).json({
+                success: false,
+                error: 'Invalid or expired token'
+            });
+        }
+        
+        req.user = user;
+        next();
+    });
+}
+
+// Middleware to verify registrar (admin portal logins are registrar accounts too)
+function requireRegistrar(req, res, next) {
+    if (req.user.type !== 'registrar' && req.user.type !== 'admin') {
+        return res.status(403).json({
+            success: false,
+            error: 'Access denied. Registrar privileges required.'
+        });
+    }
+    next();
+}
+
 
 
 // Watermark configuration
@@ -64,92 +112,141 @@ function calculateQRPosition(dimensions, qrDimensions, position, margin = 30) {
     }
 }
 
-// POST /api/documents/process - Updated for PostgreSQL
-router.post('/process', upload.single('document'), async (req, res) => {
-    try {
-        if (!req.file) {
-            return res.status(400).json({ error: 'No file uploaded' });
+// Store an upload as a new document: hash its metadata, embed the verification QR and insert the row
+async function createDocumentFromUpload(db, file, fields, lineage = {}, blockchain = null) {
+    const { student_name, student_id, program, document_type } = fields;
+    
+    const documentData = {
+        student_name,
+        student_id,
+        program,
+        document_type,
+        date_issued: new Date().toISOString(),
+        original_file_name: file.originalname,
+        // A reissue commits to the version it replaces
+        ...(lineage.supersedesHash && { supersedes: lineage.supersedesHash })
+    };
+
+    const document_hash = ethers.keccak256(
+        ethers.toUtf8Bytes(JSON.stringify(documentData))
+    );
+
+    // Time-bound document types (e.g. certificates of enrollment) expire
+    const documentType = await DocumentTypeService.getType(db, document_type);
+    const expiresAt = DocumentTypeService.computeExpiry(documentType, new Date(documentData.date_issued));
+
+    // Create verification URL
+    const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
+    const verificationUrl = `${baseUrl}/verify/${document_hash}`;
+
+    // Generate QR code
+    const qrCodeBuffer = await QRCode.toBuffer(verificationUrl, {
+        width: 200,
+        margin: 2,
+        color: {
+            dark: '#000000',
+            light: '#FFFFFF'
         }
+    });
 
-        const { student_name, student_id, program, document_type } = req.body;
-        
-        const documentData = {
-            student_name,
-            student_id,
-            program,
-            document_type,
-            date_issued: new Date().toISOString(),
-            original_file_name: req.file.originalname
-        };
+    // Issuance record written into the XMP metadata and document information of issued PDFs
+    const issuance = await PDFMetadataService.buildRecord(document_hash, blockchain);
 
-        const document_hash = ethers.keccak256(
-            ethers.toUtf8Bytes(JSON.stringify(documentData))
-        );
+    // Store original file
+    const originalStoragePath = path.join('uploads', 'originals', document_hash + path.extname(file.originalname));
+    await fs.mkdir(path.dirname(originalStoragePath), { recursive: true });
+    await fs.copyFile(file.path, originalStoragePath);
 
-        // Create verification URL
-        const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
-        const verificationUrl = `${baseUrl}/verify/${document_hash}`;
-
-        // Generate QR code
-        const qrCodeBuffer = await QRCode.toBuffer(verificationUrl, {
-            width: 200,
-            margin: 2,
-            color: {
-                dark: '#000000',
-                light: '#FFFFFF'
-            }
-        });
+    // Process document with QR
+    let processed_file_path;
+    if (file.mimetype === 'application/pdf') {
+        processed_file_path = await embedQRInPDF(file.path, qrCodeBuffer, document_hash, issuance);
+    } else if (file.mimetype.startsWith('image/')) {
+        processed_file_path = await embedQRInImage(file.path, qrCodeBuffer, document_hash);
+    } else if (file.originalname.endsWith('.docx')) {
+        processed_file_path = await createPDFFromWord(file.path, qrCodeBuffer, documentData, document_hash, issuance);
+    } else {
+        processed_file_path = await createCoverPagePDF(documentData, qrCodeBuffer, document_hash, issuance);
+    }
 
-        // Store original file
-        const originalStoragePath = path.join('uploads', 'originals', document_hash + path.extname(req.file.originalname));
-        await fs.mkdir(path.dirname(originalStoragePath), { recursive: true });
-        await fs.copyFile(req.file.path, originalStoragePath);
-
-        // Process document with QR
-        let processed_file_path;
-        if (req.file.mimetype === 'application/pdf') {
-            processed_file_path = await embedQRInPDF(req.file.path, qrCodeBuffer, document_hash);
-        } else if (req.file.mimetype.startsWith('image/')) {
-            processed_file_path = await embedQRInImage(req.file.path, qrCodeBuffer, document_hash);
-        } else if (req.file.originalname.endsWith('.docx')) {
-            processed_file_path = await createPDFFromWord(req.file.path, qrCodeBuffer, documentData, document_hash);
-        } else {
-            processed_file_path = await createCoverPagePDF(documentData, qrCodeBuffer, document_hash);
+    // Text fingerprints let a re-saved or printed copy be recognised later
+    const fingerprints = await ContentFingerprintService.fingerprintMissingVariants({
+        original_file_path: originalStoragePath,
+        processed_file_path
+    });
+
+    // Perceptual hashes do the same for image documents re-encoded by messaging apps
+    const perceptualHashes = await PerceptualHashService.hashMissingVariants({
+        original_file_path: originalStoragePath,
+        processed_file_path
+    });
+
+    // ✅ FIXED: PostgreSQL query with proper parameter syntax
+    await db.query(
+        `INSERT INTO documents 
+        (document_hash, student_name, student_id, program, document_type, date_issued, 
+         original_file_name, processed_file_path, original_file_path, watermarked_file_path,
+         version, supersedes_hash, expires_at,
+         content_fingerprint, processed_content_fingerprint, content_fingerprint_version,
+         content_perceptual_hash, processed_perceptual_hash, registrar_id) 
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)
+        RETURNING id`,
+        [
+            document_hash, 
+            student_name, 
+            student_id, 
+            program, 
+            document_type, 
+            documentData.date_issued, 
+            file.originalname, 
+            processed_file_path, 
+            originalStoragePath, 
+            null,
+            lineage.version || 1,
+            lineage.supersedesHash || null,
+            expiresAt,
+            fingerprints.content_fingerprint || null,
+            fingerprints.processed_content_fingerprint || null,
+            fingerprints.content_fingerprint_version || null,
+            perceptualHashes.content_perceptual_hash || null,
+            perceptualHashes.processed_perceptual_hash || null,
+            lineage.registrarId || null
+        ]
+    );
+
+    return {
+        document_hash,
+        processedFile: processed_file_path,
+        originalFile: originalStoragePath,
+        previewUrl: `/api/documents/preview/${path.basename(processed_file_path)}`,
+        downloadUrl: `/api/documents/download/${path.basename(processed_file_path)}`,
+        verificationUrl,
+        documentData,
+        expiresAt
+    };
+}
+
+// POST /api/documents/process - Updated for PostgreSQL
+router.post('/process', upload.single('document'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded' });
         }
 
-        // ✅ FIXED: PostgreSQL query with proper parameter syntax
-        const db = req.app.locals.db;
-        const insertResult = await db.query(
-            `INSERT INTO documents 
-            (document_hash, student_name, student_id, program, document_type, date_issued, 
-             original_file_name, processed_file_path, original_file_path, watermarked_file_path) 
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-            RETURNING id`,
-            [
-                document_hash, 
-                student_name, 
-                student_id, 
-                program, 
-                document_type, 
-                documentData.date_issued, 
-                req.file.originalname, 
-                processed_file_path, 
-                originalStoragePath, 
-                null
-            ]
-        );
+        const created = await createDocumentFromUpload(req.app.locals.db, req.file, req.body, {}, req.app.locals.blockchain);
 
         // Clean up temp file
         await fs.unlink(req.file.path);
 
         res.json({
             success: true,
-            document_hash,
-            processedFile: processed_file_path,
-            previewUrl: `/api/documents/preview/${path.basename(processed_file_path)}`,
-            downloadUrl: `/api/documents/download/${path.basename(processed_file_path)}`,
-            verificationUrl,
-            documentData
+            document_hash: created.document_hash,
+            processedFile: created.processedFile,
+            previewUrl: created.previewUrl,
+            downloadUrl: created.downloadUrl,
+            verificationUrl: created.verificationUrl,
+            documentData: created.documentData,
+            expiresAt: created.expiresAt
         });
 
     } catch (error) {
@@ -159,6 +256,139 @@ router.post('/process', upload.single('document'), async (req, res) => {
     }
 });
 
+// POST /api/documents/:hash/reissue - Issue a corrected version that supersedes an existing document
+router.post('/:hash/reissue', authenticateToken, requireRegistrar, upload.single('document'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+        
+        const db = req.app.locals.db;
+        const blockchain = req.app.locals.blockchain;
+        
+        const result = await db.query('SELECT * FROM documents WHERE document_hash = $1', [req.params.hash]);
+        const previous = result.rows[0];
+        
+        if (!previous) {
+            await fs.unlink(req.file.path).catch(() => {});
+            return res.status(404).json({ error: 'Document not found' });
+        }
+        
+        if (!(await DocumentAccessService.canManageDocument(db, previous, req.user.id))) {
+            await fs.unlink(req.file.path).catch(() => {});
+            return res.status(403).json({ error: 'Only the issuing registrar or a registrar of the issuing institution can reissue this document' });
+        }
+        
+        if (previous.superseded_by_hash) {
+            await fs.unlink(req.file.path).catch(() => {});
+            const current = await DocumentVersionService.getCurrentVersion(db, previous);
+            return res.status(409).json({
+                error: 'Document has already been reissued',
+                message: 'Reissue the current version instead',
+                currentVersion: DocumentVersionService.summarize(current)
+            });
+        }
+        
+        if (previous.revoked) {
+            await fs.unlink(req.file.path).catch(() => {});
+            return res.status(409).json({ error: 'Revoked documents cannot be reissued' });
+        }
+        
+        // A version registered on the contract must be superseded there as well. A batched version's
+        // own hash is not registered (only its batch root), so like log-anchored ones it is superseded in the database.
+        const chainAnchored = !previous.anchor_batch_id &&
+            previous.anchor_backend !== ANCHOR_BACKENDS.TRANSPARENCY_LOG &&
+            (previous.anchor_backend === ANCHOR_BACKENDS.BLOCKCHAIN || !!previous.blockchain_tx_hash);
+        const anchorQueue = req.app.locals.anchorQueue;
+        
+        if (chainAnchored && !anchorQueue) {
+            await fs.unlink(req.file.path).catch(() => {});
+            return res.status(503).json({ error: 'Blockchain service not available' });
+        }
+        
+        // The on-chain link is only written once the new version is anchored - until then the reissue is pending
+        const pendingResult = await db.query('SELECT * FROM documents WHERE supersedes_hash = $1', [previous.document_hash]);
+        if (pendingResult.rows[0]) {
+            await fs.unlink(req.file.path).catch(() => {});
+            return res.status(409).json({
+                error: 'Document already has a reissue waiting to be anchored',
+                message: 'Finalize the pending version instead',
+                pendingVersion: DocumentVersionService.summarize(pendingResult.rows[0])
+            });
+        }
+        
+        // Corrected fields replace the old ones, anything not sent is carried over
+        const fields = {
+            student_name: req.body.student_name || previous.student_name,
+            student_id: req.body.student_id || previous.student_id,
+            program: req.body.program || previous.program,
+            document_type: req.body.document_type || previous.document_type
+        };
+        
+        const created = await createDocumentFromUpload(db, req.file, fields, {
+            version: (previous.version || 1) + 1,
+            supersedesHash: previous.document_hash,
+            // The new version stays with the registrar who issued the old one
+            registrarId: previous.registrar_id
+        }, blockchain);
+        
+        await fs.unlink(req.file.path).catch(() => {});
+        
+        let supersedes;
+        
+        if (chainAnchored) {
+            // The old version keeps verifying until the queue supersedes it, after the new version's anchor lands
+            const job = await anchorQueue.enqueue(AnchorQueueService.JOB_TYPES.SUPERSEDE_DOCUMENT, previous.document_hash, {
+                newDocumentHash: created.document_hash,
+                reason: req.body.reason || null,
+                registrarId: req.user.id
+            });
+            
+            supersedes = {
+                ...DocumentVersionService.summarize(previous),
+                pending: true,
+                jobId: job.id,
+                statusUrl: `/api/documents/jobs/${job.id}`
+            };
+            
+            console.log(`Document ${previous.document_hash} will be superseded by ${created.document_hash} once it is anchored (job ${job.id})`);
+        } else {
+            const superseded = await DocumentVersionService.markSuperseded(db, previous.document_hash, created.document_hash, {
+                reason: req.body.reason,
+                registrarId: req.user.id
+            });
+            
+            supersedes = {
+                ...DocumentVersionService.summarize(superseded),
+                pending: false
+            };
+            
+            console.log(`Document ${previous.document_hash} superseded by ${created.document_hash} (version ${(previous.version || 1) + 1})`);
+        }
+        
+        res.json({
+            success: true,
+            document_hash: created.document_hash,
+            version: (previous.version || 1) + 1,
+            processedFile: created.processedFile,
+            previewUrl: created.previewUrl,
+            downloadUrl: created.downloadUrl,
+            verificationUrl: created.verificationUrl,
+            documentData: created.documentData,
+            expiresAt: created.expiresAt,
+            supersedes,
+            message: chainAnchored
+                ? 'Reissued document created - finalize it to anchor the new version; the old version is superseded on chain after that'
+                : 'Reissued document created - finalize it to anchor the new version'
+        });
+        
+    } catch (error) {
+        console.error('Error reissuing document:', error);
+        if (req.file) await fs.unlink(req.file.path).catch(() => {});
+        res.status(500).json({ error: 'Failed to reissue document', message: error.message });
+    }
+});
+
 // POST /api/documents/finalize - Updated for PostgreSQL
 router.post('/finalize', async (req, res) => {
     try {
@@ -171,84 +401,8 @@ router.post('/finalize', async (req, res) => {
             return res.status(400).json({ error: 'Document hash is required' });
         }
         
-        const blockchain = req.app.locals.blockchain;
         const db = req.app.locals.db;
         
-        if (!blockchain || !blockchain.initialized) {
-            console.log('Blockchain not available, simulating for testing...');
-            
-            // ✅ FIXED: PostgreSQL query
-            const result = await db.query('SELECT * FROM documents WHERE document_hash = $1', [document_hash]);
-            const document = result.rows[0];
-
-            if (!document) {
-                throw new Error('Document not found');
-            }
-            
-            console.log('Creating watermarked document (simulation mode)...');
-            
-            // Create watermarked version
-            let watermarked_file_path = null;
-            try {
-                const simulatedResult = {
-                    transactionHash: '0x' + Math.random().toString(16).substr(2, 64),
-                    blockNumber: Math.floor(Math.random() * 1000000)
-                };
-                
-                const watermarkData = {
-                    txHash: simulatedResult.transactionHash,
-                    block_number: simulatedResult.blockNumber,
-                    timestamp: new Date().toISOString(),
-                    verified: true
-                };
-                
-                watermarked_file_path = await createWatermarkedDocument(
-                    document.processed_file_path, 
-                    document_hash,
-                    watermarkData
-                );
-                
-                console.log('Watermarked file created at:', watermarked_file_path);
-                await fs.access(watermarked_file_path);
-                console.log('Watermarked file verified to exist');
-                
-            } catch (watermarkError) {
-                console.error('Watermarking failed:', watermarkError);
-                return res.status(500).json({ 
-                    error: 'Failed to create watermarked document',
-                    details: watermarkError.message 
-                });
-            }
-            
-            // ✅ FIXED: PostgreSQL update query
-            await db.query(
-                `UPDATE documents 
-                 SET blockchain_tx_hash = $1, block_number = $2, verified = true, watermarked_file_path = $3
-                 WHERE document_hash = $4`,
-                [simulatedResult.transactionHash, simulatedResult.blockNumber, watermarked_file_path, document_hash]
-            );
-            
-            console.log('Database updated with watermark path');
-            
-            // ✅ FIXED: PostgreSQL verification query
-            const verifyResult = await db.query(
-                'SELECT watermarked_file_path, verified FROM documents WHERE document_hash = $1', 
-                [document_hash]
-            );
-            const updatedDoc = verifyResult.rows[0];
-            
-            console.log('Verification - Updated document:', updatedDoc);
-            
-            return res.json({
-                success: true,
-                transactionHash: simulatedResult.transactionHash,
-                block_number: simulatedResult.blockNumber,
-                watermarkedFile: watermarked_file_path,
-                message: 'Document verified (simulation mode - blockchain not connected)',
-                verified: true
-            });
-        }
-        
         // ✅ FIXED: PostgreSQL query to get document
         const result = await db.query('SELECT * FROM documents WHERE document_hash = $1', [document_hash]);
         const document = result.rows[0];
@@ -263,17 +417,27 @@ router.post('/finalize', async (req, res) => {
             currentlyVerified: document.verified
         });
         
-        // Check if already verified
-        if (document.verified && document.blockchain_tx_hash && document.watermarked_file_path) {
+        // A superseded version must not be anchored again - the reissue replaces it
+        if (document.superseded_by_hash) {
+            return res.status(409).json({
+                error: 'Document has been superseded',
+                supersededBy: document.superseded_by_hash
+            });
+        }
+        
+        // Check if already anchored
+        if (document.verified && (document.anchor_backend || document.blockchain_tx_hash) && document.watermarked_file_path) {
             try {
                 await fs.access(document.watermarked_file_path);
-                console.log('Document already verified and watermarked file exists');
+                console.log('Document already anchored and watermarked file exists');
                 
                 return res.json({
                     success: true,
-                    message: 'Document already verified on blockchain',
+                    message: 'Document already anchored',
+                    anchorBackend: document.anchor_backend || 'blockchain',
                     transactionHash: document.blockchain_tx_hash,
                     block_number: document.block_number,
+                    logEntryIndex: document.log_entry_index,
                     watermarkedFile: document.watermarked_file_path,
                     verified: true
                 });
@@ -282,82 +446,62 @@ router.post('/finalize', async (req, res) => {
             }
         }
         
-        console.log('Registering document on blockchain...');
-        
-        // Register on blockchain
-        const blockchainResult = await blockchain.registerDocument({
-            documentContent: document_hash
-        });
-        
-
-        if (!blockchainResult.success) {
-            console.error('Blockchain registration failed:', blockchainResult);
-            return res.status(500).json({ 
-                error: 'Blockchain registration failed',
-                details: blockchainResult.error || 'Unknown blockchain error'
+        // Already on chain and waiting for confirmations - sending it again would revert
+        if (document.anchor_status === 'included' ||
+            (document.anchor_status === 'pending' && document.blockchain_tx_hash)) {
+            return res.status(202).json({
+                success: true,
+                pending: true,
+                anchorBackend: 'blockchain',
+                anchorStatus: document.anchor_status,
+                confirmations: document.confirmations,
+                transactionHash: document.blockchain_tx_hash,
+                block_number: document.block_number,
+                message: 'Document is on chain and waiting for confirmations',
+                verified: false
             });
         }
         
-        console.log('Blockchain registration successful:', blockchainResult.transactionHash);
-        
-        // Create watermarked directory
-        const watermarkedDir = path.join('uploads', 'watermarked');
-        await fs.mkdir(watermarkedDir, { recursive: true });
-        console.log('Ensured watermarked directory exists');
+        // Blockchain when it is connected, otherwise the local transparency log
+        const backend = req.app.locals.anchorBackends.select();
         
-        // Create watermarked version
-        let watermarked_file_path = null;
-        try {
-            const watermarkData = {
-                txHash: blockchainResult.transactionHash,
-                block_number: blockchainResult.blockNumber,
-                timestamp: new Date().toISOString(),
-                verified: true
-            };
-            
-            console.log('Creating watermarked document with data:', watermarkData);
-            
-            watermarked_file_path = await createWatermarkedDocument(
-                document.processed_file_path, 
-                document_hash,
-                watermarkData
-            );
-            
-            console.log('Watermarked document created at:', watermarked_file_path);
-            const stats = await fs.stat(watermarked_file_path);
-            console.log('Watermarked file size:', stats.size, 'bytes');
-            
-        } catch (watermarkError) {
-            console.error('Failed to create watermark:', watermarkError);
-            console.error('Full watermark error:', watermarkError.stack);
+        if (!backend) {
+            return res.status(503).json({ error: 'No anchoring backend available' });
         }
         
-        // ✅ FIXED: PostgreSQL update query
-        if (watermarked_file_path) {
-            await db.query(
-                `UPDATE documents 
-                 SET blockchain_tx_hash = $1, block_number = $2, verified = true, watermarked_file_path = $3
-                 WHERE document_hash = $4`,
-                [blockchainResult.transactionHash, blockchainResult.blockNumber, watermarked_file_path, document_hash]
-            );
-        } else {
-            await db.query(
-                `UPDATE documents 
-                 SET blockchain_tx_hash = $1, block_number = $2, verified = true
-                 WHERE document_hash = $3`,
-                [blockchainResult.transactionHash, blockchainResult.blockNumber, document_hash]
-            );
+        console.log('Anchoring with backend:', backend.name);
+        const anchorResult = await backend.anchor(document);
+        
+        if (anchorResult.pending) {
+            // Blockchain anchors confirm in the background - the anchor queue or batch
+            // worker creates the watermarked copy once the transaction is mined
+            console.log('=== Document finalization queued ===');
+            
+            return res.status(202).json({
+                success: true,
+                pending: true,
+                anchorBackend: backend.name,
+                anchorMode: anchorResult.anchorMode,
+                jobId: anchorResult.jobId,
+                jobStatus: anchorResult.jobStatus,
+                statusUrl: anchorResult.jobId ? `/api/documents/jobs/${anchorResult.jobId}` : undefined,
+                message: anchorResult.jobId ?
+                    'Document queued for blockchain registration' :
+                    'Document queued for the next batch anchor',
+                verified: false
+            });
         }
         
-        console.log('Database updated successfully');
         console.log('=== Document finalization completed ===');
         
         res.json({
             success: true,
-            transactionHash: blockchainResult.transactionHash,
-            block_number: blockchainResult.blockNumber,
-            watermarkedFile: watermarked_file_path,
-            message: 'Document successfully verified on blockchain',
+            anchorBackend: backend.name,
+            guarantee: backend.guarantee,
+            logEntry: anchorResult.logEntry,
+            treeHead: anchorResult.treeHead,
+            watermarkedFile: anchorResult.watermarkedFile,
+            message: 'Document anchored in the local transparency log (blockchain not connected)',
             verified: true
         });
         
@@ -372,6 +516,182 @@ router.post('/finalize', async (req, res) => {
     }
 });
 
+// GET /api/documents/:hash/signing-request - EIP-712 typed data for the registrar's wallet to sign
+router.get('/:hash/signing-request', authenticateToken, requireRegistrar, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        
+        const result = await db.query('SELECT * FROM documents WHERE document_hash = $1', [req.params.hash]);
+        const document = result.rows[0];
+        
+        if (!document) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+        
+        if (!(await DocumentAccessService.canManageDocument(db, document, req.user.id))) {
+            return res.status(403).json({ error: 'Only the issuing registrar or a registrar of the issuing institution can sign this document' });
+        }
+        
+        const typedData = await IssuanceSignatureService.createSigningRequest(db, req.app.locals.blockchain, document);
+        
+        res.json({
+            success: true,
+            documentHash: document.document_hash,
+            alreadySigned: !!document.issuer_signature,
+            typedData
+        });
+        
+    } catch (error) {
+        console.error('Error building signing request:', error);
+        res.status(500).json({ error: 'Failed to build signing request', message: error.message });
+    }
+});
+
+// POST /api/documents/:hash/signature - Store the registrar's EIP-712 issuance signature
+router.post('/:hash/signature', authenticateToken, requireRegistrar, async (req, res) => {
+    try {
+        const { signature } = req.body;
+        
+        if (!signature) {
+            return res.status(400).json({ error: 'Signature is required' });
+        }
+        
+        const db = req.app.locals.db;
+        
+        const result = await db.query('SELECT * FROM documents WHERE document_hash = $1', [req.params.hash]);
+        const document = result.rows[0];
+        
+        if (!document) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+        
+        if (!(await DocumentAccessService.canManageDocument(db, document, req.user.id))) {
+            return res.status(403).json({ error: 'Only the issuing registrar or a registrar of the issuing institution can sign this document' });
+        }
+        
+        // An issuance signature is recorded once - it must not be overwritten by another wallet
+        if (document.issuer_signature) {
+            return res.status(409).json({
+                error: 'Document already has an issuance signature',
+                signerAddress: document.issuer_signer_address,
+                signedAt: document.issuer_signed_at
+            });
+        }
+        
+        const signed = await IssuanceSignatureService.recordSignature(
+            db, req.app.locals.blockchain, document, req.user.id, signature
+        );
+        
+        if (!signed.success) {
+            return res.status(signed.alreadySigned ? 409 : 400).json(signed);
+        }
+        
+        res.json({
+            success: true,
+            message: 'Issuance signature recorded',
+            signerAddress: signed.signerAddress
+        });
+        
+    } catch (error) {
+        console.error('Error recording issuance signature:', error);
+        res.status(500).json({ error: 'Failed to record signature', message: error.message });
+    }
+});
+
+// GET /api/documents/jobs/:jobId - Poll an anchoring job
+router.get('/jobs/:jobId', async (req, res) => {
+    try {
+        const anchorQueue = req.app.locals.anchorQueue;
+        
+        if (!anchorQueue) {
+            return res.status(503).json({ error: 'Blockchain service not available' });
+        }
+        
+        const job = await anchorQueue.getJob(req.params.jobId);
+        
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        
+        res.json({
+            success: true,
+            job: AnchorQueueService.formatJob(job)
+        });
+        
+    } catch (error) {
+        console.error('Error loading anchor job:', error);
+        res.status(500).json({ error: 'Failed to load job', message: error.message });
+    }
+});
+
+// POST /api/documents/batches/flush - Anchor all pending batch documents now (registrars only - it spends the signer's gas)
+router.post('/batches/flush', authenticateToken, requireRegistrar, async (req, res) => {
+    try {
+        const batchAnchor = req.app.locals.batchAnchor;
+        
+        if (!batchAnchor) {
+            return res.status(400).json({ error: 'Batch anchoring is not enabled' });
+        }
+        
+        const batch = await batchAnchor.flush();
+        
+        res.json({
+            success: true,
+            message: batch ? `Anchored ${batch.documentsAnchored} documents` : 'No pending documents to anchor',
+            batch
+        });
+        
+    } catch (error) {
+        console.error('Error flushing anchor batch:', error);
+        res.status(500).json({ error: 'Failed to anchor batch', message: error.message });
+    }
+});
+
+// GET /api/documents/batches/:batchId - Batch details and the documents it covers
+router.get('/batches/:batchId', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        
+        const batchResult = await db.query('SELECT * FROM anchor_batches WHERE id = $1', [req.params.batchId]);
+        const batch = batchResult.rows[0];
+        
+        if (!batch) {
+            return res.status(404).json({ error: 'Batch not found' });
+        }
+        
+        const documentsResult = await db.query(
+            `SELECT document_hash, merkle_leaf_index, verified 
+             FROM documents WHERE anchor_batch_id = $1 
+             ORDER BY merkle_leaf_index ASC`,
+            [batch.id]
+        );
+        
+        res.json({
+            success: true,
+            batch: {
+                batchId: batch.id,
+                merkleRoot: batch.merkle_root,
+                leafCount: batch.leaf_count,
+                status: batch.status,
+                transactionHash: batch.blockchain_tx_hash,
+                blockNumber: batch.block_number,
+                error: batch.error,
+                createdAt: batch.created_at,
+                anchoredAt: batch.anchored_at
+            },
+            documents: documentsResult.rows.map(doc => ({
+                documentHash: doc.document_hash,
+                leafIndex: doc.merkle_leaf_index,
+                verified: doc.verified
+            }))
+        });
+        
+    } catch (error) {
+        console.error('Error loading anchor batch:', error);
+        res.status(500).json({ error: 'Failed to load batch', message: error.message });
+    }
+});
+
 // GET /api/documents/view-original/:hash - Updated for PostgreSQL
 router.get('/view-original/:hash', async (req, res) => {
     try {
@@ -511,334 +831,18 @@ router.get('/download/:filename', (req, res) => {
         });
 });
 
-// WATERMARKING FUNCTIONS
-
-// Fixed watermarking function with better error handling
-async function createWatermarkedDocument(processed_file_path, document_hash, watermarkData) {
-    try {
-        console.log('createWatermarkedDocument called with:', {
-            processed_file_path,
-            document_hash,
-            watermarkData
-        });
-        
-        // Check if processed file exists
-        await fs.access(processed_file_path);
-        console.log('Processed file exists:', processed_file_path);
-        
-        const ext = path.extname(processed_file_path).toLowerCase();
-        const watermarkedPath = path.join('uploads', 'watermarked', `${document_hash}_verified${ext}`);
-        
-        // Create watermarked directory if it doesn't exist
-        await fs.mkdir(path.dirname(watermarkedPath), { recursive: true });
-        console.log('Watermarked directory ensured');
-        
-        if (ext === '.pdf') {
-            console.log('Processing PDF for watermarking...');
-            return await addWatermarkToPDF(processed_file_path, watermarkedPath, watermarkData);
-        } else if (ext === '.png' || ext === '.jpg' || ext === '.jpeg') {
-            console.log('Processing image for watermarking...');
-            return await addWatermarkToImage(processed_file_path, watermarkedPath, watermarkData);
-        } else {
-            console.log('Unsupported format for watermarking, copying file...');
-            // For unsupported formats, just copy the file
-            await fs.copyFile(processed_file_path, watermarkedPath);
-            return watermarkedPath;
-        }
-    } catch (error) {
-        console.error('Error in createWatermarkedDocument:', error);
-        throw error;
-    }
-}
-
-// Fixed PDF watermarking function
-async function addWatermarkToPDF(inputPath, outputPath, watermarkData) {
-    try {
-        console.log('Starting PDF watermarking with stamp style...');
-        console.log('Input path:', inputPath);
-        console.log('Output path:', outputPath);
-        
-        const existingPdfBytes = await fs.readFile(inputPath);
-        const pdfDoc = await PDFDocument.load(existingPdfBytes, { ignoreEncryption: true });
-        const pages = pdfDoc.getPages();
-        
-        // Embed fonts
-        const boldFont = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
-        const regularFont = await pdfDoc.embedFont(StandardFonts.Helvetica);
-        
-        console.log(`Adding stamp watermark to ${pages.length} pages...`);
-        
-        // Apply watermark to each page
-        for (let i = 0; i < pages.length; i++) {
-            const page = pages[i];
-            const { width, height } = page.getSize();
-            
-            console.log(`Processing page ${i + 1}: ${width}x${height}`);
-            
-            // CENTER STAMP WATERMARK
-            const centerX = width / 2;
-            const centerY = height / 2;
-            
-            // Create circular stamp background
-            const stampRadius = 120;
-            
-            // Remove circles - only keep subtle white background for text readability
-            page.drawCircle({
-                x: centerX,
-                y: centerY,
-                size: stampRadius - 15,
-                color: rgb(1, 1, 1),
-                opacity: 0.1  // Keep this very light
-            });
-            
-            // Main "ORIGINAL" text in the center - REDUCED OPACITY
-            const mainText = 'ORIGINAL';
-            const mainFontSize = 36;
-            const mainTextWidth = boldFont.widthOfTextAtSize(mainText, mainFontSize);
-            
-            page.drawText(mainText, {
-                x: centerX - (mainTextWidth / 2),
-                y: centerY + 15,  // Moved up slightly to center between the two lines
-                size: mainFontSize,
-                font: boldFont,
-                color: rgb(0.8, 0, 0),
-                opacity: 0.2
-            });
-            
-            // "COPY" text below - REDUCED OPACITY
-            const copyText = 'COPY';
-            const copyFontSize = 28;
-            const copyTextWidth = boldFont.widthOfTextAtSize(copyText, copyFontSize);
-            
-            page.drawText(copyText, {
-                x: centerX - (copyTextWidth / 2),
-                y: centerY - 15,  // Moved down slightly to center between the two lines
-                size: copyFontSize,
-                font: boldFont,
-                color: rgb(0.8, 0, 0),
-                opacity: 0.2
-            });
-            
-            // Horizontal lines above and below text - REDUCED OPACITY - ADJUSTED FOR CENTERING
-            page.drawLine({
-                start: { x: centerX - 70, y: centerY + 45 },  // Moved up to accommodate centered text
-                end: { x: centerX + 70, y: centerY + 45 },
-                thickness: 2,
-                color: rgb(0.8, 0, 0),
-                opacity: 0.18
-            });
-            
-            page.drawLine({
-                start: { x: centerX - 70, y: centerY - 45 },  // Moved down to accommodate centered text
-                end: { x: centerX + 70, y: centerY - 45 },
-                thickness: 2,
-                color: rgb(0.8, 0, 0),
-                opacity: 0.18
-            });
-            
-            // Add "DO NOT MODIFY" around expanded circle - MOVED FURTHER OUT AND BRIGHTER
-            const circularText = 'DO NOT MODIFY • BLOCKCHAIN VERIFIED •';
-            const letterFontSize = 11;
-            const angleStep = 360 / circularText.length;
-            const expandedRadius = stampRadius + 40; // Moved 40 points further out
-            
-            for (let j = 0; j < circularText.length; j++) {
-                const angle = (j * angleStep) - 90; // Start from top
-                const radian = (angle * Math.PI) / 180;
-                const letterX = centerX + Math.cos(radian) * expandedRadius;
-                const letterY = centerY + Math.sin(radian) * expandedRadius;
-                
-                page.drawText(circularText[j], {
-                    x: letterX - 3,
-                    y: letterY - 3,
-                    size: letterFontSize,
-                    font: regularFont,
-                    color: rgb(0.6, 0, 0),
-                    opacity: 0.25,  // Increased from 0.15 to 0.25 to make it brighter
-                    rotate: degrees(angle + 90)
-                });
-            }
-            
-            // Add verification date inside stamp at bottom - REDUCED OPACITY
-            const dateText = new Date(watermarkData.timestamp).toLocaleDateString();
-            const dateFontSize = 10;
-            const dateTextWidth = regularFont.widthOfTextAtSize(dateText, dateFontSize);
-            
-            page.drawText(dateText, {
-                x: centerX - (dateTextWidth / 2),
-                y: centerY - 60,
-                size: dateFontSize,
-                font: regularFont,
-                color: rgb(0.5, 0, 0),
-                opacity: 0.2  // Reduced from 0.6 to 0.2
-            });
-            
-            
-            // BOTTOM TRANSACTION INFO - REDUCED OPACITY
-            const txText = `Transaction: ${watermarkData.txHash.substring(0, 16)}...${watermarkData.txHash.substring(watermarkData.txHash.length - 8)}`;
-            const txFontSize = 8;
-            const txTextWidth = regularFont.widthOfTextAtSize(txText, txFontSize);
-            
-            page.drawRectangle({
-                x: (width / 2) - (txTextWidth / 2) - 10,
-                y: 15,
-                width: txTextWidth + 20,
-                height: 18,
-                color: rgb(0.95, 0.95, 0.95),
-                borderColor: rgb(0.7, 0.7, 0.7),
-                borderWidth: 0.5,
-                opacity: 0.3  // Reduced from 0.8 to 0.3
-            });
-            
-            page.drawText(txText, {
-                x: (width / 2) - (txTextWidth / 2),
-                y: 20,
-                size: txFontSize,
-                font: regularFont,
-                color: rgb(0.4, 0.4, 0.4),
-                opacity: 0.5  // Added opacity to make text more subtle
-            });
-        }
-        
-        // Update PDF metadata
-        pdfDoc.setSubject(`Blockchain Verified: ${watermarkData.txHash}`);
-        pdfDoc.setKeywords([
-            `verification_hash:${watermarkData.txHash}`,
-            `block_number:${watermarkData.block_number}`,
-            'blockchain_verified:true',
-            'watermarked:true',
-            'original_copy:stamped'
-        ]);
-        pdfDoc.setProducer('Document Verification System - Original Stamped Copy');
-        pdfDoc.setCreationDate(new Date());
-        pdfDoc.setModificationDate(new Date());
-        pdfDoc.setTitle(`ORIGINAL - Blockchain Verified`);
-        
-        const pdfBytes = await pdfDoc.save();
-        await fs.writeFile(outputPath, pdfBytes);
-        
-        // Verify the file was created and has content
-        const stats = await fs.stat(outputPath);
-        console.log(`✓ Watermarked PDF created successfully: ${outputPath}`);
-        console.log(`  File size: ${stats.size} bytes`);
-        console.log(`  Stamp watermark applied: ORIGINAL COPY (Subtle opacity)`);
-        
-        return outputPath;
-        
-    } catch (error) {
-        console.error('Error adding watermark to PDF:', error);
-        console.error('Error details:', error.message);
-        throw error;
-    }
-}
-
-// Keep the existing addWatermarkToImage function but add error handling
-async function addWatermarkToImage(inputPath, outputPath, watermarkData) {
-    try {
-        console.log('Starting image watermarking...');
-        
-        const image = sharp(inputPath);
-        const metadata = await image.metadata();
-        
-        if (!metadata.width || !metadata.height) {
-            throw new Error('Invalid image metadata');
-        }
-        
-        const { width, height } = metadata;
-        
-        // Create a more visible watermark SVG
-        const watermarkSvg = Buffer.from(`
-            <svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
-                <defs>
-                    <!-- Define a pattern for repeating watermark -->
-                    <pattern id="watermarkPattern" x="0" y="0" width="400" height="400" patternUnits="userSpaceOnUse">
-                        <text x="200" y="200" 
-                              font-family="Arial, sans-serif" 
-                              font-size="42" 
-                              font-weight="bold" 
-                              fill="rgba(200, 50, 50, 0.3)" 
-                              text-anchor="middle"
-                              transform="rotate(-45 200 200)">
-                            ORIGINAL COPY
-                        </text>
-                        <text x="200" y="240" 
-                              font-family="Arial, sans-serif" 
-                              font-size="42" 
-                              font-weight="bold" 
-                              fill="rgba(200, 50, 50, 0.3)" 
-                              text-anchor="middle"
-                              transform="rotate(-45 200 240)">
-                            DO NOT MODIFY
-                        </text>
-                    </pattern>
-                </defs>
-                
-                <!-- Apply the pattern across the entire image -->
-                <rect width="100%" height="100%" fill="url(#watermarkPattern)" />
-                
-                <!-- Verification badge at top-right -->
-                <g transform="translate(${width - 180}, 20)">
-                    <rect width="160" height="35" rx="5" 
-                          fill="rgba(0, 150, 0, 0.85)" 
-                          stroke="rgba(0, 100, 0, 1)" 
-                          stroke-width="2"/>
-                    <text x="80" y="23" 
-                          font-family="Arial, sans-serif" 
-                          font-size="14" 
-                          font-weight="bold" 
-                          fill="white" 
-                          text-anchor="middle">
-                        BLOCKCHAIN VERIFIED
-                    </text>
-                </g>
-                
-                <!-- Block info at bottom -->
-                <text x="${width / 2}" y="${height - 20}" 
-                      font-family="Arial, sans-serif" 
-                      font-size="12" 
-                      fill="rgba(0, 100, 0, 0.8)" 
-                      text-anchor="middle"
-                      font-weight="bold">
-                    Block #${watermarkData.block_number} | Verified: ${new Date(watermarkData.timestamp).toLocaleDateString()}
-                </text>
-            </svg>
-        `);
-        
-        // Apply watermark with proper blending
-        const watermarkedImage = await image
-            .composite([{
-                input: watermarkSvg,
-                top: 0,
-                left: 0,
-                blend: 'over'
-            }])
-            .toBuffer();
-        
-        await fs.writeFile(outputPath, watermarkedImage);
-        
-        const stats = await fs.stat(outputPath);
-        console.log(`✓ Watermarked image created successfully: ${outputPath}`);
-        console.log(`  File size: ${stats.size} bytes`);
-        
-        return outputPath;
-        
-    } catch (error) {
-        console.error('Error adding watermark to image:', error);
-        throw error;
-    }
-}
-
 // Keep all existing helper functions (embedQRInPDF, embedQRInImage, etc.) unchanged
 // ... [Previous helper functions remain the same] ...
 
 // Helper function: Embed QR code in PDF (unchanged)
-async function embedQRInPDF(pdfPath, qrCodeBuffer, document_hash) {
+async function embedQRInPDF(pdfPath, qrCodeBuffer, document_hash, issuance) {
     try {
         const existingPdfBytes = await fs.readFile(pdfPath);
         const pdfDoc = await PDFDocument.load(existingPdfBytes);
         
         pdfDoc.setSubject(document_hash);
         pdfDoc.setKeywords([`verification_hash:${document_hash}`]);
+        PDFMetadataService.embed(pdfDoc, issuance);
         pdfDoc.setProducer('Document Verification System');
         
         const qrImage = await pdfDoc.embedPng(qrCodeBuffer);
@@ -952,13 +956,13 @@ async function embedQRInImage(imagePath, qrCodeBuffer, document_hash) {
 // Add these missing functions to your documents.js file
 
 // Enhanced Word to PDF conversion with multiple fallback options
-async function createPDFFromWord(wordPath, qrCodeBuffer, documentData, document_hash) {
+async function createPDFFromWord(wordPath, qrCodeBuffer, documentData, document_hash, issuance) {
     try {
         console.log('Converting Word document to PDF...');
         
         // Try Method 1: LibreOffice (if installed)
         try {
-            return await convertWithLibreOffice(wordPath, qrCodeBuffer, document_hash);
+            return await convertWithLibreOffice(wordPath, qrCodeBuffer, document_hash, issuance);
         } catch (libreOfficeError) {
             console.log('LibreOffice conversion failed:', libreOfficeError.message);
             console.log('Trying alternative method...');
@@ -967,7 +971,7 @@ async function createPDFFromWord(wordPath, qrCodeBuffer, documentData, document_
         // Try Method 2: mammoth.js for DOCX text extraction
         if (wordPath.toLowerCase().endsWith('.docx')) {
             try {
-                return await convertWithMammoth(wordPath, qrCodeBuffer, documentData, document_hash);
+                return await convertWithMammoth(wordPath, qrCodeBuffer, documentData, document_hash, issuance);
             } catch (mammothError) {
                 console.log('Mammoth conversion failed:', mammothError.message);
                 console.log('Falling back to basic PDF creation...');
@@ -975,7 +979,7 @@ async function createPDFFromWord(wordPath, qrCodeBuffer, documentData, document_
         }
         
         // Method 3: Create basic PDF with document info (final fallback)
-        return await createBasicPDFFromWord(wordPath, qrCodeBuffer, documentData, document_hash);
+        return await createBasicPDFFromWord(wordPath, qrCodeBuffer, documentData, document_hash, issuance);
         
     } catch (error) {
         console.error('All conversion methods failed:', error);
@@ -984,7 +988,7 @@ async function createPDFFromWord(wordPath, qrCodeBuffer, documentData, document_
 }
 
 // Method 1: LibreOffice conversion (FIXED VERSION)
-async function convertWithLibreOffice(wordPath, qrCodeBuffer, document_hash) {
+async function convertWithLibreOffice(wordPath, qrCodeBuffer, document_hash, issuance) {
     // Check for common LibreOffice installation paths on Windows
     const possiblePaths = [
         'C:\\Program Files\\LibreOffice\\program\\soffice.exe',
@@ -1089,7 +1093,7 @@ async function convertWithLibreOffice(wordPath, qrCodeBuffer, document_hash) {
     }
     
     // Add QR code to the converted PDF
-    const finalPdfPath = await addQRToExistingPDF(tempPdfPath, qrCodeBuffer, document_hash);
+    const finalPdfPath = await addQRToExistingPDF(tempPdfPath, qrCodeBuffer, document_hash, issuance);
     
     // Clean up temp file
     await fs.unlink(tempPdfPath).catch(console.error);
@@ -1098,7 +1102,7 @@ async function convertWithLibreOffice(wordPath, qrCodeBuffer, document_hash) {
 }
 
 // Method 2: Use mammoth.js to extract text and create PDF
-async function convertWithMammoth(wordPath, qrCodeBuffer, documentData, document_hash) {
+async function convertWithMammoth(wordPath, qrCodeBuffer, documentData, document_hash, issuance) {
     console.log('Converting DOCX using mammoth.js...');
     
     const wordBuffer = await fs.readFile(wordPath);
@@ -1245,6 +1249,7 @@ async function convertWithMammoth(wordPath, qrCodeBuffer, documentData, document
     // Set PDF metadata
     pdfDoc.setSubject(document_hash);
     pdfDoc.setKeywords([`verification_hash:${document_hash}`]);
+    PDFMetadataService.embed(pdfDoc, issuance);
     pdfDoc.setProducer('Document Verification System - DOCX Conversion');
     pdfDoc.setTitle(`${documentData.document_type} - ${documentData.student_name}`);
     
@@ -1259,7 +1264,7 @@ async function convertWithMammoth(wordPath, qrCodeBuffer, documentData, document
 }
 
 // Method 3: Basic PDF creation (final fallback)
-async function createBasicPDFFromWord(wordPath, qrCodeBuffer, documentData, document_hash) {
+async function createBasicPDFFromWord(wordPath, qrCodeBuffer, documentData, document_hash, issuance) {
     console.log('Creating basic PDF with document information...');
     
     const pdfDoc = await PDFDocument.create();
@@ -1387,6 +1392,7 @@ async function createBasicPDFFromWord(wordPath, qrCodeBuffer, documentData, docu
     // Set PDF metadata
     pdfDoc.setSubject(document_hash);
     pdfDoc.setKeywords([`verification_hash:${document_hash}`]);
+    PDFMetadataService.embed(pdfDoc, issuance);
     pdfDoc.setProducer('Document Verification System - Basic Conversion');
     pdfDoc.setTitle(`Certificate - ${documentData.student_name}`);
     
@@ -1400,13 +1406,14 @@ async function createBasicPDFFromWord(wordPath, qrCodeBuffer, documentData, docu
 }
 
 // Helper function to add QR to existing PDF
-async function addQRToExistingPDF(pdfPath, qrCodeBuffer, document_hash) {
+async function addQRToExistingPDF(pdfPath, qrCodeBuffer, document_hash, issuance) {
     const existingPdfBytes = await fs.readFile(pdfPath);
     const pdfDoc = await PDFDocument.load(existingPdfBytes);
     
     // Add metadata
     pdfDoc.setSubject(document_hash);
     pdfDoc.setKeywords([`verification_hash:${document_hash}`]);
+    PDFMetadataService.embed(pdfDoc, issuance);
     pdfDoc.setProducer('Document Verification System');
     
     // Get the first page
@@ -1477,7 +1484,7 @@ async function getFileSize(filePath) {
 }
 
 // Helper function: Create cover page PDF with QR
-async function createCoverPagePDF(documentData, qrCodeBuffer, document_hash) {
+async function createCoverPagePDF(documentData, qrCodeBuffer, document_hash, issuance) {
     try {
         const pdfDoc = await PDFDocument.create();
         const page = pdfDoc.addPage();
@@ -1554,6 +1561,11 @@ async function createCoverPagePDF(documentData, qrCodeBuffer, document_hash) {
             color: rgb(0.5, 0.5, 0.5)
         });
         
+        // Set PDF metadata
+        pdfDoc.setSubject(document_hash);
+        pdfDoc.setKeywords([`verification_hash:${document_hash}`]);
+        PDFMetadataService.embed(pdfDoc, issuance);
+        
         const pdfBytes = await pdfDoc.save();
         const outputPath = path.join('uploads', 'processed', `${document_hash}.pdf`);
         await fs.mkdir(path.dirname(outputPath), { recursive: true });
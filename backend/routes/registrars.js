@@ -2,9 +2,20 @@
 const express = require('express');
 const router = express.Router();
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { REVOCATION_REASONS } = require('../services/BlockchainService');
+const ReconciliationService = require('../services/ReconciliationService');
+const DocumentAccessService = require('../services/DocumentAccessService');
+const { ANCHOR_BACKENDS } = require('../services/AnchorBackendService');
+const RegistrarController = require('../controllers/RegistrarController');
+const { authenticateOwner } = require('../middleware/validation');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
 
+// How long a wallet ownership challenge can be signed and submitted
+const WALLET_CHALLENGE_TTL = '5m';
+
 // Middleware to verify JWT token
 function authenticateToken(req, res, next) {
   const token = req.headers.authorization?.split(' ')[1];
@@ -28,9 +39,9 @@ function authenticateToken(req, res, next) {
   }
 }
 
-// Middleware to verify registrar
+// Middleware to verify registrar (admin portal logins are registrar accounts too)
 function requireRegistrar(req, res, next) {
-  if (req.user.type !== 'registrar') {
+  if (req.user.type !== 'registrar' && req.user.type !== 'admin') {
     return res.status(403).json({
       success: false,
       error: 'Access denied. Registrar privileges required.'
@@ -39,6 +50,32 @@ function requireRegistrar(req, res, next) {
   next();
 }
 
+// Middleware to require a connected blockchain
+function requireBlockchain(req, res, next) {
+  const blockchain = req.app.locals.blockchain;
+  if (!blockchain || !blockchain.initialized) {
+    return res.status(503).json({
+      success: false,
+      error: 'Blockchain service not available'
+    });
+  }
+  next();
+}
+
+/**
+ * On-chain registrar authorization
+ * GET    /api/registrars/chain                  - List registrar wallets (owner only)
+ * POST   /api/registrars/chain                  - Authorize a registrar wallet (owner only)
+ * DELETE /api/registrars/chain/:address         - Deauthorize a registrar wallet (owner only)
+ * GET    /api/registrars/chain/:address         - Registrar record
+ * GET    /api/registrars/chain/:address/status  - Whether the wallet is an active registrar
+ */
+router.get('/chain', authenticateOwner, RegistrarController.listAllRegistrars);
+router.post('/chain', authenticateOwner, RegistrarController.addRegistrar);
+router.delete('/chain/:address', authenticateOwner, RegistrarController.removeRegistrar);
+router.get('/chain/:address', requireBlockchain, RegistrarController.getRegistrarInfo);
+router.get('/chain/:address/status', requireBlockchain, RegistrarController.checkRegistrarStatus);
+
 /**
  * GET /api/registrars/profile
  * Get registrar profile
@@ -48,19 +85,19 @@ router.get('/profile', authenticateToken, requireRegistrar, async (req, res) =>
     const db = req.app.locals.db;
     const blockchain = req.app.locals.blockchain;
 
-    const [registrars] = await db.execute(
-      'SELECT id, username, full_name, institution_name, email, wallet_address FROM registrars WHERE id = ?',
+    const result = await db.query(
+      'SELECT id, username, full_name, institution_name, email, wallet_address FROM registrars WHERE id = $1',
       [req.user.id]
     );
 
-    if (registrars.length === 0) {
+    if (result.rows.length === 0) {
       return res.status(404).json({
         success: false,
         error: 'Registrar not found'
       });
     }
 
-    const registrar = registrars[0];
+    const registrar = result.rows[0];
 
     // Get blockchain status if wallet address exists
     let blockchainStatus = null;
@@ -70,8 +107,8 @@ router.get('/profile', authenticateToken, requireRegistrar, async (req, res) =>
         const registrarInfo = await blockchain.getRegistrarInfo(registrar.wallet_address);
         blockchainStatus = {
           isActive,
-          documentsIssued: registrarInfo.documentsIssued,
-          dateAdded: registrarInfo.dateAdded
+          documentsIssued: registrarInfo ? registrarInfo.documentsIssued : '0',
+          dateAdded: registrarInfo ? registrarInfo.dateAdded : null
         };
       } catch (error) {
         console.error('Error fetching blockchain status:', error);
@@ -103,18 +140,18 @@ router.get('/documents', authenticateToken, requireRegistrar, async (req, res) =
   try {
     const db = req.app.locals.db;
 
-    const [documents] = await db.execute(
+    const result = await db.query(
       `SELECT d.*, s.full_name as student_full_name
        FROM documents d
        LEFT JOIN students s ON d.student_id = s.student_id
-       WHERE d.registrar_id = ?
+       WHERE d.registrar_id = $1
        ORDER BY d.created_at DESC`,
       [req.user.id]
     );
 
     res.json({
       success: true,
-      documents
+      documents: result.rows
     });
 
   } catch (error) {
@@ -126,6 +163,261 @@ router.get('/documents', authenticateToken, requireRegistrar, async (req, res) =
   }
 });
 
+/**
+ * POST /api/registrars/documents/:hash/revoke
+ * Revoke an issued document (the issuing registrar, or a registrar of the
+ * issuing institution). Documents registered on the contract are revoked on
+ * chain and mirrored in the database. The contract only knows registered
+ * hashes, so batch-anchored documents (their leaf is not registered, only the
+ * batch root), transparency-log documents and documents whose anchor is still
+ * pending are revoked in the database, which verification reports as well.
+ */
+router.post('/documents/:hash/revoke', authenticateToken, requireRegistrar, async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const blockchain = req.app.locals.blockchain;
+    const documentHash = req.params.hash;
+    const { reason, note } = req.body;
+
+    if (!reason || !REVOCATION_REASONS[reason]) {
+      return res.status(400).json({
+        success: false,
+        error: `Revocation reason must be one of: ${Object.keys(REVOCATION_REASONS).join(', ')}`
+      });
+    }
+
+    const result = await db.query('SELECT * FROM documents WHERE document_hash = $1', [documentHash]);
+    const document = result.rows[0];
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found'
+      });
+    }
+
+    if (!(await DocumentAccessService.canManageDocument(db, document, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the issuing registrar or a registrar of the issuing institution can revoke this document'
+      });
+    }
+
+    if (document.revoked) {
+      return res.status(409).json({
+        success: false,
+        error: 'Document has already been revoked',
+        revokedAt: document.revoked_at,
+        reason: document.revocation_reason
+      });
+    }
+
+    // Only a hash registered on the contract by itself can be revoked there
+    const registeredDirectly = !document.anchor_batch_id &&
+      document.anchor_backend !== ANCHOR_BACKENDS.TRANSPARENCY_LOG &&
+      (document.anchor_backend === ANCHOR_BACKENDS.BLOCKCHAIN || !!document.blockchain_tx_hash);
+
+    let onChain = false;
+
+    if (registeredDirectly) {
+      if (!blockchain || !blockchain.initialized) {
+        return res.status(503).json({
+          success: false,
+          error: 'Blockchain service not available'
+        });
+      }
+
+      const registration = await blockchain.verifyDocument(documentHash);
+      if (!registration.success) {
+        return res.status(503).json({
+          success: false,
+          error: 'Could not check the document on chain',
+          details: registration.error
+        });
+      }
+
+      onChain = registration.verified;
+    }
+
+    let blockchainResult = null;
+
+    if (onChain) {
+      blockchainResult = await blockchain.revokeDocument(documentHash, reason);
+
+      if (!blockchainResult.success) {
+        return res.status(500).json({
+          success: false,
+          error: 'Blockchain revocation failed',
+          details: blockchainResult.error
+        });
+      }
+    }
+
+    const updated = await db.query(
+      `UPDATE documents
+       SET revoked = true, revocation_reason = $1, revocation_note = $2, revoked_at = NOW(),
+           revoked_by = $3, revocation_tx_hash = $4
+       WHERE document_hash = $5
+       RETURNING revoked_at`,
+      [reason, note || null, req.user.id, blockchainResult ? blockchainResult.transactionHash : null, documentHash]
+    );
+
+    res.json({
+      success: true,
+      message: onChain
+        ? 'Document revoked successfully'
+        : 'Document revoked in the institution database - it is not registered on the contract by its own hash',
+      revocation: {
+        documentHash,
+        reason,
+        note: note || null,
+        revokedAt: updated.rows[0].revoked_at,
+        revokedBy: req.user.id,
+        source: onChain ? 'blockchain' : 'database',
+        transactionHash: blockchainResult ? blockchainResult.transactionHash : null,
+        blockNumber: blockchainResult ? blockchainResult.blockNumber : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Revoke document error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke document'
+    });
+  }
+});
+
+/**
+ * POST /api/registrars/reconciliation
+ * Start a database-vs-chain reconciliation run
+ */
+router.post('/reconciliation', authenticateToken, requireRegistrar, async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const blockchain = req.app.locals.blockchain;
+
+    if (!blockchain || !blockchain.initialized) {
+      return res.status(503).json({
+        success: false,
+        error: 'Blockchain service not available'
+      });
+    }
+
+    const report = await ReconciliationService.startReport(
+      db,
+      blockchain,
+      req.app.locals.chainIndexer || null,
+      req.user.id
+    );
+
+    res.status(202).json({
+      success: true,
+      message: 'Reconciliation started',
+      reportId: report.id,
+      status: report.status,
+      statusUrl: `/api/registrars/reconciliation/${report.id}`
+    });
+
+  } catch (error) {
+    console.error('Start reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start reconciliation'
+    });
+  }
+});
+
+/**
+ * GET /api/registrars/reconciliation/:reportId
+ * Get a reconciliation report
+ */
+router.get('/reconciliation/:reportId', authenticateToken, requireRegistrar, async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const report = await ReconciliationService.getReport(db, req.params.reportId);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      report: ReconciliationService.formatReport(report)
+    });
+
+  } catch (error) {
+    console.error('Get reconciliation report error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch reconciliation report'
+    });
+  }
+});
+
+/**
+ * POST /api/registrars/reconciliation/:reportId/repair
+ * Re-queue missing anchors and correct block numbers from a completed report
+ */
+router.post('/reconciliation/:reportId/repair', authenticateToken, requireRegistrar, async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const { documentHashes } = req.body;
+
+    if (documentHashes !== undefined && !Array.isArray(documentHashes)) {
+      return res.status(400).json({
+        success: false,
+        error: 'documentHashes must be an array'
+      });
+    }
+
+    const report = await ReconciliationService.getReport(db, req.params.reportId);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report not found'
+      });
+    }
+
+    if (report.status !== 'completed') {
+      return res.status(409).json({
+        success: false,
+        error: `Report is ${report.status}; only completed reports can be repaired`
+      });
+    }
+
+    const results = await ReconciliationService.repair(
+      db,
+      {
+        blockchain: req.app.locals.blockchain,
+        chainIndexer: req.app.locals.chainIndexer || null,
+        anchorQueue: req.app.locals.anchorQueue,
+        batchAnchor: req.app.locals.batchAnchor
+      },
+      report,
+      documentHashes || null
+    );
+
+    res.json({
+      success: true,
+      repaired: results.filter(result => result.action !== 'skipped').length,
+      skipped: results.filter(result => result.action === 'skipped').length,
+      results
+    });
+
+  } catch (error) {
+    console.error('Repair reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to repair reconciliation issues'
+    });
+  }
+});
+
 /**
  * GET /api/registrars/requests
  * Get pending document requests
@@ -275,42 +567,135 @@ router.post('/requests/:requestId/process', authenticateToken, requireRegistrar,
   }
 });
 
+/**
+ * Text the wallet signs to prove it belongs to the registrar connecting it
+ * @param {Object} challenge - Decoded challenge token
+ * @returns {string} - Message for personal_sign
+ */
+function buildWalletChallengeMessage(challenge) {
+  return [
+    'Connect this wallet to a PRMSU registrar account.',
+    '',
+    `Registrar account: ${challenge.registrarId}`,
+    `Wallet: ${challenge.walletAddress}`,
+    `Nonce: ${challenge.nonce}`,
+    `Expires: ${new Date(challenge.exp * 1000).toISOString()}`
+  ].join('\n');
+}
+
+/**
+ * POST /api/registrars/connect-wallet/challenge
+ * Issue a short-lived challenge for the wallet to sign
+ */
+router.post('/connect-wallet/challenge', authenticateToken, requireRegistrar, async (req, res) => {
+  try {
+    const { walletAddress } = req.body;
+
+    if (!walletAddress || !ethers.isAddress(walletAddress)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid wallet address is required'
+      });
+    }
+
+    const challenge = jwt.sign(
+      {
+        purpose: 'connect-wallet',
+        registrarId: req.user.id,
+        walletAddress: ethers.getAddress(walletAddress),
+        nonce: crypto.randomBytes(16).toString('hex')
+      },
+      JWT_SECRET,
+      { expiresIn: WALLET_CHALLENGE_TTL }
+    );
+
+    res.json({
+      success: true,
+      challenge,
+      message: buildWalletChallengeMessage(jwt.decode(challenge))
+    });
+
+  } catch (error) {
+    console.error('Wallet challenge error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create wallet challenge'
+    });
+  }
+});
+
 /**
  * POST /api/registrars/connect-wallet
- * Connect wallet address to registrar account
+ * Connect a wallet to the registrar account - the wallet must sign the
+ * challenge from /connect-wallet/challenge, so nobody can claim an address
+ * (e.g. the contract owner's) they do not control
  */
 router.post('/connect-wallet', authenticateToken, requireRegistrar, async (req, res) => {
   try {
     const db = req.app.locals.db;
     const blockchain = req.app.locals.blockchain;
-    const { walletAddress } = req.body;
+    const { walletAddress, challenge, signature } = req.body;
 
-    if (!walletAddress) {
+    if (!walletAddress || !challenge || !signature) {
       return res.status(400).json({
         success: false,
-        error: 'Wallet address is required'
+        error: 'walletAddress, challenge and signature are required'
       });
     }
 
-    // Validate wallet address format
-    if (!/^0x[a-fA-F0-9]{40}$/.test(walletAddress)) {
+    if (!ethers.isAddress(walletAddress)) {
       return res.status(400).json({
         success: false,
         error: 'Invalid wallet address format'
       });
     }
 
-    // Update wallet address
-    await db.execute(
-      'UPDATE registrars SET wallet_address = ? WHERE id = ?',
-      [walletAddress, req.user.id]
+    let decoded;
+    try {
+      decoded = jwt.verify(challenge, JWT_SECRET);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        error: 'Challenge is invalid or has expired - request a new one'
+      });
+    }
+
+    const address = ethers.getAddress(walletAddress);
+
+    if (decoded.purpose !== 'connect-wallet' || decoded.registrarId !== req.user.id || decoded.walletAddress !== address) {
+      return res.status(401).json({
+        success: false,
+        error: 'Challenge was not issued for this account and wallet'
+      });
+    }
+
+    let signerAddress;
+    try {
+      signerAddress = ethers.verifyMessage(buildWalletChallengeMessage(decoded), signature);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        error: 'Signature verification failed'
+      });
+    }
+
+    if (signerAddress !== address) {
+      return res.status(401).json({
+        success: false,
+        error: 'Challenge was not signed by this wallet'
+      });
+    }
+
+    await db.query(
+      'UPDATE registrars SET wallet_address = $1, wallet_verified_at = NOW() WHERE id = $2',
+      [address, req.user.id]
     );
 
     // Check if registrar is active on blockchain
     let blockchainStatus = null;
     if (blockchain && blockchain.initialized) {
       try {
-        const isActive = await blockchain.isActiveRegistrar(walletAddress);
+        const isActive = await blockchain.isActiveRegistrar(address);
         if (!isActive) {
           // Note: In production, you'd need owner privileges to add registrar to smart contract
           console.log('Registrar not active on blockchain. Admin needs to add via smart contract.');
@@ -324,7 +709,7 @@ router.post('/connect-wallet', authenticateToken, requireRegistrar, async (req,
     res.json({
       success: true,
       message: 'Wallet connected successfully',
-      walletAddress,
+      walletAddress: address,
       blockchainStatus
     });
 
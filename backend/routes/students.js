@@ -3,6 +3,7 @@ const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const VerificationAuditService = require('../services/VerificationAuditService');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
 
@@ -247,6 +248,35 @@ router.get('/documents/my', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/students/verifications/my
+ * Who verified the student's documents and when (no IP addresses or user agents)
+ */
+router.get('/verifications/my', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.type !== 'student') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied'
+      });
+    }
+
+    const page = await VerificationAuditService.listForStudent(req.app.locals.db, req.user.studentId, req.query);
+
+    res.json({
+      success: true,
+      ...page
+    });
+
+  } catch (error) {
+    console.error('Get verifications error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch verifications'
+    });
+  }
+});
+
 /**
  * POST /api/students/request-document
  * Request a new document
@@ -12,6 +12,8 @@ const { ethers } = require('ethers');
 const PDFDocument = require('pdfkit');
 const QRCode = require('qrcode');
 const mammoth = require('mammoth');
+const AnchorQueueService = require('../services/AnchorQueueService');
+const { JOB_TYPES } = AnchorQueueService;
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
 
@@ -90,6 +92,35 @@ function requireRegistrar(req, res, next) {
 const draftsStore = new Map();
 const finalizedStore = new Map();
 
+// Finalized document with its blockchain registration - from the database, which survives restarts, else the memory store
+async function getFinalizedDocument(db, finalizedId) {
+    if (db) {
+        const result = await db.query('SELECT * FROM finalized_documents WHERE finalized_id = $1', [finalizedId]);
+        const row = result.rows[0];
+        
+        if (row) {
+            return {
+                id: row.finalized_id,
+                draftId: row.draft_id,
+                studentData: row.student_data,
+                contentHash: row.content_hash,
+                filePath: row.file_path,
+                status: row.blockchain_tx_hash ? 'registered' : 'finalized',
+                finalizedDate: row.finalized_at,
+                anchorJobId: row.anchor_job_id,
+                blockchain: row.blockchain_tx_hash ? {
+                    documentHash: row.content_hash,
+                    transactionHash: row.blockchain_tx_hash,
+                    blockNumber: row.block_number,
+                    registeredAt: row.registered_at
+                } : null
+            };
+        }
+    }
+    
+    return finalizedStore.get(finalizedId) || null;
+}
+
 /**
  * GET /api/templates
  * Get all templates
@@ -637,6 +668,13 @@ router.post('/draft/:draftId/finalize', authenticateToken, requireRegistrar, asy
         // Save to database
         const db = req.app.locals.db;
         if (db) {
+            // The finalized file and its later registration are looked up here, not in memory
+            await db.query(
+                `INSERT INTO finalized_documents (finalized_id, draft_id, content_hash, file_path, student_data, finalized_by)
+                VALUES ($1, $2, $3, $4, $5, $6)`,
+                [finalizedId, draftId, contentHash, finalPath, JSON.stringify(draft.studentData), req.user.id]
+            );
+            
             try {
                 await db.execute(
                     `INSERT INTO documents 
@@ -681,7 +719,8 @@ router.post('/draft/:draftId/finalize', authenticateToken, requireRegistrar, asy
 router.post('/finalized/:finalizedId/register', authenticateToken, requireRegistrar, async (req, res) => {
     try {
         const { finalizedId } = req.params;
-        const finalized = finalizedStore.get(finalizedId);
+        const db = req.app.locals.db;
+        const finalized = await getFinalizedDocument(db, finalizedId);
         
         if (!finalized) {
             return res.status(404).json({
@@ -690,6 +729,15 @@ router.post('/finalized/:finalizedId/register', authenticateToken, requireRegist
             });
         }
         
+        if (finalized.blockchain) {
+            return res.json({
+                success: true,
+                message: 'Document is already registered on blockchain',
+                blockchain: finalized.blockchain,
+                downloadUrl: `/api/templates/finalized/${finalizedId}/download`
+            });
+        }
+        
         const blockchain = req.app.locals.blockchain;
         
         if (!blockchain || !blockchain.initialized) {
@@ -699,50 +747,27 @@ router.post('/finalized/:finalizedId/register', authenticateToken, requireRegist
             });
         }
 
-        // Prepare document data for blockchain
-        const documentData = {
-            documentContent: finalized.contentHash, // Content for hashing
-            studentId: finalized.studentData.studentId,
-            studentName: finalized.studentData.studentName,
-            documentType: finalized.studentData.documentType,
-            dateIssued: Date.now()
-        };
-
-        const blockchainResult = await blockchain.registerDocument(documentData);
+        // Queue the registration - poll the job for the transaction hash
+        const job = await req.app.locals.anchorQueue.enqueue(
+            JOB_TYPES.REGISTER_TEMPLATE_DOCUMENT,
+            finalized.contentHash,
+            { finalizedId }
+        );
         
-        if (blockchainResult.success) {
-            // Update database with blockchain info
-            const db = req.app.locals.db;
-            if (db) {
-                try {
-                    await db.execute(
-                        `UPDATE documents 
-                        SET transaction_hash = ?, block_number = ?
-                        WHERE document_hash = ?`,
-                        [blockchainResult.transactionHash, blockchainResult.blockNumber, finalized.contentHash]
-                    );
-                } catch (updateError) {
-                    console.log('Error updating document with blockchain info:', updateError.message);
-                }
-            }
-            
-            res.json({
-                success: true,
-                message: 'Document registered on blockchain',
-                blockchain: {
-                    documentHash: blockchainResult.documentHash,
-                    transactionHash: blockchainResult.transactionHash,
-                    blockNumber: blockchainResult.blockNumber
-                },
-                downloadUrl: `/api/templates/finalized/${finalizedId}/download`
-            });
-        } else {
-            res.status(500).json({
-                success: false,
-                error: 'Blockchain registration failed',
-                details: blockchainResult.error
-            });
+        finalized.anchorJobId = job.id;
+        if (db) {
+            await db.query('UPDATE finalized_documents SET anchor_job_id = $1 WHERE finalized_id = $2', [job.id, finalizedId]);
         }
+        
+        res.status(202).json({
+            success: true,
+            pending: true,
+            message: 'Document queued for blockchain registration',
+            jobId: job.id,
+            jobStatus: job.status,
+            statusUrl: `/api/templates/finalized/${finalizedId}/status`,
+            downloadUrl: `/api/templates/finalized/${finalizedId}/download`
+        });
 
     } catch (error) {
         console.error('Register on blockchain error:', error);
@@ -754,14 +779,53 @@ router.post('/finalized/:finalizedId/register', authenticateToken, requireRegist
     }
 });
 
+/**
+ * GET /api/templates/finalized/:finalizedId/status
+ * Blockchain registration of a finalized document - the transaction once its job is confirmed
+ */
+router.get('/finalized/:finalizedId/status', authenticateToken, async (req, res) => {
+    try {
+        const { finalizedId } = req.params;
+        const finalized = await getFinalizedDocument(req.app.locals.db, finalizedId);
+        
+        if (!finalized) {
+            return res.status(404).json({
+                success: false,
+                error: 'Finalized document not found'
+            });
+        }
+        
+        const anchorQueue = req.app.locals.anchorQueue;
+        const job = finalized.anchorJobId && anchorQueue ? await anchorQueue.getJob(finalized.anchorJobId) : null;
+        
+        res.json({
+            success: true,
+            finalizedId,
+            contentHash: finalized.contentHash,
+            registered: !!finalized.blockchain,
+            blockchain: finalized.blockchain || null,
+            job: job ? AnchorQueueService.formatJob(job) : null,
+            downloadUrl: `/api/templates/finalized/${finalizedId}/download`
+        });
+        
+    } catch (error) {
+        console.error('Finalized status error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load registration status',
+            details: error.message
+        });
+    }
+});
+
 /**
  * GET /api/templates/finalized/:finalizedId/download
- * Download finalized document
+ * Download finalized document - registration details are in the X-Document-Hash, X-Transaction-Hash and X-Block-Number headers
  */
 router.get('/finalized/:finalizedId/download', authenticateToken, async (req, res) => {
     try {
         const { finalizedId } = req.params;
-        const finalized = finalizedStore.get(finalizedId);
+        const finalized = await getFinalizedDocument(req.app.locals.db, finalizedId);
         
         if (!finalized) {
             return res.status(404).json({
@@ -770,6 +834,12 @@ router.get('/finalized/:finalizedId/download', authenticateToken, async (req, re
             });
         }
         
+        res.set('X-Document-Hash', finalized.contentHash);
+        if (finalized.blockchain) {
+            res.set('X-Transaction-Hash', finalized.blockchain.transactionHash);
+            res.set('X-Block-Number', String(finalized.blockchain.blockNumber));
+        }
+        
         if (finalized.filePath && fsSync.existsSync(finalized.filePath)) {
             const fileName = `${finalized.studentData.documentType}_${finalized.studentData.studentId}_final.pdf`;
             res.download(finalized.filePath, fileName);
@@ -0,0 +1,85 @@
+// routes/transparencyLog.js - Public read access to the local transparency log
+const express = require('express');
+const router = express.Router();
+const TransparencyLogService = require('../services/TransparencyLogService');
+
+// Middleware to require the transparency log
+function requireLog(req, res, next) {
+    if (!req.app.locals.transparencyLog || !req.app.locals.transparencyLog.isAvailable()) {
+        return res.status(503).json({ error: 'Transparency log not available' });
+    }
+    next();
+}
+
+// GET /api/transparency-log/head - Latest signed tree head and the key that signed it
+router.get('/head', requireLog, async (req, res) => {
+    try {
+        const transparencyLog = req.app.locals.transparencyLog;
+        const treeHead = await transparencyLog.getLatestTreeHead();
+        
+        res.json({
+            success: true,
+            treeHead: TransparencyLogService.formatTreeHead(treeHead),
+            signingKey: transparencyLog.getPublicKey()
+        });
+        
+    } catch (error) {
+        console.error('Error loading tree head:', error);
+        res.status(500).json({ error: 'Failed to load tree head', message: error.message });
+    }
+});
+
+// GET /api/transparency-log/proof/:hash - Inclusion proof for a document against the latest tree head
+router.get('/proof/:hash', requireLog, async (req, res) => {
+    try {
+        const proof = await req.app.locals.transparencyLog.getInclusionProof(req.params.hash);
+        
+        if (!proof) {
+            return res.status(404).json({ error: 'Document not found in transparency log' });
+        }
+        
+        res.json({
+            success: true,
+            ...proof
+        });
+        
+    } catch (error) {
+        console.error('Error building inclusion proof:', error);
+        res.status(500).json({ error: 'Failed to build inclusion proof', message: error.message });
+    }
+});
+
+// GET /api/transparency-log/consistency?first=&second= - Proof that a later tree head extends an earlier one
+router.get('/consistency', requireLog, async (req, res) => {
+    try {
+        const transparencyLog = req.app.locals.transparencyLog;
+        const first = parseInt(req.query.first);
+        let second = parseInt(req.query.second);
+        
+        if (!second) {
+            const latest = await transparencyLog.getLatestTreeHead();
+            second = latest ? latest.tree_size : 0;
+        }
+        
+        if (!first || first < 1 || first > second) {
+            return res.status(400).json({ error: 'first must be a tree size between 1 and second' });
+        }
+        
+        const proof = await transparencyLog.getConsistencyProof(first, second);
+        
+        if (!proof) {
+            return res.status(404).json({ error: 'Tree head not found' });
+        }
+        
+        res.json({
+            success: true,
+            ...proof
+        });
+        
+    } catch (error) {
+        console.error('Error building consistency proof:', error);
+        res.status(500).json({ error: 'Failed to build consistency proof', message: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,416 @@
+// routes/verifiers.js - Third-party verifier organizations and their API keys
+const express = require('express');
+const router = express.Router();
+const jwt = require('jsonwebtoken');
+const VerifierApiKeyService = require('../services/VerifierApiKeyService');
+const { ORGANIZATION_STATUSES } = VerifierApiKeyService;
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+
+// Middleware to verify JWT token
+function authenticateToken(req, res, next) {
+  const token = req.headers.authorization?.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    req.user = decoded;
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid token'
+    });
+  }
+}
+
+// Middleware to verify registrar (admin portal logins are registrar accounts too)
+function requireRegistrar(req, res, next) {
+  if (req.user.type !== 'registrar' && req.user.type !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      error: 'Access denied. Registrar privileges required.'
+    });
+  }
+  next();
+}
+
+// Middleware to authenticate a verifier by its API key (any scope)
+async function authenticateApiKey(req, res, next) {
+  const apiKey = req.header('X-API-Key');
+
+  if (!apiKey) {
+    return res.status(401).json({
+      success: false,
+      error: 'API key required'
+    });
+  }
+
+  try {
+    const auth = await VerifierApiKeyService.authenticate(req.app.locals.db, apiKey);
+
+    if (auth.error) {
+      return res.status(auth.statusCode).json({
+        success: false,
+        error: auth.error
+      });
+    }
+
+    req.apiKey = auth.key;
+    req.verifierOrganization = auth.organization;
+    next();
+  } catch (error) {
+    console.error('API key check error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check API key'
+    });
+  }
+}
+
+/**
+ * POST /api/verifiers/register
+ * Register a verifier organization - a registrar approves it and issues keys
+ */
+router.post('/register', async (req, res) => {
+  try {
+    const { name, contactEmail, contactName, purpose } = req.body;
+
+    if (!name || !contactEmail) {
+      return res.status(400).json({
+        success: false,
+        error: 'name and contactEmail are required'
+      });
+    }
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(contactEmail)) {
+      return res.status(400).json({
+        success: false,
+        error: 'contactEmail is not a valid email address'
+      });
+    }
+
+    const organization = await VerifierApiKeyService.registerOrganization(req.app.locals.db, {
+      name, contactEmail, contactName, purpose
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Registration received. API keys are issued once a registrar approves it.',
+      organization: {
+        id: organization.id,
+        name: organization.name,
+        status: organization.status
+      }
+    });
+
+  } catch (error) {
+    console.error('Verifier registration error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to register verifier organization'
+    });
+  }
+});
+
+/**
+ * GET /api/verifiers/me/usage
+ * Usage report for the API key making the request (?from=YYYY-MM-DD&to=YYYY-MM-DD)
+ */
+router.get('/me/usage', authenticateApiKey, async (req, res) => {
+  try {
+    let report;
+    try {
+      report = await VerifierApiKeyService.getUsageReport(req.app.locals.db, req.apiKey, req.query);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      organization: req.verifierOrganization,
+      ...report
+    });
+
+  } catch (error) {
+    console.error('Get API key usage error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch API key usage'
+    });
+  }
+});
+
+/**
+ * POST /api/verifiers/me/keys/rotate
+ * Replace the API key making the request; it keeps working for the grace period.
+ * A key can rotate itself once per API_KEY_SELF_ROTATION_INTERVAL_HOURS.
+ */
+router.post('/me/keys/rotate', authenticateApiKey, async (req, res) => {
+  try {
+    const waitSeconds = VerifierApiKeyService.getSecondsUntilSelfRotation(req.apiKey);
+    if (waitSeconds > 0) {
+      res.set('Retry-After', String(waitSeconds));
+      return res.status(429).json({
+        success: false,
+        error: 'API key was issued too recently to rotate again - ask a registrar if it was compromised'
+      });
+    }
+
+    const rotated = await VerifierApiKeyService.rotateKey(req.app.locals.db, req.apiKey.id);
+
+    if (!rotated) {
+      return res.status(409).json({
+        success: false,
+        error: 'API key has already been rotated'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Store the new API key now - it is not shown again',
+      apiKey: rotated.apiKey,
+      key: rotated.key,
+      previousKey: rotated.previousKey
+    });
+
+  } catch (error) {
+    console.error('Rotate API key error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rotate API key'
+    });
+  }
+});
+
+/**
+ * GET /api/verifiers
+ * List verifier organizations and their keys
+ */
+router.get('/', authenticateToken, requireRegistrar, async (req, res) => {
+  try {
+    const organizations = await VerifierApiKeyService.listOrganizations(req.app.locals.db);
+
+    res.json({
+      success: true,
+      organizations
+    });
+
+  } catch (error) {
+    console.error('List verifier organizations error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch verifier organizations'
+    });
+  }
+});
+
+/**
+ * POST /api/verifiers/:id/status
+ * Approve (active) or suspend a verifier organization
+ */
+router.post('/:id/status', authenticateToken, requireRegistrar, async (req, res) => {
+  try {
+    const { status } = req.body;
+
+    if (!Object.values(ORGANIZATION_STATUSES).includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${Object.values(ORGANIZATION_STATUSES).join(', ')}`
+      });
+    }
+
+    const organization = await VerifierApiKeyService.setOrganizationStatus(
+      req.app.locals.db, parseInt(req.params.id), status, req.user.id
+    );
+
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        error: 'Verifier organization not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      organization
+    });
+
+  } catch (error) {
+    console.error('Update verifier organization error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update verifier organization'
+    });
+  }
+});
+
+/**
+ * POST /api/verifiers/:id/keys
+ * Issue an API key - body: label, scopes (lookup, upload, bulk), dailyQuota, monthlyQuota (null for unlimited)
+ */
+router.post('/:id/keys', authenticateToken, requireRegistrar, async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const { label, scopes, dailyQuota, monthlyQuota } = req.body;
+
+    const result = await db.query('SELECT * FROM verifier_organizations WHERE id = $1', [parseInt(req.params.id)]);
+    const organization = result.rows[0];
+
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        error: 'Verifier organization not found'
+      });
+    }
+
+    if (organization.status !== ORGANIZATION_STATUSES.ACTIVE) {
+      return res.status(409).json({
+        success: false,
+        error: `Verifier organization is ${organization.status} - approve it first`
+      });
+    }
+
+    let issued;
+    try {
+      issued = await VerifierApiKeyService.issueKey(db, organization.id, {
+        label, scopes, dailyQuota, monthlyQuota, createdBy: req.user.id
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Give this API key to the verifier now - it is not shown again',
+      apiKey: issued.apiKey,
+      key: issued.key
+    });
+
+  } catch (error) {
+    console.error('Issue API key error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to issue API key'
+    });
+  }
+});
+
+/**
+ * POST /api/verifiers/keys/:keyId/rotate
+ * Replace a key with a new one with the same scopes and quotas - body: graceHours
+ */
+router.post('/keys/:keyId/rotate', authenticateToken, requireRegistrar, async (req, res) => {
+  try {
+    const rotated = await VerifierApiKeyService.rotateKey(req.app.locals.db, parseInt(req.params.keyId), {
+      graceHours: req.body.graceHours,
+      createdBy: req.user.id
+    });
+
+    if (!rotated) {
+      return res.status(404).json({
+        success: false,
+        error: 'No active API key with that id'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Give this API key to the verifier now - it is not shown again',
+      apiKey: rotated.apiKey,
+      key: rotated.key,
+      previousKey: rotated.previousKey
+    });
+
+  } catch (error) {
+    console.error('Rotate API key error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rotate API key'
+    });
+  }
+});
+
+/**
+ * POST /api/verifiers/keys/:keyId/revoke
+ * Revoke a key immediately - body: reason
+ */
+router.post('/keys/:keyId/revoke', authenticateToken, requireRegistrar, async (req, res) => {
+  try {
+    const key = await VerifierApiKeyService.revokeKey(req.app.locals.db, parseInt(req.params.keyId), req.body.reason);
+
+    if (!key) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found or already revoked'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'API key revoked',
+      key
+    });
+
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke API key'
+    });
+  }
+});
+
+/**
+ * GET /api/verifiers/keys/:keyId/usage
+ * Usage report for a key (?from=YYYY-MM-DD&to=YYYY-MM-DD, default the last 30 days)
+ */
+router.get('/keys/:keyId/usage', authenticateToken, requireRegistrar, async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const key = await VerifierApiKeyService.getKey(db, parseInt(req.params.keyId));
+
+    if (!key) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    let report;
+    try {
+      report = await VerifierApiKeyService.getUsageReport(db, key, req.query);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      ...report
+    });
+
+  } catch (error) {
+    console.error('Get API key usage error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch API key usage'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+// scripts/signerKeys.js - Generate, import and rotate the anchoring signer key
+//
+//   node scripts/signerKeys.js generate <keystore.json>
+//   node scripts/signerKeys.js import <keystore.json>       (encrypts REGISTRAR_PRIVATE_KEY)
+//   node scripts/signerKeys.js address <keystore.json>
+//   node scripts/signerKeys.js rotate <new-keystore.json> [--fund <eth>] [--retire-old] [--institution <name>]
+//
+// Keystores are encrypted with SIGNER_KEYSTORE_PASSWORD. For rotate, the new
+// keystore uses NEW_SIGNER_KEYSTORE_PASSWORD when set. Stop the server before
+// rotating so no queued transaction is sent with the old key mid-rotation.
+
+const fs = require('fs');
+const dotenv = require('dotenv');
+const { ethers } = require('ethers');
+const BlockchainService = require('../services/BlockchainService');
+const KeystoreService = require('../services/KeystoreService');
+
+dotenv.config();
+
+const USAGE = `Usage:
+  node scripts/signerKeys.js generate <keystore.json>
+  node scripts/signerKeys.js import <keystore.json>
+  node scripts/signerKeys.js address <keystore.json>
+  node scripts/signerKeys.js rotate <new-keystore.json> [--fund <eth>] [--retire-old] [--institution <name>]`;
+
+/**
+ * Take a flag (and its value) out of the argument list
+ * @param {Array<string>} args - Arguments, modified in place
+ * @param {string} name - Flag name
+ * @param {boolean} hasValue - Whether the flag takes a value
+ * @returns {string|boolean|null} - Value, true for a bare flag, null when absent
+ */
+function takeOption(args, name, hasValue = true) {
+  const index = args.indexOf(name);
+  if (index < 0) {
+    return null;
+  }
+  return hasValue ? args.splice(index, 2)[1] : !!args.splice(index, 1);
+}
+
+async function generate(keystorePath) {
+  const { address } = await KeystoreService.create(keystorePath, process.env.SIGNER_KEYSTORE_PASSWORD);
+  console.log(`Created keystore ${keystorePath}`);
+  console.log(`Signer address: ${address}`);
+  console.log('Fund this address and authorize it as a registrar before using it as SIGNER_KEYSTORE_PATH.');
+}
+
+async function importKey(keystorePath) {
+  if (!process.env.REGISTRAR_PRIVATE_KEY) {
+    throw new Error('REGISTRAR_PRIVATE_KEY is not set');
+  }
+
+  const wallet = new ethers.Wallet(process.env.REGISTRAR_PRIVATE_KEY);
+  const { address } = await KeystoreService.save(keystorePath, wallet, process.env.SIGNER_KEYSTORE_PASSWORD);
+
+  console.log(`Encrypted ${address} into ${keystorePath}`);
+  console.log('Set SIGNER_KEYSTORE_PATH to this file and remove REGISTRAR_PRIVATE_KEY from the environment.');
+}
+
+async function rotate(newKeystorePath, options) {
+  const newPassphrase = process.env.NEW_SIGNER_KEYSTORE_PASSWORD || process.env.SIGNER_KEYSTORE_PASSWORD;
+
+  if (!fs.existsSync(newKeystorePath)) {
+    await KeystoreService.create(newKeystorePath, newPassphrase);
+    console.log(`Created new keystore ${newKeystorePath}`);
+  }
+
+  // Decrypting proves the passphrase works before ownership moves to the key
+  const newWallet = await KeystoreService.load(newKeystorePath, newPassphrase);
+
+  const blockchain = new BlockchainService();
+  await blockchain.initialize(
+    process.env.BLOCKCHAIN_URL || 'http://127.0.0.1:8545',
+    process.env.REGISTRAR_PRIVATE_KEY || null,
+    process.env.CONTRACT_ADDRESS,
+    {
+      keystorePath: process.env.SIGNER_KEYSTORE_PATH || null,
+      keystorePassphrase: process.env.SIGNER_KEYSTORE_PASSWORD || null
+    }
+  );
+
+  const result = await blockchain.rotateSigner(newWallet.address, options);
+
+  console.log('');
+  console.log(`Rotated signer ${result.oldSigner} -> ${result.newSigner}`);
+  for (const [step, transactionHash] of Object.entries(result.steps)) {
+    console.log(`  ${step}: ${transactionHash}`);
+  }
+  console.log('');
+  console.log('Next steps:');
+  console.log(`  1. Set SIGNER_KEYSTORE_PATH=${newKeystorePath}` +
+    (process.env.NEW_SIGNER_KEYSTORE_PASSWORD ? ' and SIGNER_KEYSTORE_PASSWORD to the new passphrase' : ''));
+  console.log('  2. Restart the server');
+  console.log('  3. Keep the old keystore - documents it anchored still name its address');
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const fundAmount = takeOption(args, '--fund');
+  const retireOld = takeOption(args, '--retire-old', false);
+  const institutionName = takeOption(args, '--institution');
+  const [command, keystorePath] = args;
+
+  if (!command || !keystorePath) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  switch (command) {
+    case 'generate':
+      await generate(keystorePath);
+      break;
+    case 'import':
+      await importKey(keystorePath);
+      break;
+    case 'address':
+      console.log(KeystoreService.readAddress(keystorePath));
+      break;
+    case 'rotate':
+      await rotate(keystorePath, { fundAmount, retireOld: !!retireOld, institutionName });
+      break;
+    default:
+      console.error(USAGE);
+      process.exit(1);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('Error:', error.message);
+    process.exit(1);
+  });
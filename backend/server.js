@@ -11,6 +11,14 @@ dotenv.config();
 // Import services
 const BlockchainService = require('./services/BlockchainService');
 const DatabaseService = require('./services/DatabaseService');
+const BatchAnchorService = require('./services/BatchAnchorService');
+const AnchorQueueService = require('./services/AnchorQueueService');
+const ChainIndexerService = require('./services/ChainIndexerService');
+const ConfirmationWatcherService = require('./services/ConfirmationWatcherService');
+const TransparencyLogService = require('./services/TransparencyLogService');
+const AnchorBackendService = require('./services/AnchorBackendService');
+const ReceiptService = require('./services/ReceiptService');
+const { BlockchainAnchorBackend } = AnchorBackendService;
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -19,10 +27,19 @@ const verificationRoutes = require('./routes/verification');
 const registrarRoutes = require('./routes/registrars');
 const studentRoutes = require('./routes/students');
 const templatesRoutes = require('./routes/templates');
+const transparencyLogRoutes = require('./routes/transparencyLog');
+const documentTypeRoutes = require('./routes/documentTypes');
+const verifierRoutes = require('./routes/verifiers');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a reverse proxy (e.g. Render) req.ip is only the client's address when the proxy is trusted
+if (process.env.TRUST_PROXY) {
+    const hops = parseInt(process.env.TRUST_PROXY);
+    app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json({ limit: '50mb' }));
@@ -46,6 +63,14 @@ requiredDirs.forEach(dir => {
 // Initialize services
 let dbConnection = null;
 let blockchainService = null;
+let batchAnchorService = null;
+let anchorQueueService = null;
+let chainIndexerService = null;
+let confirmationWatcherService = null;
+let anchorBackendService = null;
+
+// Blocks on top of an anchoring transaction before its documents are marked verified
+const CONFIRMATION_DEPTH = parseInt(process.env.CONFIRMATION_DEPTH) || 12;
 
 async function initializeServices() {
     try {
@@ -69,10 +94,55 @@ async function initializeServices() {
             await blockchainService.initialize(
                 process.env.BLOCKCHAIN_URL || 'http://127.0.0.1:8545',
                 process.env.REGISTRAR_PRIVATE_KEY || null,
-                contractAddress
+                contractAddress,
+                {
+                    keystorePath: process.env.SIGNER_KEYSTORE_PATH || null,
+                    keystorePassphrase: process.env.SIGNER_KEYSTORE_PASSWORD || null
+                }
             );
             app.locals.blockchain = blockchainService;
             console.log('✅ Blockchain service initialized successfully');
+            
+            // Anchoring transactions are queued in Postgres and sent by a background worker
+            anchorQueueService = new AnchorQueueService(DatabaseService, blockchainService, {
+                pollIntervalMs: parseInt(process.env.ANCHOR_QUEUE_POLL_MS) || undefined,
+                maxAttempts: parseInt(process.env.ANCHOR_QUEUE_MAX_ATTEMPTS) || undefined,
+                supersessionWaitHours: parseFloat(process.env.ANCHOR_QUEUE_SUPERSESSION_WAIT_HOURS) || undefined
+            });
+            anchorQueueService.start();
+            app.locals.anchorQueue = anchorQueueService;
+            
+            // Chain event indexer - mirrors DocumentRegistered events into chain_events
+            if (process.env.CHAIN_INDEXER_ENABLED === 'true') {
+                chainIndexerService = new ChainIndexerService(DatabaseService, blockchainService, {
+                    startBlock: parseInt(process.env.CHAIN_INDEXER_START_BLOCK) || undefined,
+                    pollIntervalMs: parseInt(process.env.CHAIN_INDEXER_POLL_MS) || undefined,
+                    reorgDepth: parseInt(process.env.CHAIN_INDEXER_REORG_DEPTH) || undefined
+                });
+                chainIndexerService.start();
+                app.locals.chainIndexer = chainIndexerService;
+            }
+            
+            // Merkle batch anchoring - finalize queues documents instead of sending one tx each
+            if (process.env.ANCHOR_MODE === 'batch') {
+                batchAnchorService = new BatchAnchorService(DatabaseService, blockchainService, {
+                    intervalMs: parseInt(process.env.BATCH_ANCHOR_INTERVAL_MS) || undefined,
+                    maxBatchSize: parseInt(process.env.BATCH_ANCHOR_MAX_SIZE) || undefined
+                });
+                batchAnchorService.start();
+                app.locals.batchAnchor = batchAnchorService;
+            }
+            
+            // Confirmation watcher - finalizes anchors once deep enough, rolls them back after a reorg
+            confirmationWatcherService = new ConfirmationWatcherService(DatabaseService, blockchainService, {
+                anchorQueue: anchorQueueService,
+                batchAnchor: batchAnchorService
+            }, {
+                confirmationDepth: CONFIRMATION_DEPTH,
+                pollIntervalMs: parseInt(process.env.CONFIRMATION_WATCHER_POLL_MS) || undefined
+            });
+            confirmationWatcherService.start();
+            app.locals.confirmationWatcher = confirmationWatcherService;
         }
         
     } catch (error) {
@@ -83,6 +153,56 @@ async function initializeServices() {
             process.exit(1);
         }
     }
+    
+    if (dbConnection) {
+        initializeAnchorBackends();
+        initializeReceipts();
+    }
+}
+
+// Offline verification receipts - signed with the server's receipt key
+function initializeReceipts() {
+    const receipts = new ReceiptService({
+        keyPath: process.env.RECEIPT_KEY_PATH || undefined
+    });
+    
+    try {
+        receipts.initialize();
+        app.locals.receipts = receipts;
+    } catch (error) {
+        console.error('❌ Failed to initialize receipt signing:', error);
+    }
+}
+
+// Anchoring backends - blockchain when connected, local transparency log as the fallback
+function initializeAnchorBackends() {
+    const transparencyLog = new TransparencyLogService(DatabaseService, {
+        keyPath: process.env.TRANSPARENCY_LOG_KEY_PATH || undefined
+    });
+    
+    try {
+        transparencyLog.initialize();
+        app.locals.transparencyLog = transparencyLog;
+    } catch (error) {
+        console.error('❌ Failed to initialize transparency log:', error);
+    }
+    
+    const blockchainBackend = new BlockchainAnchorBackend(DatabaseService, blockchainService, {
+        anchorQueue: anchorQueueService,
+        batchAnchor: batchAnchorService,
+        chainIndexer: chainIndexerService
+    }, {
+        confirmationDepth: CONFIRMATION_DEPTH
+    });
+    
+    anchorBackendService = new AnchorBackendService(
+        [blockchainBackend, transparencyLog],
+        process.env.ANCHOR_BACKEND || 'blockchain'
+    );
+    app.locals.anchorBackends = anchorBackendService;
+    
+    const selected = anchorBackendService.select();
+    console.log(`✅ Anchoring backend: ${selected ? selected.name : 'none available'}`);
 }
 
 // Helper function to get deployed contract address
@@ -116,6 +236,20 @@ app.use('/api/documents', documentRoutes);
 app.use('/api/registrars', registrarRoutes);
 app.use('/api/students', studentRoutes);
 app.use('/api/templates', templatesRoutes);
+app.use('/api/transparency-log', transparencyLogRoutes);
+app.use('/api/document-types', documentTypeRoutes);
+app.use('/api/verifiers', verifierRoutes);
+
+// JSON Web Key Set for signed (JWS) verification responses
+app.get('/.well-known/jwks.json', (req, res) => {
+    const receipts = app.locals.receipts;
+    
+    if (!receipts || !receipts.isAvailable()) {
+        return res.status(503).json({ error: 'Response signing not available' });
+    }
+    
+    res.json(receipts.getJWKS());
+});
 
 // Health check endpoint
 app.get('/api/health', async (req, res) => {
@@ -148,6 +282,8 @@ app.get('/api/health', async (req, res) => {
             database: dbStatus,
             database_tables: dbTables,
             blockchain: blockchainService?.initialized ? 'connected' : 'disconnected',
+            anchorMode: batchAnchorService ? 'merkle_batch' : 'single',
+            anchorBackend: anchorBackendService?.select()?.name || 'none',
             contractAddress: blockchainService?.contractAddress || 'not deployed',
             timestamp: new Date().toISOString(),
             environment: process.env.NODE_ENV || 'development'
@@ -220,11 +356,13 @@ app.get('/api/blockchain/status', async (req, res) => {
         }
         
         const stats = await blockchainService.getContractStats();
+        const index = chainIndexerService ? await chainIndexerService.getStats() : null;
         res.json({
             connected: true,
             contractAddress: blockchainService.contractAddress,
             network: process.env.BLOCKCHAIN_URL || 'http://127.0.0.1:8545',
-            stats
+            stats,
+            index
         });
     } catch (error) {
         res.status(500).json({
@@ -382,7 +520,8 @@ app.use((req, res) => {
                 '/api/verify/*',
                 '/api/registrars/*',
                 '/api/students/*',
-                '/api/templates/*'
+                '/api/templates/*',
+                '/api/transparency-log/*'
             ]
         });
     } else {
@@ -447,6 +586,19 @@ async function startServer() {
 process.on('SIGINT', async () => {
     console.log('\n🛑 Shutting down gracefully...');
     
+    if (batchAnchorService) {
+        batchAnchorService.stop();
+    }
+    if (anchorQueueService) {
+        anchorQueueService.stop();
+    }
+    if (chainIndexerService) {
+        chainIndexerService.stop();
+    }
+    if (confirmationWatcherService) {
+        confirmationWatcherService.stop();
+    }
+    
     try {
         // Close PostgreSQL connection pool
         await DatabaseService.close();
@@ -461,6 +613,19 @@ process.on('SIGINT', async () => {
 process.on('SIGTERM', async () => {
     console.log('\n🛑 Received SIGTERM, shutting down gracefully...');
     
+    if (batchAnchorService) {
+        batchAnchorService.stop();
+    }
+    if (anchorQueueService) {
+        anchorQueueService.stop();
+    }
+    if (chainIndexerService) {
+        chainIndexerService.stop();
+    }
+    if (confirmationWatcherService) {
+        confirmationWatcherService.stop();
+    }
+    
     try {
         await DatabaseService.close();
         console.log('✅ Database connections closed');
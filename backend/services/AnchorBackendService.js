@@ -0,0 +1,257 @@
+const BatchAnchorService = require('./BatchAnchorService');
+const { JOB_TYPES } = require('./AnchorQueueService');
+
+// Registration events are searched from here when a document row has no anchoring transaction
+const REGISTRATION_SEARCH_START_BLOCK = parseInt(process.env.CHAIN_INDEXER_START_BLOCK) || 0;
+
+// Values of documents.anchor_backend
+const ANCHOR_BACKENDS = {
+  BLOCKCHAIN: 'blockchain',
+  TRANSPARENCY_LOG: 'transparency_log'
+};
+
+/**
+ * Anchors documents on the smart contract - one queued transaction per
+ * document, or a shared Merkle root when batch mode is enabled.
+ *
+ * Anchoring backends all expose the same interface:
+ *   name, guarantee          - stored per document / reported by verification
+ *   isAvailable()            - whether anchor() can be used right now
+ *   anchor(document)         - anchor a document row, returns { pending, ... }
+ *   verify(document, hash)   - returns { verified, data, batch, proof }
+ */
+class BlockchainAnchorBackend {
+  /**
+   * @param {Object} db - DatabaseService
+   * @param {Object} blockchain - BlockchainService (may be uninitialized)
+   * @param {Object} services - anchorQueue, batchAnchor and chainIndexer, when running
+   * @param {Object} options - confirmationDepth
+   */
+  constructor(db, blockchain, services = {}, options = {}) {
+    this.db = db;
+    this.blockchain = blockchain;
+    this.anchorQueue = services.anchorQueue || null;
+    this.batchAnchor = services.batchAnchor || null;
+    this.chainIndexer = services.chainIndexer || null;
+    this.confirmationDepth = options.confirmationDepth || 12;
+    this.name = ANCHOR_BACKENDS.BLOCKCHAIN;
+    this.guarantee = 'Registered on the public blockchain. Anyone can check the document hash ' +
+      'against the smart contract without trusting this server.';
+  }
+
+  /**
+   * @returns {boolean} - True when the chain is connected and the anchor queue is running
+   */
+  isAvailable() {
+    return !!(this.blockchain && this.blockchain.initialized && this.anchorQueue);
+  }
+
+  /**
+   * Queue a document for anchoring - confirmation happens in the background
+   * @param {Object} document - Document row
+   * @returns {Promise<Object>} - Pending result with the batch mode or queue job
+   */
+  async anchor(document) {
+    await this.db.query(
+      `UPDATE documents SET anchor_backend = $1, anchor_status = 'pending' WHERE document_hash = $2`,
+      [this.name, document.document_hash]
+    );
+
+    if (this.batchAnchor) {
+      await this.batchAnchor.enqueue(document.document_hash);
+      return { pending: true, anchorMode: 'merkle_batch' };
+    }
+
+    const job = await this.anchorQueue.enqueue(JOB_TYPES.FINALIZE_DOCUMENT, document.document_hash);
+    return { pending: true, anchorMode: 'single', jobId: job.id, jobStatus: job.status };
+  }
+
+  /**
+   * Check a document on chain - directly, from the event index, or through its Merkle batch root
+   * @param {Object} document - Document row, or undefined for hashes with no database record
+   * @param {string} documentHash - Document hash
+   * @returns {Promise<Object>} - { verified, data, batch, proof, confirmations }
+   */
+  async verify(document, documentHash) {
+    if (document && document.anchor_batch_id) {
+      const anchor = await BatchAnchorService.verifyBatchedDocument(this.db, this.blockchain, document);
+      console.log('Batch verification:', anchor.verified ? '✅ ROOT FOUND, PROOF VALID' : '❌ NOT VERIFIED');
+      const confirmations = anchor.verified
+        ? await this.getConfirmations(document, anchor.batch.transactionHash)
+        : null;
+      return { ...anchor, proof: null, confirmations };
+    }
+
+    if (!this.blockchain || !this.blockchain.initialized) {
+      console.warn('⚠️  Blockchain service not available - using database only');
+      return { verified: false, data: null, batch: null, proof: null, confirmations: null };
+    }
+
+    // Registrations already in the chain event index skip the contract call
+    if (this.chainIndexer) {
+      const indexed = await this.chainIndexer.findRegistration(documentHash);
+
+      if (indexed) {
+        console.log('Blockchain verification: ✅ FOUND IN CHAIN INDEX (block ' + indexed.block_number + ')');
+        const revocation = await this.blockchain.getRevocationStatus(documentHash);
+        const supersession = await this.blockchain.getSupersessionStatus(documentHash);
+        const registrar = await this.blockchain.getDocumentRegistrar(documentHash);
+
+        return {
+          verified: true,
+          data: {
+            exists: true,
+            timestamp: Math.floor(new Date(indexed.event_timestamp).getTime() / 1000),
+            dateRegistered: indexed.event_timestamp,
+            documentHash: documentHash,
+            transactionHash: indexed.tx_hash,
+            blockNumber: indexed.block_number,
+            source: 'index',
+            registrar,
+            revoked: revocation ? revocation.revoked : false,
+            revocation: revocation && revocation.revoked ? revocation : null,
+            superseded: supersession ? supersession.superseded : false,
+            supersession: supersession && supersession.superseded ? supersession : null
+          },
+          batch: null,
+          proof: null,
+          confirmations: await this.getConfirmations(document, indexed.tx_hash)
+        };
+      }
+    }
+
+    console.log('Checking blockchain for hash:', documentHash);
+    const blockchainResult = await this.blockchain.verifyDocument(documentHash);
+    console.log('Blockchain verification:', blockchainResult.verified ? '✅ FOUND ON BLOCKCHAIN' : '❌ NOT ON BLOCKCHAIN');
+
+    return {
+      verified: blockchainResult.verified,
+      data: blockchainResult.document,
+      batch: null,
+      proof: null,
+      confirmations: blockchainResult.verified
+        ? await this.getConfirmations(document, await this.findAnchorTransaction(document, documentHash))
+        : null
+    };
+  }
+
+  /**
+   * Transaction that registered a document - from its row, else from the contract's events
+   * @param {Object} document - Document row, or undefined
+   * @param {string} documentHash - Document hash
+   * @returns {Promise<string|null>} - Transaction hash, or null when it cannot be found
+   */
+  async findAnchorTransaction(document, documentHash) {
+    if (document && document.blockchain_tx_hash) {
+      return document.blockchain_tx_hash;
+    }
+
+    try {
+      const registration = await this.blockchain.findDocumentRegistration(documentHash, REGISTRATION_SEARCH_START_BLOCK);
+      return registration ? registration.transactionHash : null;
+    } catch (error) {
+      console.error('Could not find the registration transaction:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Current confirmation count of the transaction that anchored a document
+   * @param {Object} document - Document row, or undefined
+   * @param {string} transactionHash - Anchoring transaction (the batch transaction for batched documents)
+   * @returns {Promise<Object|null>} - { count, required, finalized, status, blockNumber }, or null when
+   *   the count is unknown (no transaction, or the lookup failed) - callers must not treat that as final
+   */
+  async getConfirmations(document, transactionHash) {
+    if (!transactionHash) {
+      return null;
+    }
+
+    let tx;
+    try {
+      tx = await this.blockchain.getConfirmations(transactionHash);
+    } catch (error) {
+      // The anchor itself was verified - a failed receipt lookup only leaves the count unknown
+      console.error('Could not count confirmations:', error.message);
+      return null;
+    }
+
+    return {
+      count: tx.confirmations,
+      required: this.confirmationDepth,
+      finalized: tx.confirmations >= this.confirmationDepth,
+      status: document ? document.anchor_status : null,
+      blockNumber: tx.blockNumber
+    };
+  }
+}
+
+/**
+ * Picks the anchoring backend for new documents and routes verification to
+ * the backend each document was anchored with.
+ */
+class AnchorBackendService {
+  /**
+   * @param {Array<Object>} backends - Backends in fallback order
+   * @param {string} preferred - Name of the backend to use when it is available
+   */
+  constructor(backends, preferred = ANCHOR_BACKENDS.BLOCKCHAIN) {
+    this.backends = backends;
+    this.preferred = preferred;
+  }
+
+  /**
+   * Get a backend by name
+   * @param {string} name - Backend name
+   * @returns {Object|null} - Backend
+   */
+  get(name) {
+    return this.backends.find(backend => backend.name === name) || null;
+  }
+
+  /**
+   * Backend for new anchors: the preferred one, else the first available
+   * @returns {Object|null} - Backend, or null if none is available
+   */
+  select() {
+    const preferred = this.get(this.preferred);
+    if (preferred && preferred.isAvailable()) {
+      return preferred;
+    }
+    return this.backends.find(backend => backend.isAvailable()) || null;
+  }
+
+  /**
+   * Verify a document with the backend it was anchored with
+   * (rows from before backends were recorded are treated as blockchain anchors)
+   * @param {Object} document - Document row, or undefined
+   * @param {string} documentHash - Document hash
+   * @returns {Promise<Object>} - { verified, data, batch, proof, confirmations, backend }
+   */
+  async verify(document, documentHash) {
+    const backend = this.get((document && document.anchor_backend) || ANCHOR_BACKENDS.BLOCKCHAIN);
+
+    if (!backend) {
+      return { verified: false, data: null, batch: null, proof: null, confirmations: null, backend: null };
+    }
+
+    try {
+      const result = await backend.verify(document, documentHash);
+      return { ...result, backend: { name: backend.name, guarantee: backend.guarantee } };
+    } catch (error) {
+      console.error(`Anchor verification error (${backend.name}):`, error);
+      return {
+        verified: false,
+        data: null,
+        batch: null,
+        proof: null,
+        confirmations: null,
+        backend: { name: backend.name, guarantee: backend.guarantee }
+      };
+    }
+  }
+}
+
+module.exports = AnchorBackendService;
+module.exports.BlockchainAnchorBackend = BlockchainAnchorBackend;
+module.exports.ANCHOR_BACKENDS = ANCHOR_BACKENDS;
@@ -0,0 +1,482 @@
+const WatermarkService = require('./WatermarkService');
+const DocumentVersionService = require('./DocumentVersionService');
+
+// Job types handled by the queue
+const JOB_TYPES = {
+  FINALIZE_DOCUMENT: 'finalize_document',
+  REGISTER_TEMPLATE_DOCUMENT: 'register_template_document',
+  SUPERSEDE_DOCUMENT: 'supersede_document'
+};
+
+// Values of documents.anchor_status once the document's anchor is on chain
+const ANCHORED_STATUSES = ['included', 'finalized'];
+
+// Registration and supersession events are searched from here when a job turns out to be on chain already
+const REGISTRATION_SEARCH_START_BLOCK = parseInt(process.env.CHAIN_INDEXER_START_BLOCK) || 0;
+
+// Job states: queued -> submitted -> confirmed, or failed once attempts run out
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  SUBMITTED: 'submitted',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed'
+};
+
+/**
+ * Postgres-backed queue for anchoring transactions. HTTP handlers enqueue a job
+ * and return its id; a background loop submits, tracks and retries the
+ * transactions with exponential backoff.
+ */
+class AnchorQueueService {
+  /**
+   * @param {Object} db - DatabaseService
+   * @param {Object} blockchain - Initialized BlockchainService
+   * @param {Object} options - pollIntervalMs, maxAttempts, baseBackoffMs, supersessionWaitHours
+   */
+  constructor(db, blockchain, options = {}) {
+    this.db = db;
+    this.blockchain = blockchain;
+    this.pollIntervalMs = options.pollIntervalMs || 5000;
+    this.maxAttempts = options.maxAttempts || 5;
+    this.baseBackoffMs = options.baseBackoffMs || 15000;
+    // How long a supersession waits for its new version to be finalized and anchored
+    this.supersessionWaitHours = options.supersessionWaitHours || 168;
+    this.timer = null;
+    this.processing = false;
+  }
+
+  /**
+   * Start the worker loop
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.processJobs().catch(error => console.error('Anchor queue tick failed:', error));
+    }, this.pollIntervalMs);
+
+    console.log(`Anchor queue worker started (polling every ${this.pollIntervalMs / 1000}s)`);
+  }
+
+  /**
+   * Stop the worker loop
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Queue an anchoring job. An active job for the same document and type is reused.
+   * @param {string} jobType - One of JOB_TYPES
+   * @param {string} documentHash - Hash to anchor
+   * @param {Object} payload - Extra data needed when the job completes
+   * @returns {Promise<Object>} - Job row
+   */
+  async enqueue(jobType, documentHash, payload = {}) {
+    const existing = await this.db.query(
+      `SELECT * FROM anchor_jobs
+       WHERE job_type = $1 AND document_hash = $2 AND status IN ('queued', 'submitted')
+       ORDER BY id DESC LIMIT 1`,
+      [jobType, documentHash]
+    );
+
+    if (existing.rows[0]) {
+      return existing.rows[0];
+    }
+
+    const result = await this.db.query(
+      `INSERT INTO anchor_jobs (job_type, document_hash, payload, max_attempts)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [jobType, documentHash, JSON.stringify(payload), this.maxAttempts]
+    );
+
+    console.log(`Queued ${jobType} job ${result.rows[0].id} for ${documentHash}`);
+    return result.rows[0];
+  }
+
+  /**
+   * Get a job by id
+   * @param {number} jobId - Job id
+   * @returns {Promise<Object|null>} - Job row
+   */
+  async getJob(jobId) {
+    const result = await this.db.query('SELECT * FROM anchor_jobs WHERE id = $1', [jobId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * One worker pass: check submitted transactions, then submit due jobs
+   */
+  async processJobs() {
+    if (this.processing) {
+      return;
+    }
+
+    this.processing = true;
+
+    try {
+      const submitted = await this.db.query(
+        `SELECT * FROM anchor_jobs WHERE status = 'submitted' ORDER BY id ASC`
+      );
+      for (const job of submitted.rows) {
+        await this.checkSubmittedJob(job);
+      }
+
+      const due = await this.db.query(
+        `SELECT * FROM anchor_jobs
+         WHERE status = 'queued' AND next_attempt_at <= NOW()
+         ORDER BY id ASC LIMIT 20`
+      );
+      for (const job of due.rows) {
+        await this.submitJob(job);
+      }
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Send the job's transaction. The hash may already be on chain - a crash
+   * between broadcasting and saving the job leaves it queued although its
+   * transaction went out - so the chain is checked before every send and
+   * after a failed one (an "already registered" revert). A supersession
+   * waits until the new version is anchored, so the old version never
+   * points at a hash verifiers cannot find.
+   * @param {Object} job - Job row
+   */
+  async submitJob(job) {
+    const isSupersession = job.job_type === JOB_TYPES.SUPERSEDE_DOCUMENT;
+
+    try {
+      if (isSupersession && !(await this.isNewVersionAnchored(job))) {
+        const waitedHours = (Date.now() - new Date(job.created_at).getTime()) / (60 * 60 * 1000);
+
+        if (waitedHours >= this.supersessionWaitHours) {
+          await this.failJob(job, new Error(
+            `The new version ${job.payload.newDocumentHash} was not anchored within ${this.supersessionWaitHours} hours`
+          ));
+        } else {
+          // Waiting on the registrar, not on the chain - no attempt is used
+          await this.handleFailure(job, new Error(`Waiting for the new version ${job.payload.newDocumentHash} to be anchored`), false);
+        }
+        return;
+      }
+
+      if (await this.completeIfOnChain(job)) {
+        return;
+      }
+
+      const signerAddress = await this.blockchain.getSignerAddress();
+      const submission = isSupersession
+        ? await this.blockchain.submitDocumentSupersession(job.document_hash, job.payload.newDocumentHash)
+        : await this.blockchain.submitDocumentRegistration(job.document_hash);
+
+      await this.db.query(
+        `UPDATE anchor_jobs
+         SET status = 'submitted', attempts = attempts + 1, tx_hash = $1, nonce = $2,
+             signer_address = $3, submitted_at = NOW(), last_error = NULL, updated_at = NOW()
+         WHERE id = $4`,
+        [submission.transactionHash, submission.nonce, signerAddress, job.id]
+      );
+    } catch (error) {
+      console.error(`Anchor job ${job.id} submission failed:`, error.message);
+
+      try {
+        if (await this.completeIfOnChain(job)) {
+          return;
+        }
+      } catch (checkError) {
+        console.error(`Could not check whether anchor job ${job.id} is already on chain:`, checkError.message);
+      }
+
+      await this.handleFailure(job, error, true);
+    }
+  }
+
+  /**
+   * Whether the reissued version a supersession job points at has been anchored
+   * @param {Object} job - Supersession job row
+   * @returns {Promise<boolean>} - True once the new version's anchor is on chain
+   */
+  async isNewVersionAnchored(job) {
+    const result = await this.db.query(
+      'SELECT anchor_status FROM documents WHERE document_hash = $1',
+      [job.payload.newDocumentHash]
+    );
+
+    if (!result.rows[0]) {
+      throw new Error(`Reissued document ${job.payload.newDocumentHash} no longer exists`);
+    }
+
+    return ANCHORED_STATUSES.includes(result.rows[0].anchor_status);
+  }
+
+  /**
+   * Complete a job whose transaction already took effect on chain, using the
+   * transaction that registered (or superseded) the hash
+   * @param {Object} job - Job row
+   * @returns {Promise<boolean>} - True when the job was handled and must not be sent
+   */
+  async completeIfOnChain(job) {
+    const isSupersession = job.job_type === JOB_TYPES.SUPERSEDE_DOCUMENT;
+    let event;
+
+    if (isSupersession) {
+      const supersession = await this.blockchain.getSupersessionStatus(job.document_hash);
+      if (!supersession) {
+        throw new Error('Could not check the chain: supersession status unavailable');
+      }
+      if (!supersession.superseded) {
+        return false;
+      }
+      if (supersession.supersededBy.toLowerCase() !== job.payload.newDocumentHash.toLowerCase()) {
+        // Another version already replaced it on chain - sending would only revert
+        await this.failJob(job, new Error(`Document is already superseded on chain by ${supersession.supersededBy}`));
+        return true;
+      }
+
+      event = await this.blockchain.findDocumentSupersession(job.document_hash, REGISTRATION_SEARCH_START_BLOCK);
+    } else {
+      const onChain = await this.blockchain.verifyDocument(job.document_hash);
+      if (!onChain.success) {
+        throw new Error(`Could not check the chain: ${onChain.error}`);
+      }
+      if (!onChain.verified) {
+        return false;
+      }
+
+      event = await this.blockchain.findDocumentRegistration(job.document_hash, REGISTRATION_SEARCH_START_BLOCK);
+    }
+
+    const action = isSupersession ? 'superseded' : 'registered';
+
+    if (!event) {
+      // Done on chain, but the event is out of the node's search range - never send it twice. Each
+      // look uses an attempt, so the job fails for reconciliation once they run out.
+      await this.handleFailure(job, new Error(`Document is already ${action} on chain; its transaction was not found`), true);
+      return true;
+    }
+
+    console.log(`Anchor job ${job.id}: ${job.document_hash} is already ${action} in ${event.transactionHash}`);
+
+    const sentJob = {
+      ...job,
+      tx_hash: event.transactionHash,
+      signer_address: event.from || job.signer_address
+    };
+
+    await this.db.query(
+      `UPDATE anchor_jobs
+       SET tx_hash = $1, signer_address = $2, submitted_at = COALESCE(submitted_at, NOW()), last_error = NULL
+       WHERE id = $3`,
+      [sentJob.tx_hash, sentJob.signer_address, job.id]
+    );
+
+    await this.completeJob(sentJob, { status: 'confirmed', blockNumber: event.blockNumber });
+    return true;
+  }
+
+  /**
+   * Poll a submitted transaction and move the job on
+   * @param {Object} job - Job row
+   */
+  async checkSubmittedJob(job) {
+    let txStatus;
+
+    try {
+      txStatus = await this.blockchain.getTransactionStatus(job.tx_hash);
+    } catch (error) {
+      // Node hiccup - try again next tick
+      console.error(`Could not check transaction for anchor job ${job.id}:`, error.message);
+      return;
+    }
+
+    if (txStatus.status === 'pending') {
+      return;
+    }
+
+    if (txStatus.status === 'confirmed') {
+      await this.completeJob(job, txStatus);
+      return;
+    }
+
+    if (txStatus.status === 'dropped') {
+      this.blockchain.resetNonce();
+    }
+
+    await this.handleFailure(job, new Error(`Transaction ${txStatus.status}: ${job.tx_hash}`), false);
+  }
+
+  /**
+   * Schedule a retry with exponential backoff, or fail the job for good
+   * @param {Object} job - Job row
+   * @param {Error} error - What went wrong
+   * @param {boolean} countAttempt - Whether this failure consumed an attempt
+   */
+  async handleFailure(job, error, countAttempt) {
+    if (this.isNonceError(error)) {
+      this.blockchain.resetNonce();
+    }
+
+    const attempts = job.attempts + (countAttempt ? 1 : 0);
+
+    if (attempts >= job.max_attempts) {
+      await this.failJob({ ...job, attempts }, error);
+      return;
+    }
+
+    const backoffMs = this.baseBackoffMs * Math.pow(2, Math.max(0, attempts - 1));
+
+    await this.db.query(
+      `UPDATE anchor_jobs
+       SET status = 'queued', attempts = $1, last_error = $2, tx_hash = NULL, nonce = NULL,
+           next_attempt_at = NOW() + ($3 || ' milliseconds')::interval, updated_at = NOW()
+       WHERE id = $4`,
+      [attempts, error.message, String(backoffMs), job.id]
+    );
+    console.log(`Anchor job ${job.id} will retry in ${backoffMs / 1000}s`);
+  }
+
+  /**
+   * Fail the job for good
+   * @param {Object} job - Job row
+   * @param {Error} error - Why it cannot succeed
+   */
+  async failJob(job, error) {
+    await this.db.query(
+      `UPDATE anchor_jobs
+       SET status = 'failed', attempts = $1, last_error = $2, updated_at = NOW()
+       WHERE id = $3`,
+      [job.attempts, error.message, job.id]
+    );
+    console.error(`Anchor job ${job.id} failed after ${job.attempts} attempts: ${error.message}`);
+  }
+
+  /**
+   * Nonce collisions are fixed by re-syncing the counter before the retry
+   * @param {Error} error - Submission error
+   * @returns {boolean} - True for nonce-related errors
+   */
+  isNonceError(error) {
+    return error.code === 'NONCE_EXPIRED' ||
+      error.code === 'REPLACEMENT_UNDERPRICED' ||
+      /nonce/i.test(error.message || '');
+  }
+
+  /**
+   * Mark the job confirmed and apply its result to the documents table
+   * @param {Object} job - Job row
+   * @param {Object} txStatus - Confirmed transaction status
+   */
+  async completeJob(job, txStatus) {
+    await this.db.query(
+      `UPDATE anchor_jobs
+       SET status = 'confirmed', block_number = $1, confirmed_at = NOW(), updated_at = NOW()
+       WHERE id = $2`,
+      [txStatus.blockNumber, job.id]
+    );
+
+    if (job.job_type === JOB_TYPES.FINALIZE_DOCUMENT) {
+      await this.completeDocumentFinalization(job, txStatus);
+    } else if (job.job_type === JOB_TYPES.SUPERSEDE_DOCUMENT) {
+      await DocumentVersionService.markSuperseded(this.db, job.document_hash, job.payload.newDocumentHash, {
+        reason: job.payload.reason,
+        registrarId: job.payload.registrarId,
+        transactionHash: job.tx_hash
+      });
+    } else {
+      await this.db.query(
+        `UPDATE documents SET blockchain_tx_hash = $1, block_number = $2, anchor_signer_address = $3
+         WHERE document_hash = $4`,
+        [job.tx_hash, txStatus.blockNumber, job.signer_address, job.document_hash]
+      );
+
+      // Template documents keep their registration with the finalized file
+      const finalizedId = job.payload && job.payload.finalizedId;
+      if (finalizedId) {
+        await this.db.query(
+          `UPDATE finalized_documents SET blockchain_tx_hash = $1, block_number = $2, registered_at = NOW()
+           WHERE finalized_id = $3`,
+          [job.tx_hash, txStatus.blockNumber, finalizedId]
+        );
+      }
+    }
+
+    console.log(`Anchor job ${job.id} confirmed in block ${txStatus.blockNumber}`);
+  }
+
+  /**
+   * Create the watermarked copy and mark the document included - the
+   * confirmation watcher marks it verified once the block is deep enough
+   * @param {Object} job - Job row
+   * @param {Object} txStatus - Confirmed transaction status
+   */
+  async completeDocumentFinalization(job, txStatus) {
+    const result = await this.db.query('SELECT * FROM documents WHERE document_hash = $1', [job.document_hash]);
+    const document = result.rows[0];
+
+    if (!document) {
+      console.error(`Anchor job ${job.id} confirmed but document ${job.document_hash} no longer exists`);
+      return;
+    }
+
+    let watermarked_file_path = null;
+
+    try {
+      watermarked_file_path = await WatermarkService.createWatermarkedDocument(
+        document.processed_file_path,
+        document.document_hash,
+        {
+          txHash: job.tx_hash,
+          block_number: txStatus.blockNumber,
+          timestamp: new Date().toISOString(),
+          verified: true
+        }
+      );
+    } catch (watermarkError) {
+      console.error('Failed to create watermark:', watermarkError);
+    }
+
+    await this.db.query(
+      `UPDATE documents
+       SET blockchain_tx_hash = $1, block_number = $2, anchor_status = 'included', confirmations = 1,
+           anchor_signer_address = $3, watermarked_file_path = COALESCE($4, watermarked_file_path)
+       WHERE document_hash = $5`,
+      [job.tx_hash, txStatus.blockNumber, job.signer_address, watermarked_file_path, document.document_hash]
+    );
+  }
+
+  /**
+   * Shape a job row for API responses
+   * @param {Object} job - Job row
+   * @returns {Object} - Public job status
+   */
+  static formatJob(job) {
+    return {
+      jobId: job.id,
+      jobType: job.job_type,
+      documentHash: job.document_hash,
+      status: job.status,
+      attempts: job.attempts,
+      maxAttempts: job.max_attempts,
+      nextAttemptAt: job.status === JOB_STATUS.QUEUED ? job.next_attempt_at : null,
+      transactionHash: job.tx_hash,
+      nonce: job.nonce,
+      blockNumber: job.block_number,
+      lastError: job.last_error,
+      createdAt: job.created_at,
+      submittedAt: job.submitted_at,
+      confirmedAt: job.confirmed_at
+    };
+  }
+}
+
+module.exports = AnchorQueueService;
+module.exports.JOB_TYPES = JOB_TYPES;
+module.exports.JOB_STATUS = JOB_STATUS;
@@ -0,0 +1,252 @@
+const MerkleService = require('./MerkleService');
+const WatermarkService = require('./WatermarkService');
+
+/**
+ * Collects documents finalized in batch mode and anchors them together as a
+ * single Merkle root, storing each document's inclusion proof.
+ */
+class BatchAnchorService {
+  /**
+   * @param {Object} db - DatabaseService
+   * @param {Object} blockchain - Initialized BlockchainService
+   * @param {Object} options - intervalMs and maxBatchSize
+   */
+  constructor(db, blockchain, options = {}) {
+    this.db = db;
+    this.blockchain = blockchain;
+    this.intervalMs = options.intervalMs || 10 * 60 * 1000;
+    this.maxBatchSize = options.maxBatchSize || 256;
+    this.timer = null;
+    this.flushing = false;
+  }
+
+  /**
+   * Start flushing pending documents on a timer
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.flush().catch(error => console.error('Scheduled batch anchor failed:', error));
+    }, this.intervalMs);
+
+    console.log(`Batch anchoring enabled (every ${this.intervalMs / 1000}s, max ${this.maxBatchSize} documents)`);
+  }
+
+  /**
+   * Stop the flush timer
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Mark a document as waiting for the next batch
+   * @param {string} documentHash - Document hash
+   */
+  async enqueue(documentHash) {
+    await this.db.query(
+      `UPDATE documents SET anchor_mode = 'merkle_batch' WHERE document_hash = $1`,
+      [documentHash]
+    );
+  }
+
+  /**
+   * Get documents waiting for a batch
+   * @returns {Promise<Array>} - Pending document rows
+   */
+  async getPendingDocuments() {
+    const result = await this.db.query(
+      `SELECT * FROM documents
+       WHERE anchor_mode = 'merkle_batch' AND anchor_batch_id IS NULL
+       ORDER BY created_at ASC
+       LIMIT $1`,
+      [this.maxBatchSize]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Anchor all pending documents as one Merkle batch
+   * @returns {Promise<Object|null>} - Batch summary, or null if nothing was pending
+   */
+  async flush() {
+    if (this.flushing) {
+      console.log('Batch anchor already in progress, skipping');
+      return null;
+    }
+
+    this.flushing = true;
+
+    try {
+      const documents = await this.getPendingDocuments();
+
+      if (documents.length === 0) {
+        return null;
+      }
+
+      const hashes = documents.map(doc => doc.document_hash);
+      const { root, layers } = MerkleService.buildTree(hashes);
+
+      console.log(`Anchoring batch of ${documents.length} documents with root ${root}`);
+
+      const batchResult = await this.db.query(
+        `INSERT INTO anchor_batches (merkle_root, leaf_count, status)
+         VALUES ($1, $2, 'pending')
+         RETURNING id`,
+        [root, documents.length]
+      );
+      const batchId = batchResult.rows[0].id;
+
+      const signerAddress = await this.blockchain.getSignerAddress();
+      const anchorResult = await this.blockchain.anchorMerkleRoot(root);
+
+      if (!anchorResult.success) {
+        // Leave the documents pending so the next flush retries them
+        await this.db.query(
+          `UPDATE anchor_batches SET status = 'failed', error = $1 WHERE id = $2`,
+          [anchorResult.error || 'Unknown blockchain error', batchId]
+        );
+        throw new Error(`Batch anchor failed: ${anchorResult.error}`);
+      }
+
+      await this.db.query(
+        `UPDATE anchor_batches
+         SET status = 'anchored', blockchain_tx_hash = $1, block_number = $2, signer_address = $3, anchored_at = NOW()
+         WHERE id = $4`,
+        [anchorResult.transactionHash, anchorResult.blockNumber, signerAddress, batchId]
+      );
+
+      for (let i = 0; i < documents.length; i++) {
+        await this.completeDocument(documents[i], {
+          batchId,
+          leafIndex: i,
+          proof: MerkleService.getProof(layers, i),
+          transactionHash: anchorResult.transactionHash,
+          blockNumber: anchorResult.blockNumber,
+          signerAddress
+        });
+      }
+
+      console.log(`Batch ${batchId} anchored in transaction ${anchorResult.transactionHash}`);
+
+      return {
+        batchId,
+        merkleRoot: root,
+        documentsAnchored: documents.length,
+        transactionHash: anchorResult.transactionHash,
+        blockNumber: anchorResult.blockNumber
+      };
+
+    } finally {
+      this.flushing = false;
+    }
+  }
+
+  /**
+   * Store a document's proof, create its watermarked copy and mark it included
+   * @param {Object} document - Document row
+   * @param {Object} anchor - batchId, leafIndex, proof, transactionHash, blockNumber, signerAddress
+   */
+  async completeDocument(document, anchor) {
+    let watermarked_file_path = null;
+
+    try {
+      watermarked_file_path = await WatermarkService.createWatermarkedDocument(
+        document.processed_file_path,
+        document.document_hash,
+        {
+          txHash: anchor.transactionHash,
+          block_number: anchor.blockNumber,
+          timestamp: new Date().toISOString(),
+          verified: true
+        }
+      );
+    } catch (watermarkError) {
+      console.error('Failed to create watermark for batched document:', watermarkError);
+    }
+
+    await this.db.query(
+      `UPDATE documents
+       SET anchor_batch_id = $1, merkle_leaf_index = $2, merkle_proof = $3,
+           blockchain_tx_hash = $4, block_number = $5, anchor_status = 'included', confirmations = 1,
+           anchor_signer_address = $6, watermarked_file_path = COALESCE($7, watermarked_file_path)
+       WHERE document_hash = $8`,
+      [
+        anchor.batchId,
+        anchor.leafIndex,
+        JSON.stringify(anchor.proof),
+        anchor.transactionHash,
+        anchor.blockNumber,
+        anchor.signerAddress,
+        watermarked_file_path,
+        document.document_hash
+      ]
+    );
+  }
+
+  /**
+   * Check a batched document against its stored proof and the anchored root
+   * @param {Object} db - DatabaseService
+   * @param {Object} blockchain - BlockchainService (may be uninitialized)
+   * @param {Object} document - Document row with anchor_batch_id set
+   * @returns {Promise<Object>} - { verified, data, batch }
+   */
+  static async verifyBatchedDocument(db, blockchain, document) {
+    const result = await db.query('SELECT * FROM anchor_batches WHERE id = $1', [document.anchor_batch_id]);
+    const batch = result.rows[0];
+
+    if (!batch) {
+      return { verified: false, data: null, batch: null };
+    }
+
+    const proofValid = MerkleService.verifyProof(document.document_hash, document.merkle_proof, batch.merkle_root);
+
+    const batchInfo = {
+      batchId: batch.id,
+      merkleRoot: batch.merkle_root,
+      leafIndex: document.merkle_leaf_index,
+      leafCount: batch.leaf_count,
+      proof: document.merkle_proof,
+      proofValid,
+      transactionHash: batch.blockchain_tx_hash,
+      blockNumber: batch.block_number,
+      signerAddress: batch.signer_address,
+      anchoredAt: batch.anchored_at
+    };
+
+    if (!proofValid || !blockchain || !blockchain.initialized) {
+      return { verified: false, data: null, batch: batchInfo };
+    }
+
+    const rootResult = await blockchain.verifyDocument(batch.merkle_root);
+
+    if (!rootResult.verified) {
+      return { verified: false, data: null, batch: batchInfo };
+    }
+
+    // Revocation and supersession are tracked per document, not per batch root
+    const revocation = await blockchain.getRevocationStatus(document.document_hash);
+    const supersession = await blockchain.getSupersessionStatus(document.document_hash);
+
+    return {
+      verified: true,
+      data: {
+        ...rootResult.document,
+        documentHash: document.document_hash,
+        revoked: revocation ? revocation.revoked : false,
+        revocation: revocation && revocation.revoked ? revocation : null,
+        superseded: supersession ? supersession.superseded : false,
+        supersession: supersession && supersession.superseded ? supersession : null
+      },
+      batch: batchInfo
+    };
+  }
+}
+
+module.exports = BatchAnchorService;
@@ -1,11 +1,16 @@
 const { ethers } = require('ethers');
 const crypto = require('crypto');
+const KeystoreService = require('./KeystoreService');
 
 // UPDATED CONTRACT ABI - Simplified Hash-Only Version
 const CONTRACT_ABI = [
   // Events
   "event DocumentRegistered(bytes32 indexed documentHash, uint256 timestamp)",
+  "event DocumentRevoked(bytes32 indexed documentHash, uint8 reason, uint256 timestamp)",
+  "event DocumentSuperseded(bytes32 indexed documentHash, bytes32 indexed supersededBy, uint256 timestamp)",
   "event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)",
+  "event RegistrarAdded(address indexed registrar, string institutionName, uint256 timestamp)",
+  "event RegistrarRemoved(address indexed registrar, uint256 timestamp)",
   
   // State variables
   "function owner() view returns (address)",
@@ -15,6 +20,22 @@ const CONTRACT_ABI = [
   "function registerDocument(bytes32 _documentHash)",
   "function verifyDocument(bytes32 _documentHash) view returns (bool exists, uint256 timestamp)",
   
+  // Revocation
+  "function revokeDocument(bytes32 _documentHash, uint8 _reason)",
+  "function getRevocationStatus(bytes32 _documentHash) view returns (bool revoked, uint8 reason, uint256 timestamp)",
+
+  // Reissue - the old version points at the document that replaces it
+  "function supersedeDocument(bytes32 _documentHash, bytes32 _newDocumentHash)",
+  "function getSupersessionStatus(bytes32 _documentHash) view returns (bool superseded, bytes32 supersededBy, uint256 timestamp)",
+  
+  // Registrar authorization - only active registrars may register or revoke documents
+  "function addRegistrar(address _registrar, string _institutionName)",
+  "function removeRegistrar(address _registrar)",
+  "function isActiveRegistrar(address _registrar) view returns (bool)",
+  "function getRegistrarInfo(address _registrar) view returns (string institutionName, bool isActive, uint256 documentsIssued, uint256 dateAdded)",
+  "function getRegistrarList() view returns (address[])",
+  "function getDocumentRegistrar(bytes32 _documentHash) view returns (address)",
+  
   // Batch function - SIMPLIFIED
   "function batchRegisterDocuments(bytes32[] _documentHashes)",
   
@@ -25,6 +46,30 @@ const CONTRACT_ABI = [
   "function transferOwnership(address _newOwner)"
 ];
 
+// Revocation reason codes - must match the uint8 values used by the contract
+const REVOCATION_REASONS = {
+  ISSUED_IN_ERROR: 1,
+  FRAUDULENTLY_OBTAINED: 2,
+  OTHER: 3
+};
+
+/**
+ * NonceManager that re-syncs with the chain whenever a send fails. The base
+ * class counts the nonce before estimating gas, so a send that reverts in
+ * estimation (or is refused by the node) would otherwise leave a gap every
+ * later transaction queues behind.
+ */
+class ResyncingNonceManager extends ethers.NonceManager {
+  async sendTransaction(tx) {
+    try {
+      return await super.sendTransaction(tx);
+    } catch (error) {
+      this.reset();
+      throw error;
+    }
+  }
+}
+
 class BlockchainService {
   constructor() {
     this.provider = null;
@@ -37,10 +82,11 @@ class BlockchainService {
   /**
    * Initialize the blockchain service
    * @param {string} providerUrl - RPC URL (default: localhost)
-   * @param {string} privateKey - Private key for transactions (optional for read-only)
+   * @param {string} privateKey - Private key for transactions (development only - use a keystore in production)
    * @param {string} contractAddress - Deployed contract address
+   * @param {Object} options - keystorePath and keystorePassphrase for an encrypted signer key
    */
-  async initialize(providerUrl = 'http://127.0.0.1:8545', privateKey = null, contractAddress = null) {
+  async initialize(providerUrl = 'http://127.0.0.1:8545', privateKey = null, contractAddress = null, options = {}) {
     try {
       // Connect to provider
       this.provider = new ethers.JsonRpcProvider(providerUrl);
@@ -49,10 +95,22 @@ class BlockchainService {
       const network = await this.provider.getNetwork();
       console.log('Connected to network:', network.name, 'Chain ID:', network.chainId.toString());
 
-      // Set up signer if private key provided
-      if (privateKey) {
+      const production = process.env.NODE_ENV === 'production';
+
+      // Set up signer - encrypted keystore first, raw key or node account only outside production
+      if (options.keystorePath) {
+        const wallet = await KeystoreService.load(options.keystorePath, options.keystorePassphrase);
+        this.signer = wallet.connect(this.provider);
+        console.log('Signer address (keystore):', this.signer.address);
+      } else if (privateKey) {
+        if (production) {
+          throw new Error('Raw private keys are not allowed in production - set SIGNER_KEYSTORE_PATH instead');
+        }
         this.signer = new ethers.Wallet(privateKey, this.provider);
         console.log('Signer address:', this.signer.address);
+      } else if (production) {
+        console.log('No signer keystore configured - read-only mode');
+        this.signer = null;
       } else {
         // Use first account from hardhat node (for testing)
         try {
@@ -64,6 +122,12 @@ class BlockchainService {
         }
       }
 
+      // Hand out nonces locally so queued and direct transactions from the
+      // single signer never collide; a failed send re-syncs the counter
+      if (this.signer) {
+        this.signer = new ResyncingNonceManager(this.signer);
+      }
+
       // Set contract address
       if (contractAddress) {
         this.contractAddress = contractAddress;
@@ -173,6 +237,81 @@ class BlockchainService {
     }
   }
 
+  /**
+   * Submit a document registration without waiting for it to be mined (used by the anchor queue)
+   * @param {string} documentHash - Hash to register
+   * @returns {Object} - Submitted transaction hash and nonce
+   */
+  async submitDocumentRegistration(documentHash) {
+    if (!this.initialized || !this.signer) {
+      throw new Error('Service not initialized or no signer available');
+    }
+
+    const tx = await this.contract.registerDocument(documentHash);
+    console.log('Transaction submitted:', tx.hash, 'nonce:', tx.nonce);
+
+    return {
+      transactionHash: tx.hash,
+      nonce: tx.nonce
+    };
+  }
+
+  /**
+   * Look up the current state of a submitted transaction
+   * @param {string} transactionHash - Transaction hash
+   * @returns {Object} - status is one of pending, confirmed, reverted, dropped
+   */
+  async getTransactionStatus(transactionHash) {
+    if (!this.initialized) {
+      throw new Error('Service not initialized');
+    }
+
+    const receipt = await this.provider.getTransactionReceipt(transactionHash);
+
+    if (receipt) {
+      return {
+        status: receipt.status === 1 ? 'confirmed' : 'reverted',
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString()
+      };
+    }
+
+    // No receipt yet - the node either still has it in the mempool or dropped it
+    const tx = await this.provider.getTransaction(transactionHash);
+    return { status: tx ? 'pending' : 'dropped' };
+  }
+
+  /**
+   * Count confirmations of a transaction - re-reads the receipt so a reorged-out transaction reports 0
+   * @param {string} transactionHash - Transaction hash
+   * @returns {Object} - status (see getTransactionStatus), blockNumber and confirmations
+   */
+  async getConfirmations(transactionHash) {
+    const txStatus = await this.getTransactionStatus(transactionHash);
+
+    if (txStatus.status !== 'confirmed') {
+      return { status: txStatus.status, blockNumber: null, confirmations: 0 };
+    }
+
+    const latestBlock = await this.provider.getBlockNumber();
+
+    return {
+      status: txStatus.status,
+      blockNumber: txStatus.blockNumber,
+      confirmations: Math.max(0, latestBlock - txStatus.blockNumber + 1)
+    };
+  }
+
+  /**
+   * Re-sync the local nonce counter with the chain (after nonce errors or dropped transactions)
+   */
+  resetNonce() {
+    if (this.signer && typeof this.signer.reset === 'function') {
+      this.signer.reset();
+      console.log('Signer nonce reset - will re-sync from chain');
+    }
+  }
+
   /**
    * Verify a document using its hash (SIMPLIFIED - RETURNS ONLY EXISTS AND TIMESTAMP)
    * @param {string} documentHash - Hash of the document to verify
@@ -193,6 +332,10 @@ class BlockchainService {
       const timestamp = result[1];
 
       if (exists) {
+        const revocation = await this.getRevocationStatus(documentHash);
+        const supersession = await this.getSupersessionStatus(documentHash);
+        const registrar = await this.getDocumentRegistrar(documentHash);
+
         return {
           success: true,
           verified: true,
@@ -200,7 +343,12 @@ class BlockchainService {
             exists: true,
             timestamp: Number(timestamp),
             dateRegistered: new Date(Number(timestamp) * 1000),
-            documentHash: documentHash
+            documentHash: documentHash,
+            registrar,
+            revoked: revocation ? revocation.revoked : false,
+            revocation: revocation && revocation.revoked ? revocation : null,
+            superseded: supersession ? supersession.superseded : false,
+            supersession: supersession && supersession.superseded ? supersession : null
           }
         };
       } else {
@@ -220,6 +368,161 @@ class BlockchainService {
     }
   }
 
+  /**
+   * Revoke a registered document (e.g. issued in error or fraudulently obtained)
+   * @param {string} documentHash - Hash of the document to revoke
+   * @param {string} reason - Key of REVOCATION_REASONS
+   * @returns {Object} - Transaction result
+   */
+  async revokeDocument(documentHash, reason) {
+    if (!this.initialized || !this.signer) {
+      throw new Error('Service not initialized or no signer available');
+    }
+
+    const reasonCode = REVOCATION_REASONS[reason];
+    if (!reasonCode) {
+      throw new Error(`Invalid revocation reason: ${reason}`);
+    }
+
+    try {
+      console.log('Revoking document with hash:', documentHash, 'reason:', reason);
+
+      const tx = await this.contract.revokeDocument(documentHash, reasonCode);
+      console.log('Revocation transaction sent:', tx.hash);
+
+      const receipt = await tx.wait();
+      console.log('Document revoked successfully. Block:', receipt.blockNumber);
+
+      return {
+        success: true,
+        transactionHash: tx.hash,
+        blockNumber: receipt.blockNumber,
+        documentHash: documentHash,
+        reason: reason,
+        gasUsed: receipt.gasUsed.toString()
+      };
+
+    } catch (error) {
+      console.error('Error revoking document:', error);
+      return {
+        success: false,
+        error: error.message,
+        code: error.code
+      };
+    }
+  }
+
+  /**
+   * Get the on-chain revocation status of a document
+   * @param {string} documentHash - Hash of the document
+   * @returns {Object|null} - Revocation status, or null if it could not be read
+   */
+  async getRevocationStatus(documentHash) {
+    if (!this.initialized) {
+      throw new Error('Service not initialized');
+    }
+
+    try {
+      const [revoked, reasonCode, timestamp] = await this.contract.getRevocationStatus(documentHash);
+      const reason = Object.keys(REVOCATION_REASONS)
+        .find(key => REVOCATION_REASONS[key] === Number(reasonCode)) || null;
+
+      return {
+        revoked: revoked,
+        reason: revoked ? reason : null,
+        timestamp: revoked ? Number(timestamp) : null,
+        dateRevoked: revoked ? new Date(Number(timestamp) * 1000) : null
+      };
+    } catch (error) {
+      console.error('Error getting revocation status:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Mark a document as replaced by a reissued version
+   * @param {string} documentHash - Hash of the document being replaced
+   * @param {string} newDocumentHash - Hash of the reissued document
+   * @returns {Object} - Transaction result
+   */
+  async supersedeDocument(documentHash, newDocumentHash) {
+    if (!this.initialized || !this.signer) {
+      throw new Error('Service not initialized or no signer available');
+    }
+
+    try {
+      console.log('Superseding document', documentHash, 'with', newDocumentHash);
+
+      const tx = await this.contract.supersedeDocument(documentHash, newDocumentHash);
+      console.log('Supersession transaction sent:', tx.hash);
+
+      const receipt = await tx.wait();
+      console.log('Document superseded successfully. Block:', receipt.blockNumber);
+
+      return {
+        success: true,
+        transactionHash: tx.hash,
+        blockNumber: receipt.blockNumber,
+        documentHash: documentHash,
+        supersededBy: newDocumentHash,
+        gasUsed: receipt.gasUsed.toString()
+      };
+
+    } catch (error) {
+      console.error('Error superseding document:', error);
+      return {
+        success: false,
+        error: error.message,
+        code: error.code
+      };
+    }
+  }
+
+  /**
+   * Submit a supersession without waiting for it to be mined (used by the anchor queue)
+   * @param {string} documentHash - Hash of the document being replaced
+   * @param {string} newDocumentHash - Hash of the reissued document
+   * @returns {Object} - Submitted transaction hash and nonce
+   */
+  async submitDocumentSupersession(documentHash, newDocumentHash) {
+    if (!this.initialized || !this.signer) {
+      throw new Error('Service not initialized or no signer available');
+    }
+
+    const tx = await this.contract.supersedeDocument(documentHash, newDocumentHash);
+    console.log('Supersession transaction submitted:', tx.hash, 'nonce:', tx.nonce);
+
+    return {
+      transactionHash: tx.hash,
+      nonce: tx.nonce
+    };
+  }
+
+  /**
+   * Get the on-chain supersession status of a document
+   * @param {string} documentHash - Hash of the document
+   * @returns {Object|null} - Supersession status, or null if it could not be read
+   */
+  async getSupersessionStatus(documentHash) {
+    if (!this.initialized) {
+      throw new Error('Service not initialized');
+    }
+
+    try {
+      const [superseded, supersededBy, timestamp] = await this.contract.getSupersessionStatus(documentHash);
+
+      return {
+        superseded: superseded,
+        supersededBy: superseded ? supersededBy : null,
+        timestamp: superseded ? Number(timestamp) : null,
+        dateSuperseded: superseded ? new Date(Number(timestamp) * 1000) : null
+      };
+    } catch (error) {
+      console.error('Error getting supersession status:', error);
+      return null;
+    }
+  }
+
   /**
    * Verify document from uploaded PDF content
    * @param {string} pdfContent - Content extracted from PDF
@@ -263,6 +566,16 @@ class BlockchainService {
     }
   }
 
+  /**
+   * Anchor the root of a Merkle batch - the root is registered like any other document hash
+   * @param {string} merkleRoot - Root of the batch tree
+   * @returns {Object} - Transaction result
+   */
+  async anchorMerkleRoot(merkleRoot) {
+    console.log('Anchoring Merkle batch root:', merkleRoot);
+    return await this.registerDocument({ documentHash: merkleRoot });
+  }
+
   /**
    * Get contract statistics (SIMPLIFIED - NO REGISTRAR COUNT)
    * @returns {Object} - Contract stats
@@ -326,6 +639,91 @@ class BlockchainService {
     console.log('Started listening for DocumentRegistered events');
   }
 
+  /**
+   * Get the latest block number
+   * @returns {number} - Block number
+   */
+  async getBlockNumber() {
+    if (!this.initialized) {
+      throw new Error('Service not initialized');
+    }
+
+    return await this.provider.getBlockNumber();
+  }
+
+  /**
+   * Find the transaction that registered a document hash (documentHash is an indexed event topic)
+   * @param {string} documentHash - Document hash
+   * @param {number} fromBlock - First block to search
+   * @returns {Promise<Object|null>} - transactionHash, blockNumber and from (the signer), or null
+   */
+  async findDocumentRegistration(documentHash, fromBlock = 0) {
+    if (!this.initialized) {
+      throw new Error('Service not initialized');
+    }
+
+    return await this.findFirstEvent(this.contract.filters.DocumentRegistered(documentHash), fromBlock);
+  }
+
+  /**
+   * Find the transaction that superseded a document hash
+   * @param {string} documentHash - Hash of the replaced document
+   * @param {number} fromBlock - First block to search
+   * @returns {Promise<Object|null>} - transactionHash, blockNumber and from (the signer), or null
+   */
+  async findDocumentSupersession(documentHash, fromBlock = 0) {
+    if (!this.initialized) {
+      throw new Error('Service not initialized');
+    }
+
+    return await this.findFirstEvent(this.contract.filters.DocumentSuperseded(documentHash), fromBlock);
+  }
+
+  /**
+   * @param {Object} filter - Contract event filter
+   * @param {number} fromBlock - First block to search
+   * @returns {Promise<Object|null>} - The first matching event's transactionHash, blockNumber and from, or null
+   */
+  async findFirstEvent(filter, fromBlock) {
+    const events = await this.contract.queryFilter(filter, fromBlock, 'latest');
+
+    if (events.length === 0) {
+      return null;
+    }
+
+    const event = events[0];
+    const tx = await this.provider.getTransaction(event.transactionHash);
+
+    return {
+      transactionHash: event.transactionHash,
+      blockNumber: event.blockNumber,
+      from: tx ? tx.from : null
+    };
+  }
+
+  /**
+   * Fetch DocumentRegistered events in a block range (used by the chain indexer)
+   * @param {number} fromBlock - First block (inclusive)
+   * @param {number} toBlock - Last block (inclusive)
+   * @returns {Array} - Events with block and transaction info
+   */
+  async getDocumentRegisteredEvents(fromBlock, toBlock) {
+    if (!this.initialized) {
+      throw new Error('Service not initialized');
+    }
+
+    const events = await this.contract.queryFilter('DocumentRegistered', fromBlock, toBlock);
+
+    return events.map(event => ({
+      documentHash: event.args.documentHash,
+      timestamp: Number(event.args.timestamp),
+      blockNumber: event.blockNumber,
+      blockHash: event.blockHash,
+      transactionHash: event.transactionHash,
+      logIndex: event.index
+    }));
+  }
+
   /**
    * Stop listening for events
    */
@@ -387,6 +785,224 @@ class BlockchainService {
     }
   }
 
+  /**
+   * Hand the signer role to a new key: authorize it as a registrar (if the
+   * current signer is one), optionally fund it and retire the old key, then
+   * transfer contract ownership. Ownership goes last so every step before it
+   * is still done as the current owner. (OWNER ONLY)
+   * @param {string} newSignerAddress - Address of the new signer key
+   * @param {Object} options - institutionName, fundAmount (ETH, as a string), retireOld
+   * @returns {Promise<Object>} - Transaction hash of every step that ran
+   */
+  async rotateSigner(newSignerAddress, options = {}) {
+    if (!this.initialized || !this.signer) {
+      throw new Error('Service not initialized or no signer available');
+    }
+
+    const oldSignerAddress = await this.getSignerAddress();
+    const owner = await this.getOwner();
+
+    if (!owner || owner.toLowerCase() !== oldSignerAddress.toLowerCase()) {
+      throw new Error(`Current signer ${oldSignerAddress} is not the contract owner`);
+    }
+
+    if (newSignerAddress.toLowerCase() === oldSignerAddress.toLowerCase()) {
+      throw new Error('New signer is the same as the current signer');
+    }
+
+    const steps = {};
+
+    if (options.fundAmount) {
+      const tx = await this.signer.sendTransaction({
+        to: newSignerAddress,
+        value: ethers.parseEther(options.fundAmount)
+      });
+      await tx.wait();
+      steps.fund = tx.hash;
+      console.log(`Funded ${newSignerAddress} with ${options.fundAmount} ETH:`, tx.hash);
+    }
+
+    // The new key has to be allowed to register documents before it takes over
+    if (await this.isActiveRegistrar(oldSignerAddress) && !await this.isActiveRegistrar(newSignerAddress)) {
+      const oldInfo = await this.getRegistrarInfo(oldSignerAddress);
+      const added = await this.addRegistrar(
+        newSignerAddress,
+        options.institutionName || (oldInfo && oldInfo.institutionName) || 'Academic Institution'
+      );
+      if (!added.success) {
+        throw new Error(`Could not authorize new signer: ${added.error}`);
+      }
+      steps.addRegistrar = added.transactionHash;
+    }
+
+    // Documents anchored by the old key stay valid - they record which address anchored them
+    if (options.retireOld && await this.isActiveRegistrar(oldSignerAddress)) {
+      const removed = await this.removeRegistrar(oldSignerAddress);
+      if (!removed.success) {
+        throw new Error(`Could not retire old signer: ${removed.error}`);
+      }
+      steps.removeRegistrar = removed.transactionHash;
+    }
+
+    const transferred = await this.transferOwnership(newSignerAddress);
+    if (!transferred.success) {
+      throw new Error(`Ownership transfer failed: ${transferred.error}`);
+    }
+    steps.transferOwnership = transferred.transactionHash;
+
+    return {
+      oldSigner: oldSignerAddress,
+      newSigner: newSignerAddress,
+      steps
+    };
+  }
+
+  /**
+   * Authorize a registrar wallet on the contract (OWNER ONLY)
+   * @param {string} registrarAddress - Registrar wallet address
+   * @param {string} institutionName - Institution the registrar issues for
+   * @returns {Object} - Transaction result
+   */
+  async addRegistrar(registrarAddress, institutionName) {
+    if (!this.initialized || !this.signer) {
+      throw new Error('Service not initialized or no signer available');
+    }
+
+    try {
+      console.log('Adding registrar:', registrarAddress, institutionName);
+
+      const tx = await this.contract.addRegistrar(registrarAddress, institutionName);
+      const receipt = await tx.wait();
+
+      return {
+        success: true,
+        transactionHash: tx.hash,
+        blockNumber: receipt.blockNumber,
+        registrarAddress
+      };
+
+    } catch (error) {
+      console.error('Error adding registrar:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Deauthorize a registrar wallet (OWNER ONLY)
+   * @param {string} registrarAddress - Registrar wallet address
+   * @returns {Object} - Transaction result
+   */
+  async removeRegistrar(registrarAddress) {
+    if (!this.initialized || !this.signer) {
+      throw new Error('Service not initialized or no signer available');
+    }
+
+    try {
+      console.log('Removing registrar:', registrarAddress);
+
+      const tx = await this.contract.removeRegistrar(registrarAddress);
+      const receipt = await tx.wait();
+
+      return {
+        success: true,
+        transactionHash: tx.hash,
+        blockNumber: receipt.blockNumber,
+        registrarAddress
+      };
+
+    } catch (error) {
+      console.error('Error removing registrar:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Check whether a wallet is an active registrar
+   * @param {string} registrarAddress - Wallet address
+   * @returns {boolean} - True if active
+   */
+  async isActiveRegistrar(registrarAddress) {
+    if (!this.initialized) {
+      throw new Error('Service not initialized');
+    }
+
+    return await this.contract.isActiveRegistrar(registrarAddress);
+  }
+
+  /**
+   * Get a registrar's on-chain record
+   * @param {string} registrarAddress - Wallet address
+   * @returns {Object|null} - Registrar info, or null if the address was never added
+   */
+  async getRegistrarInfo(registrarAddress) {
+    if (!this.initialized) {
+      throw new Error('Service not initialized');
+    }
+
+    const [institutionName, isActive, documentsIssued, dateAdded] =
+      await this.contract.getRegistrarInfo(registrarAddress);
+
+    if (!isActive && institutionName === '') {
+      return null;
+    }
+
+    return {
+      address: registrarAddress,
+      institutionName,
+      isActive,
+      documentsIssued: documentsIssued.toString(),
+      dateAdded: new Date(Number(dateAdded) * 1000).toISOString()
+    };
+  }
+
+  /**
+   * List every registrar address ever added (active or not)
+   * @returns {Array<string>} - Registrar addresses
+   */
+  async getRegistrarList() {
+    if (!this.initialized) {
+      throw new Error('Service not initialized');
+    }
+
+    return [...await this.contract.getRegistrarList()];
+  }
+
+  /**
+   * Get the registrar wallet that registered a document
+   * @param {string} documentHash - Document hash (or batch Merkle root)
+   * @returns {Object|null} - Registrar address, institution and current status, or null if unknown
+   */
+  async getDocumentRegistrar(documentHash) {
+    if (!this.initialized) {
+      throw new Error('Service not initialized');
+    }
+
+    try {
+      const address = await this.contract.getDocumentRegistrar(documentHash);
+
+      if (address === ethers.ZeroAddress) {
+        return null;
+      }
+
+      const info = await this.getRegistrarInfo(address);
+
+      return {
+        address,
+        institutionName: info ? info.institutionName : null,
+        isActive: info ? info.isActive : false
+      };
+    } catch (error) {
+      console.error('Error getting document registrar:', error);
+      return null;
+    }
+  }
+
   /**
    * Get total documents count
    * @returns {number} - Total documents registered
@@ -423,4 +1039,5 @@ class BlockchainService {
   }
 }
 
-module.exports = BlockchainService;
\ No newline at end of file
+module.exports = BlockchainService;
+module.exports.REVOCATION_REASONS = REVOCATION_REASONS;
\ No newline at end of file
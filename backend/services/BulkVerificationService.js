@@ -0,0 +1,256 @@
+const path = require('path');
+const zlib = require('zlib');
+const PizZip = require('pizzip');
+
+// Files per bulk request, counting every file inside uploaded ZIPs
+const MAX_BULK_FILES = 100;
+
+// Same per-file limit as POST /api/verify/upload
+const MAX_FILE_BYTES = 10 * 1024 * 1024;
+
+// Uncompressed total across all ZIP entries
+const MAX_TOTAL_BYTES = 100 * 1024 * 1024;
+
+// ZIP entry compression methods we inflate (PizZip magic values)
+const ZIP_COMPRESSION = {
+  STORE: '\x00\x00',
+  DEFLATE: '\x08\x00'
+};
+
+const ZIP_MIME_TYPES = ['application/zip', 'application/x-zip-compressed', 'application/x-zip'];
+
+// Types the upload verifier handles; ZIP entries carry no MIME type, so it comes from the extension
+const MIME_TYPES = {
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+};
+
+const CSV_COLUMNS = [
+  { header: 'file', value: result => result.file },
+  { header: 'status', value: result => result.verificationStatus },
+  { header: 'document_hash', value: result => result.document && result.document.documentHash },
+  { header: 'student_name', value: result => result.document && result.document.studentName },
+  { header: 'student_id', value: result => result.document && result.document.studentId },
+  { header: 'document_type', value: result => result.document && result.document.documentType },
+  { header: 'date_issued', value: result => result.document && result.document.dateIssued },
+  { header: 'matched_version', value: result => result.integrity && (result.integrity.documentType || result.integrity.expectedVersion) },
+  { header: 'verification_method', value: result => result.verificationMethod },
+  { header: 'message', value: result => result.error || (result.integrity && result.integrity.message) || result.warning },
+  { header: 'uploaded_file_hash', value: result => result.uploadedHash || (result.integrity && result.integrity.uploadedHash) }
+];
+
+/**
+ * Bulk verification input and reports. HR departments send folders of
+ * applicant documents, as separate files or ZIP archives; every file is
+ * verified like a single upload and the results are summarized per status
+ * and exported as CSV or JSON.
+ */
+class BulkVerificationService {
+
+  /**
+   * Turn uploaded files (multer memory or disk files read into buffers) into
+   * the list of documents to verify, unpacking ZIP archives. The sizes in a
+   * ZIP header can be forged, so entries are inflated under a byte limit
+   * (see inflateEntry) and a bad entry only rejects that file.
+   * @param {Array} files - { originalname, mimetype, buffer }
+   * @returns {Promise<Object>} - { documents: [{ name, mimetype, buffer }], rejected: [{ name, error }] }
+   */
+  static async expandUploads(files) {
+    const documents = [];
+    const rejected = [];
+    let totalBytes = 0;
+
+    const add = (name, buffer) => {
+      if (documents.length >= MAX_BULK_FILES) {
+        rejected.push({ name, error: `More than ${MAX_BULK_FILES} files in one request` });
+        return;
+      }
+
+      const mimetype = MIME_TYPES[path.extname(name).toLowerCase()];
+      if (!mimetype) {
+        rejected.push({ name, error: 'Unsupported file type' });
+        return;
+      }
+
+      documents.push({ name, mimetype, buffer });
+    };
+
+    for (const file of files) {
+      if (!this.isZip(file)) {
+        add(file.originalname, file.buffer);
+        continue;
+      }
+
+      let zip;
+      try {
+        zip = new PizZip(file.buffer);
+      } catch (error) {
+        rejected.push({ name: file.originalname, error: 'Not a readable ZIP archive' });
+        continue;
+      }
+
+      for (const [entryName, entry] of Object.entries(zip.files)) {
+        const baseName = path.posix.basename(entryName);
+
+        // Folders, macOS resource forks and hidden files are not documents
+        if (entry.dir || entryName.startsWith('__MACOSX/') || baseName.startsWith('.')) {
+          continue;
+        }
+
+        const name = `${file.originalname}/${entryName}`;
+
+        // Stop inflating at whichever limit is reached first
+        const remaining = MAX_TOTAL_BYTES - totalBytes;
+        const limit = Math.min(MAX_FILE_BYTES, remaining);
+        const limitError = limit < MAX_FILE_BYTES ? 'ZIP contents exceed the total size limit' : 'File is larger than 10MB';
+
+        // The header size is only a claim, but a claimed oversize entry is not worth inflating
+        const claimedSize = entry._data && entry._data.uncompressedSize;
+        if (claimedSize > limit) {
+          rejected.push({ name, error: limitError });
+          continue;
+        }
+
+        let buffer;
+        try {
+          buffer = await this.inflateEntry(entry, limit);
+        } catch (error) {
+          rejected.push({ name, error: 'Could not unpack the file from the ZIP archive' });
+          continue;
+        }
+
+        if (!buffer) {
+          rejected.push({ name, error: limitError });
+          continue;
+        }
+
+        totalBytes += buffer.length;
+        add(name, buffer);
+      }
+    }
+
+    return { documents, rejected };
+  }
+
+  /**
+   * Inflate one ZIP entry as a stream, counting output bytes, and stop as soon
+   * as it exceeds the limit - a forged header cannot make it allocate more
+   * @param {Object} entry - PizZip file entry
+   * @param {number} limit - Maximum uncompressed bytes
+   * @returns {Promise<Buffer|null>} - Contents, or null when they exceed the limit
+   */
+  static async inflateEntry(entry, limit) {
+    const data = entry._data;
+    const compressed = Buffer.from(data.getCompressedContent());
+
+    if (data.compressionMethod === ZIP_COMPRESSION.STORE) {
+      return compressed.length > limit ? null : compressed;
+    }
+
+    if (data.compressionMethod !== ZIP_COMPRESSION.DEFLATE) {
+      throw new Error('Unsupported ZIP compression method');
+    }
+
+    return new Promise((resolve, reject) => {
+      const inflate = zlib.createInflateRaw();
+      const chunks = [];
+      let bytes = 0;
+      let settled = false;
+
+      const finish = (error, result) => {
+        if (!settled) {
+          settled = true;
+          if (error) {
+            reject(error);
+          } else {
+            resolve(result);
+          }
+        }
+      };
+
+      inflate.on('data', chunk => {
+        bytes += chunk.length;
+        if (bytes > limit) {
+          inflate.destroy();
+          finish(null, null);
+          return;
+        }
+        chunks.push(chunk);
+      });
+      inflate.on('end', () => finish(null, Buffer.concat(chunks, bytes)));
+      inflate.on('error', error => finish(error));
+
+      inflate.end(compressed);
+    });
+  }
+
+  /**
+   * @param {Object} file - Uploaded file
+   * @returns {boolean} - Whether it is a ZIP archive
+   */
+  static isZip(file) {
+    return ZIP_MIME_TYPES.includes(file.mimetype) || path.extname(file.originalname).toLowerCase() === '.zip';
+  }
+
+  /**
+   * Number of files per verification status
+   * @param {Array} results - Per-file results
+   * @returns {Object} - { total, authentic, byStatus }
+   */
+  static summarize(results) {
+    const byStatus = {};
+    for (const result of results) {
+      byStatus[result.verificationStatus] = (byStatus[result.verificationStatus] || 0) + 1;
+    }
+
+    return {
+      total: results.length,
+      authentic: byStatus.AUTHENTIC || 0,
+      needsAttention: results.length - (byStatus.AUTHENTIC || 0),
+      byStatus
+    };
+  }
+
+  /**
+   * One row per file
+   * @param {Array} results - Per-file results
+   * @returns {string} - CSV with a header row
+   */
+  static toCSV(results) {
+    const rows = [CSV_COLUMNS.map(column => column.header)];
+
+    for (const result of results) {
+      rows.push(CSV_COLUMNS.map(column => {
+        const value = column.value(result);
+        return value instanceof Date ? value.toISOString() : value;
+      }));
+    }
+
+    return rows.map(row => row.map(value => this.escapeCSV(value)).join(',')).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Quote a CSV field. Values starting with = + - @ are prefixed with ' so
+   * spreadsheets do not run them as formulas (file names come from uploaders).
+   * @param {*} value - Field value
+   * @returns {string} - Escaped field
+   */
+  static escapeCSV(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+}
+
+module.exports = BulkVerificationService;
+module.exports.MAX_BULK_FILES = MAX_BULK_FILES;
@@ -0,0 +1,254 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { ethers } = require('ethers');
+const ContentFingerprintService = require('./ContentFingerprintService');
+const PerceptualHashService = require('./PerceptualHashService');
+const { FINGERPRINT_VARIANTS, FINGERPRINT_VERSION } = ContentFingerprintService;
+const { PERCEPTUAL_VARIANTS, SIMILAR_DISTANCE } = PerceptualHashService;
+
+// Evidence that an upload is a copy of an issued document, and what each is worth.
+// Hashes found inside the file are claims anyone can copy into a forgery; the
+// content itself (bytes, text, image) is what proves a match.
+const MATCH_SIGNALS = {
+  CONTENT_HASH: { name: 'content_hash', weight: 100 },           // identical bytes to an issued variant
+  TEXT_FINGERPRINT: { name: 'text_fingerprint', weight: 70 },    // same normalized text
+  IMAGE_SIMILARITY: { name: 'image_similarity', weight: 60 },    // looks like the issued image
+  QR_PAYLOAD: { name: 'qr_payload', weight: 35 },                // hash in a QR code in the file
+  METADATA_HASH: { name: 'metadata_hash', weight: 30 },          // hash in the PDF issuance record or subject/keywords
+  PRINTED_HASH: { name: 'printed_hash', weight: 25 },            // hash in the page text
+  FILE_NAME: { name: 'file_name', weight: 5 }                    // similar file name - never enough on its own
+};
+
+// Candidates below this have nothing but a file name in common with the upload and are never selected
+const MIN_MATCH_SCORE = 25;
+
+// Filename search is only a hint - a few candidates are plenty
+const MAX_FILENAME_CANDIDATES = 5;
+const MIN_FILENAME_LENGTH = 4;
+
+// Stored variants with their file path and content hash columns
+const CONTENT_VARIANTS = [
+  { variant: 'watermarked', pathColumn: 'watermarked_file_path', column: 'watermarked_content_hash' },
+  { variant: 'processed', pathColumn: 'processed_file_path', column: 'processed_content_hash' },
+  { variant: 'original', pathColumn: 'original_file_path', column: 'content_hash' }
+];
+
+/**
+ * Finds which issued document an uploaded file is a copy of. Every signal
+ * (embedded hashes, QR payload, content hashes, text fingerprint, image
+ * similarity, file name) adds candidates and scores them; the best
+ * candidate wins, and one known only by its file name is never selected.
+ */
+class CandidateMatchingService {
+
+  /**
+   * Find and score candidate documents for an upload
+   * @param {Object} db - DatabaseService
+   * @param {Object} upload - contentHash, fingerprint, perceptualHashes, fileName and
+   *   claims { metadataHash, textHash, qrHash } found inside the file
+   * @returns {Promise<Object>} - { best, candidates } - best is { row, score, reasons } or null
+   */
+  static async findCandidates(db, upload) {
+    const candidates = new Map();
+
+    const add = (row, signal, detail) => {
+      if (!candidates.has(row.document_hash)) {
+        candidates.set(row.document_hash, { row, reasons: [] });
+      }
+
+      const candidate = candidates.get(row.document_hash);
+      if (!candidate.reasons.some(reason => reason.signal === signal.name)) {
+        candidate.reasons.push({ signal: signal.name, weight: signal.weight, detail });
+      }
+    };
+
+    // Hashes the file claims to be
+    const claims = upload.claims || {};
+    const claimSignals = [
+      [claims.metadataHash, MATCH_SIGNALS.METADATA_HASH, 'Document hash in the PDF metadata'],
+      [claims.textHash, MATCH_SIGNALS.PRINTED_HASH, 'Document hash printed in the page text'],
+      [claims.qrHash, MATCH_SIGNALS.QR_PAYLOAD, 'Document hash in the QR code']
+    ];
+
+    for (const [hash, signal, detail] of claimSignals) {
+      if (!hash) {
+        continue;
+      }
+
+      const result = await db.query('SELECT * FROM documents WHERE document_hash = $1', [hash]);
+      if (result.rows[0]) {
+        add(result.rows[0], signal, detail);
+      }
+    }
+
+    // Exact bytes of an issued variant
+    const byContent = await db.query(
+      `SELECT * FROM documents
+       WHERE content_hash = $1 OR processed_content_hash = $1 OR watermarked_content_hash = $1`,
+      [upload.contentHash]
+    );
+    for (const row of byContent.rows) {
+      const variant = CONTENT_VARIANTS.find(({ column }) => row[column] === upload.contentHash);
+      add(row, MATCH_SIGNALS.CONTENT_HASH, `File is byte-identical to the issued ${variant.variant} copy`);
+    }
+
+    // Same text - survives re-saving and printing to PDF
+    if (upload.fingerprint) {
+      const byFingerprint = await db.query(
+        `SELECT * FROM documents
+         WHERE content_fingerprint_version = $2
+           AND (content_fingerprint = $1
+            OR processed_content_fingerprint = $1
+            OR watermarked_content_fingerprint = $1)`,
+        [upload.fingerprint, FINGERPRINT_VERSION]
+      );
+      for (const row of byFingerprint.rows) {
+        const variant = FINGERPRINT_VARIANTS.find(({ column }) => row[column] === upload.fingerprint);
+        add(row, MATCH_SIGNALS.TEXT_FINGERPRINT, `Text matches the issued ${variant.variant} copy`);
+      }
+    }
+
+    // Similar file names - only a hint for the checks below
+    for (const row of await this.findByFileName(db, upload.fileName)) {
+      add(row, MATCH_SIGNALS.FILE_NAME, 'File name resembles the issued file name');
+    }
+
+    for (const candidate of candidates.values()) {
+      await this.compareContent(candidate, upload, add);
+    }
+
+    const scored = [...candidates.values()]
+      .map(candidate => ({
+        ...candidate,
+        score: Math.min(100, candidate.reasons.reduce((total, reason) => total + reason.weight, 0))
+      }))
+      .sort((a, b) => b.score - a.score || new Date(b.row.created_at) - new Date(a.row.created_at));
+
+    const best = scored[0] && scored[0].score >= MIN_MATCH_SCORE ? scored[0] : null;
+
+    return { best, candidates: scored };
+  }
+
+  /**
+   * Content checks for candidates found by claims or file name: stored file
+   * hashes not yet in the database, and image similarity
+   * @param {Object} candidate - { row, reasons }
+   * @param {Object} upload - See findCandidates
+   * @param {Function} add - Adds a reason to a candidate
+   */
+  static async compareContent(candidate, upload, add) {
+    const { row } = candidate;
+
+    if (!candidate.reasons.some(reason => reason.signal === MATCH_SIGNALS.CONTENT_HASH.name)) {
+      // Older documents may not have their content hashes stored yet
+      for (const { variant, pathColumn, column } of CONTENT_VARIANTS) {
+        if (row[column] || !row[pathColumn]) {
+          continue;
+        }
+
+        try {
+          if (ethers.keccak256(await fs.readFile(row[pathColumn])) === upload.contentHash) {
+            add(row, MATCH_SIGNALS.CONTENT_HASH, `File is byte-identical to the issued ${variant} copy`);
+            break;
+          }
+        } catch (error) {
+          console.warn(`Could not read the ${variant} file of ${row.document_hash}:`, error.message);
+        }
+      }
+    }
+
+    if (upload.perceptualHashes) {
+      for (const { variant, column } of PERCEPTUAL_VARIANTS) {
+        if (!row[column]) {
+          continue;
+        }
+
+        const similarity = PerceptualHashService.compareHashes(upload.perceptualHashes, row[column]);
+        if (similarity.distance <= SIMILAR_DISTANCE) {
+          add(row, MATCH_SIGNALS.IMAGE_SIMILARITY, `Image looks like the issued ${variant} copy (similarity ${similarity.score})`);
+          break;
+        }
+      }
+    }
+  }
+
+  /**
+   * Documents whose stored file names contain the upload's base name
+   * @param {Object} db - DatabaseService
+   * @param {string} fileName - Uploaded file name
+   * @returns {Promise<Array>} - Document rows, newest first
+   */
+  static async findByFileName(db, fileName) {
+    if (!fileName) {
+      return [];
+    }
+
+    // Strip our own naming additions (Verified_ prefix, _0x... suffix)
+    const baseName = path.basename(fileName, path.extname(fileName))
+      .replace(/[_-]?0x[a-fA-F0-9]+/, '')
+      .replace(/^Verified_/, '');
+
+    // Short names such as "scan" or "1" would match half the registry
+    if (baseName.length < MIN_FILENAME_LENGTH) {
+      return [];
+    }
+
+    const pattern = `%${baseName.replace(/[\\%_]/g, '\\$&')}%`;
+    const result = await db.query(
+      `SELECT * FROM documents
+       WHERE original_file_name LIKE $1
+          OR processed_file_path LIKE $1
+          OR watermarked_file_path LIKE $1
+       ORDER BY created_at DESC
+       LIMIT $2`,
+      [pattern, MAX_FILENAME_CANDIDATES]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * verificationMethod reported for a match, from its strongest signal
+   * @param {Object} match - Scored candidate
+   * @returns {string} - Verification method
+   */
+  static getVerificationMethod(match) {
+    const signals = match.reasons.map(reason => reason.signal);
+
+    if (signals.includes(MATCH_SIGNALS.CONTENT_HASH.name)) {
+      return 'content_hash_match';
+    }
+    if (signals.includes(MATCH_SIGNALS.TEXT_FINGERPRINT.name)) {
+      return 'content_fingerprint_match';
+    }
+    if (signals.includes(MATCH_SIGNALS.IMAGE_SIMILARITY.name)) {
+      return 'perceptual_hash_match';
+    }
+    return 'document_hash_extraction';
+  }
+
+  /**
+   * Candidates as shown to verifiers. Documents matched by file name alone
+   * keep their hash and type hidden - a guessed file name must not reveal
+   * other students' records.
+   * @param {Array} candidates - Scored candidates
+   * @returns {Array} - { documentHash, documentType, score, selectable, reasons }
+   */
+  static formatCandidates(candidates) {
+    return candidates.map(candidate => {
+      const selectable = candidate.score >= MIN_MATCH_SCORE;
+
+      return {
+        documentHash: selectable ? candidate.row.document_hash : null,
+        documentType: selectable ? candidate.row.document_type : null,
+        score: candidate.score,
+        selectable,
+        reasons: candidate.reasons.map(({ signal, weight, detail }) => ({ signal, weight, detail }))
+      };
+    });
+  }
+}
+
+module.exports = CandidateMatchingService;
+module.exports.MATCH_SIGNALS = MATCH_SIGNALS;
+module.exports.MIN_MATCH_SCORE = MIN_MATCH_SCORE;
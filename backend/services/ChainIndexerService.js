@@ -0,0 +1,195 @@
+/**
+ * Replays DocumentRegistered events from the contract into the chain_events
+ * table. The last processed block is stored in indexer_state so restarts
+ * resume where they left off, and every pass re-scans the most recent
+ * reorgDepth blocks so events from orphaned blocks are replaced.
+ */
+class ChainIndexerService {
+  /**
+   * @param {Object} db - DatabaseService
+   * @param {Object} blockchain - Initialized BlockchainService
+   * @param {Object} options - startBlock, pollIntervalMs, reorgDepth, blockRange
+   */
+  constructor(db, blockchain, options = {}) {
+    this.db = db;
+    this.blockchain = blockchain;
+    this.startBlock = options.startBlock || 0;
+    this.pollIntervalMs = options.pollIntervalMs || 15000;
+    this.reorgDepth = options.reorgDepth || 12;
+    this.blockRange = options.blockRange || 2000;
+    this.timer = null;
+    this.syncing = false;
+  }
+
+  /**
+   * Key for this contract's row in indexer_state
+   * @returns {string} - Indexer key
+   */
+  get indexerKey() {
+    return `DocumentRegistered:${this.blockchain.contractAddress.toLowerCase()}`;
+  }
+
+  /**
+   * Run a sync now and then on a timer
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    const tick = () => this.sync().catch(error => console.error('Chain indexer sync failed:', error));
+
+    tick();
+    this.timer = setInterval(tick, this.pollIntervalMs);
+
+    console.log(`Chain indexer started (from block ${this.startBlock}, polling every ${this.pollIntervalMs / 1000}s)`);
+  }
+
+  /**
+   * Stop the sync timer
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Get the last block this indexer finished
+   * @returns {Promise<number|null>} - Block number, or null before the first sync
+   */
+  async getLastBlock() {
+    const result = await this.db.query(
+      'SELECT last_block FROM indexer_state WHERE indexer_key = $1',
+      [this.indexerKey]
+    );
+    return result.rows[0] ? result.rows[0].last_block : null;
+  }
+
+  /**
+   * Index everything from the saved cursor (minus the reorg window) up to the chain head
+   * @returns {Promise<Object|null>} - Sync summary, or null if a sync was already running
+   */
+  async sync() {
+    if (this.syncing) {
+      return null;
+    }
+
+    this.syncing = true;
+
+    try {
+      const latestBlock = await this.blockchain.getBlockNumber();
+      const lastBlock = await this.getLastBlock();
+
+      let fromBlock = lastBlock === null
+        ? this.startBlock
+        : Math.max(this.startBlock, lastBlock - this.reorgDepth + 1);
+      let eventsScanned = 0;
+
+      while (fromBlock <= latestBlock) {
+        const toBlock = Math.min(fromBlock + this.blockRange - 1, latestBlock);
+        const events = await this.blockchain.getDocumentRegisteredEvents(fromBlock, toBlock);
+
+        await this.storeRange(fromBlock, toBlock, events);
+        eventsScanned += events.length;
+        fromBlock = toBlock + 1;
+      }
+
+      return { latestBlock, eventsScanned };
+
+    } finally {
+      this.syncing = false;
+    }
+  }
+
+  /**
+   * Replace the indexed events from fromBlock upwards and advance the cursor, atomically
+   * @param {number} fromBlock - First block of the range
+   * @param {number} toBlock - Last block of the range
+   * @param {Array} events - Events from BlockchainService.getDocumentRegisteredEvents
+   */
+  async storeRange(fromBlock, toBlock, events) {
+    const contractAddress = this.blockchain.contractAddress.toLowerCase();
+    const client = await this.db.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      // Anything at or above fromBlock may come from a block that has since been reorged out
+      await client.query(
+        'DELETE FROM chain_events WHERE contract_address = $1 AND block_number >= $2',
+        [contractAddress, fromBlock]
+      );
+
+      for (const event of events) {
+        await client.query(
+          `INSERT INTO chain_events
+             (contract_address, event_name, document_hash, event_timestamp, block_number, block_hash, tx_hash, log_index)
+           VALUES ($1, 'DocumentRegistered', $2, to_timestamp($3), $4, $5, $6, $7)
+           ON CONFLICT (tx_hash, log_index) DO NOTHING`,
+          [
+            contractAddress,
+            event.documentHash.toLowerCase(),
+            event.timestamp,
+            event.blockNumber,
+            event.blockHash,
+            event.transactionHash,
+            event.logIndex
+          ]
+        );
+      }
+
+      await client.query(
+        `INSERT INTO indexer_state (indexer_key, last_block, updated_at)
+         VALUES ($1, $2, NOW())
+         ON CONFLICT (indexer_key) DO UPDATE SET last_block = $2, updated_at = NOW()`,
+        [this.indexerKey, toBlock]
+      );
+
+      await client.query('COMMIT');
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Look up the indexed registration of a document hash
+   * @param {string} documentHash - Document hash (or Merkle root)
+   * @returns {Promise<Object|null>} - Earliest DocumentRegistered event, or null if not indexed
+   */
+  async findRegistration(documentHash) {
+    const result = await this.db.query(
+      `SELECT * FROM chain_events
+       WHERE contract_address = $1 AND event_name = 'DocumentRegistered' AND document_hash = LOWER($2)
+       ORDER BY block_number ASC, log_index ASC
+       LIMIT 1`,
+      [this.blockchain.contractAddress.toLowerCase(), documentHash]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Summarize the index for status endpoints
+   * @returns {Promise<Object>} - lastBlock, totalEvents, lastEventAt
+   */
+  async getStats() {
+    const result = await this.db.query(
+      `SELECT COUNT(*) AS total_events, MAX(event_timestamp) AS last_event_at
+       FROM chain_events WHERE contract_address = $1`,
+      [this.blockchain.contractAddress.toLowerCase()]
+    );
+
+    return {
+      lastBlock: await this.getLastBlock(),
+      totalEvents: parseInt(result.rows[0].total_events),
+      lastEventAt: result.rows[0].last_event_at
+    };
+  }
+}
+
+module.exports = ChainIndexerService;
@@ -0,0 +1,197 @@
+const { JOB_TYPES } = require('./AnchorQueueService');
+
+// Values of documents.anchor_status for blockchain anchors
+const ANCHOR_STATUS = {
+  PENDING: 'pending',
+  INCLUDED: 'included',
+  FINALIZED: 'finalized'
+};
+
+/**
+ * Follows anchored transactions until they are confirmationDepth blocks deep.
+ * A document is only marked verified once its transaction is finalized; if
+ * the transaction disappears from the chain (reorg) the document is rolled
+ * back to pending and queued for anchoring again.
+ */
+class ConfirmationWatcherService {
+  /**
+   * @param {Object} db - DatabaseService
+   * @param {Object} blockchain - Initialized BlockchainService
+   * @param {Object} services - anchorQueue and batchAnchor, when running
+   * @param {Object} options - confirmationDepth, pollIntervalMs
+   */
+  constructor(db, blockchain, services = {}, options = {}) {
+    this.db = db;
+    this.blockchain = blockchain;
+    this.anchorQueue = services.anchorQueue || null;
+    this.batchAnchor = services.batchAnchor || null;
+    this.confirmationDepth = options.confirmationDepth || 12;
+    this.pollIntervalMs = options.pollIntervalMs || 15000;
+    this.timer = null;
+    this.checking = false;
+  }
+
+  /**
+   * Run a check now and then on a timer
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    const tick = () => this.check().catch(error => console.error('Confirmation watcher check failed:', error));
+
+    tick();
+    this.timer = setInterval(tick, this.pollIntervalMs);
+
+    console.log(`Confirmation watcher started (${this.confirmationDepth} confirmations, polling every ${this.pollIntervalMs / 1000}s)`);
+  }
+
+  /**
+   * Stop the check timer
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Re-check every transaction that has been sent but is not yet final
+   * @returns {Promise<Object|null>} - Check summary, or null if a check was already running
+   */
+  async check() {
+    if (this.checking) {
+      return null;
+    }
+
+    this.checking = true;
+
+    try {
+      const result = await this.db.query(
+        `SELECT * FROM documents
+         WHERE anchor_status IN ('pending', 'included') AND blockchain_tx_hash IS NOT NULL
+         ORDER BY id ASC`
+      );
+
+      // Batched documents share one transaction
+      const byTransaction = new Map();
+      for (const document of result.rows) {
+        if (!byTransaction.has(document.blockchain_tx_hash)) {
+          byTransaction.set(document.blockchain_tx_hash, []);
+        }
+        byTransaction.get(document.blockchain_tx_hash).push(document);
+      }
+
+      const summary = { transactionsChecked: 0, finalized: 0, rolledBack: 0 };
+
+      for (const [transactionHash, documents] of byTransaction) {
+        try {
+          const outcome = await this.checkTransaction(transactionHash, documents);
+          summary.transactionsChecked++;
+          if (outcome === ANCHOR_STATUS.FINALIZED) {
+            summary.finalized += documents.length;
+          } else if (outcome === 'rolled_back') {
+            summary.rolledBack += documents.length;
+          }
+        } catch (error) {
+          // Node hiccup - try again next tick
+          console.error(`Could not check confirmations for ${transactionHash}:`, error.message);
+        }
+      }
+
+      return summary;
+
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  /**
+   * Move the documents of one transaction to their current state
+   * @param {string} transactionHash - Anchoring transaction
+   * @param {Array} documents - Document rows anchored by it
+   * @returns {Promise<string>} - New anchor status, or 'rolled_back'
+   */
+  async checkTransaction(transactionHash, documents) {
+    const tx = await this.blockchain.getConfirmations(transactionHash);
+
+    if (tx.status === 'pending') {
+      // Reorged out but still in the mempool - it will be mined again
+      await this.db.query(
+        `UPDATE documents
+         SET anchor_status = $1, confirmations = 0, block_number = NULL, verified = false
+         WHERE blockchain_tx_hash = $2`,
+        [ANCHOR_STATUS.PENDING, transactionHash]
+      );
+      return ANCHOR_STATUS.PENDING;
+    }
+
+    if (tx.status !== 'confirmed') {
+      await this.rollBack(transactionHash, documents, tx.status);
+      return 'rolled_back';
+    }
+
+    const finalized = tx.confirmations >= this.confirmationDepth;
+    const status = finalized ? ANCHOR_STATUS.FINALIZED : ANCHOR_STATUS.INCLUDED;
+
+    // The block number can change when a reorg re-mines the transaction
+    await this.db.query(
+      `UPDATE documents
+       SET anchor_status = $1, confirmations = $2, block_number = $3, verified = $4,
+           finalized_at = CASE WHEN $4 THEN NOW() ELSE NULL END
+       WHERE blockchain_tx_hash = $5`,
+      [status, tx.confirmations, tx.blockNumber, finalized, transactionHash]
+    );
+
+    await this.db.query(
+      'UPDATE anchor_batches SET block_number = $1 WHERE blockchain_tx_hash = $2',
+      [tx.blockNumber, transactionHash]
+    );
+
+    if (finalized) {
+      console.log(`Transaction ${transactionHash} finalized (${tx.confirmations} confirmations, ${documents.length} documents)`);
+    }
+
+    return status;
+  }
+
+  /**
+   * Undo an anchor whose transaction is no longer on chain and queue the documents again
+   * @param {string} transactionHash - Vanished transaction
+   * @param {Array} documents - Document rows anchored by it
+   * @param {string} txStatus - dropped or reverted
+   */
+  async rollBack(transactionHash, documents, txStatus) {
+    console.warn(`Transaction ${transactionHash} is ${txStatus} after a reorg - rolling back ${documents.length} documents`);
+
+    const batchIds = [...new Set(documents.map(doc => doc.anchor_batch_id).filter(Boolean))];
+
+    await this.db.query(
+      `UPDATE documents
+       SET anchor_status = $1, confirmations = 0, verified = false, blockchain_tx_hash = NULL, block_number = NULL,
+           anchor_signer_address = NULL, anchor_batch_id = NULL, merkle_leaf_index = NULL, merkle_proof = NULL,
+           finalized_at = NULL
+       WHERE blockchain_tx_hash = $2`,
+      [ANCHOR_STATUS.PENDING, transactionHash]
+    );
+
+    // Roots are unique, so the batch row must go before the documents can be batched again
+    if (batchIds.length > 0) {
+      await this.db.query('DELETE FROM anchor_batches WHERE id = ANY($1)', [batchIds]);
+    }
+
+    for (const document of documents) {
+      if (this.batchAnchor) {
+        await this.batchAnchor.enqueue(document.document_hash);
+      } else if (this.anchorQueue) {
+        await this.db.query(`UPDATE documents SET anchor_mode = 'single' WHERE document_hash = $1`, [document.document_hash]);
+        await this.anchorQueue.enqueue(JOB_TYPES.FINALIZE_DOCUMENT, document.document_hash);
+      }
+    }
+  }
+}
+
+module.exports = ConfirmationWatcherService;
+module.exports.ANCHOR_STATUS = ANCHOR_STATUS;
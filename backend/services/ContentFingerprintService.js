@@ -0,0 +1,499 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { ethers } = require('ethers');
+const mammoth = require('mammoth');
+const {
+  PDFDocument,
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFStream
+} = require('pdf-lib');
+const PDFHashExtractionService = require('./PDFHashExtractionService');
+
+// Bumped whenever extraction or normalization changes - fingerprints of different versions never match
+const FINGERPRINT_VERSION = 1;
+
+// Fewer normalized characters than this (e.g. a scanned page with no text layer) gives no fingerprint
+const MIN_FINGERPRINT_TEXT_LENGTH = 20;
+
+// Form XObjects (printed-to-PDF files often wrap each page in one) are searched this deep for text
+const MAX_XOBJECT_DEPTH = 3;
+
+const PDF_MIME_TYPE = 'application/pdf';
+const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+// Stored variants whose files are fingerprinted, with the column each fingerprint goes in
+const FINGERPRINT_VARIANTS = [
+  { variant: 'watermarked', pathColumn: 'watermarked_file_path', column: 'watermarked_content_fingerprint' },
+  { variant: 'processed', pathColumn: 'processed_file_path', column: 'processed_content_fingerprint' },
+  { variant: 'original', pathColumn: 'original_file_path', column: 'content_fingerprint' }
+];
+
+/**
+ * Normalized text fingerprints. Re-saving a PDF or printing it to PDF changes
+ * every byte but keeps the text, so the fingerprint is a hash of the extracted
+ * text with case, Unicode forms and all whitespace normalized away - line
+ * breaks, spacing and how the text is split into drawing operations do not
+ * change it. Files without a text layer (images, scans) have no fingerprint.
+ */
+class ContentFingerprintService {
+
+  /**
+   * Fingerprint of a stored file
+   * @param {string} filePath - PDF or DOCX file
+   * @returns {Promise<string|null>} - Fingerprint, or null when the file has no usable text
+   */
+  static async fingerprintFile(filePath) {
+    const mimeType = {
+      '.pdf': PDF_MIME_TYPE,
+      '.docx': DOCX_MIME_TYPE
+    }[path.extname(filePath).toLowerCase()];
+
+    if (!mimeType) {
+      return null;
+    }
+
+    return this.fingerprintBuffer(await fs.readFile(filePath), mimeType);
+  }
+
+  /**
+   * Fingerprint of an uploaded file
+   * @param {Buffer} buffer - File contents
+   * @param {string} mimeType - File MIME type
+   * @returns {Promise<string|null>} - Fingerprint, or null when the file has no usable text
+   */
+  static async fingerprintBuffer(buffer, mimeType) {
+    let text;
+
+    try {
+      if (mimeType === PDF_MIME_TYPE) {
+        text = await this.extractPDFText(buffer);
+      } else if (mimeType === DOCX_MIME_TYPE) {
+        text = (await mammoth.extractRawText({ buffer })).value;
+      } else {
+        return null;
+      }
+    } catch (error) {
+      console.warn('Could not extract text for fingerprint:', error.message);
+      return null;
+    }
+
+    return this.computeFingerprint(text);
+  }
+
+  /**
+   * Hash of the normalized text
+   * @param {string} text - Extracted text
+   * @returns {string|null} - Fingerprint, or null when there is too little text
+   */
+  static computeFingerprint(text) {
+    const normalized = this.normalizeText(text);
+
+    if (normalized.length < MIN_FINGERPRINT_TEXT_LENGTH) {
+      return null;
+    }
+
+    return ethers.keccak256(ethers.toUtf8Bytes(normalized));
+  }
+
+  /**
+   * Drop everything layout can change: case, Unicode compatibility forms,
+   * whitespace, soft hyphens and zero-width characters
+   * @param {string} text - Extracted text
+   * @returns {string} - Normalized text
+   */
+  static normalizeText(text) {
+    return (text || '')
+      .normalize('NFKC')
+      .toLowerCase()
+      .replace(/[\s\u0000-\u001f\u00ad\u200b-\u200d\u2060\ufeff]+/g, '');
+  }
+
+  /**
+   * Text of every page, in content stream order
+   * @param {Buffer} pdfBytes - PDF file
+   * @returns {Promise<string>} - Extracted text
+   */
+  static async extractPDFText(pdfBytes) {
+    const pdfDoc = await PDFDocument.load(pdfBytes, { ignoreEncryption: true, updateMetadata: false });
+
+    return pdfDoc.getPages()
+      .map(page => {
+        const contents = page.node.Contents();
+        if (!contents) {
+          return '';
+        }
+
+        const streams = contents instanceof PDFArray
+          ? contents.asArray().map(ref => pdfDoc.context.lookup(ref))
+          : [contents];
+
+        const content = streams
+          .map(stream => Buffer.from(PDFHashExtractionService.getStreamBytes(stream)).toString('latin1'))
+          .join('\n');
+
+        return this.extractContentText(pdfDoc, content, page.node.Resources(), 0);
+      })
+      .join('\n');
+  }
+
+  /**
+   * Text shown by one content stream (Tj, TJ, ' and ") decoded with its fonts
+   * @param {Object} pdfDoc - Loaded PDFDocument
+   * @param {string} content - Decoded content stream (latin1)
+   * @param {Object} resources - Resources PDFDict the stream draws with
+   * @param {number} depth - Form nesting depth
+   * @returns {string} - Extracted text
+   */
+  static extractContentText(pdfDoc, content, resources, depth) {
+    const fonts = resources && resources.lookupMaybe(PDFName.of('Font'), PDFDict);
+    const xObjects = resources && resources.lookupMaybe(PDFName.of('XObject'), PDFDict);
+    const decoders = new Map();
+
+    let decoder = null;
+    let operands = [];
+    const parts = [];
+
+    for (const token of this.tokenize(content)) {
+      if (token.type !== 'operator') {
+        operands.push(token);
+        continue;
+      }
+
+      switch (token.value) {
+        case 'Tf': {
+          const fontName = operands.length >= 2 ? operands[operands.length - 2] : null;
+          if (fontName && fontName.type === 'name') {
+            if (!decoders.has(fontName.value)) {
+              const font = fonts ? fonts.lookupMaybe(PDFName.of(fontName.value), PDFDict) : null;
+              decoders.set(fontName.value, this.getFontDecoder(font));
+            }
+            decoder = decoders.get(fontName.value);
+          }
+          break;
+        }
+        case 'Tj':
+        case '\'':
+        case '"': {
+          const shown = operands[operands.length - 1];
+          if (shown && shown.type === 'string') {
+            parts.push(this.decodeString(shown.value, decoder));
+          }
+          parts.push('\n');
+          break;
+        }
+        case 'TJ': {
+          const shown = operands[operands.length - 1];
+          if (shown && shown.type === 'array') {
+            for (const item of shown.value) {
+              if (item.type === 'string') {
+                parts.push(this.decodeString(item.value, decoder));
+              }
+            }
+          }
+          parts.push('\n');
+          break;
+        }
+        case 'Do': {
+          const name = operands[operands.length - 1];
+          const form = name && name.type === 'name' && xObjects && depth < MAX_XOBJECT_DEPTH
+            ? xObjects.lookupMaybe(PDFName.of(name.value), PDFStream)
+            : null;
+
+          if (form && form.dict.get(PDFName.of('Subtype')) === PDFName.of('Form')) {
+            const formContent = Buffer.from(PDFHashExtractionService.getStreamBytes(form)).toString('latin1');
+            const formResources = form.dict.lookupMaybe(PDFName.of('Resources'), PDFDict) || resources;
+            parts.push(this.extractContentText(pdfDoc, formContent, formResources, depth + 1));
+          }
+          break;
+        }
+        default:
+          break;
+      }
+
+      operands = [];
+    }
+
+    return parts.join('');
+  }
+
+  /**
+   * Split a content stream into operands and operators. Inline image data
+   * (BI ... ID <binary> EI) is skipped.
+   * @param {string} content - Decoded content stream (latin1)
+   * @returns {Array} - Tokens: { type: 'string'|'name'|'number'|'array'|'operator'|'other', value }
+   */
+  static tokenize(content) {
+    const tokens = [];
+    const arrays = [];
+    let index = 0;
+
+    const emit = token => {
+      if (arrays.length > 0) {
+        arrays[arrays.length - 1].push(token);
+      } else {
+        tokens.push(token);
+      }
+    };
+
+    while (index < content.length) {
+      const char = content[index];
+
+      if (/\s/.test(char)) {
+        index++;
+      } else if (char === '%') {
+        while (index < content.length && content[index] !== '\n' && content[index] !== '\r') index++;
+      } else if (char === '(') {
+        const literal = this.readLiteralString(content, index);
+        emit({ type: 'string', value: literal.value });
+        index = literal.end;
+      } else if (char === '<' && content[index + 1] === '<') {
+        emit({ type: 'other', value: '<<' });
+        index += 2;
+      } else if (char === '>' && content[index + 1] === '>') {
+        emit({ type: 'other', value: '>>' });
+        index += 2;
+      } else if (char === '<') {
+        const end = content.indexOf('>', index);
+        const hex = content.slice(index + 1, end === -1 ? content.length : end).replace(/[^0-9A-Fa-f]/g, '');
+        emit({ type: 'string', value: Buffer.from(hex.length % 2 ? hex + '0' : hex, 'hex').toString('latin1') });
+        index = end === -1 ? content.length : end + 1;
+      } else if (char === '[') {
+        arrays.push([]);
+        index++;
+      } else if (char === ']') {
+        const items = arrays.pop() || [];
+        emit({ type: 'array', value: items });
+        index++;
+      } else if (char === '/') {
+        const match = /^\/[^\s()<>[\]{}/%]*/.exec(content.slice(index, index + 128));
+        emit({ type: 'name', value: match[0].slice(1).replace(/#([0-9A-Fa-f]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))) });
+        index += match[0].length;
+      } else {
+        const match = /^[^\s()<>[\]{}/%]+/.exec(content.slice(index, index + 128));
+        const word = match ? match[0] : char;
+        index += word.length;
+
+        if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) {
+          emit({ type: 'number', value: parseFloat(word) });
+        } else if (word === 'ID') {
+          // Inline image data runs up to the EI operator
+          const end = content.slice(index).search(/\sEI(\s|$)/);
+          index = end === -1 ? content.length : index + end + 3;
+          emit({ type: 'operator', value: 'EI' });
+        } else {
+          emit({ type: 'operator', value: word });
+        }
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Read a (literal string) with nested parentheses and escapes
+   * @param {string} content - Content stream
+   * @param {number} start - Index of the opening parenthesis
+   * @returns {Object} - { value, end } with end just past the closing parenthesis
+   */
+  static readLiteralString(content, start) {
+    const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+    let value = '';
+    let depth = 1;
+    let index = start + 1;
+
+    while (index < content.length) {
+      const char = content[index];
+
+      if (char === '\\') {
+        const next = content[index + 1];
+        if (next in escapes) {
+          value += escapes[next];
+          index += 2;
+        } else if (/[0-7]/.test(next)) {
+          const octal = /^[0-7]{1,3}/.exec(content.slice(index + 1, index + 4))[0];
+          value += String.fromCharCode(parseInt(octal, 8) & 0xff);
+          index += 1 + octal.length;
+        } else if (next === '\r' || next === '\n') {
+          // Line continuation
+          index += (next === '\r' && content[index + 2] === '\n') ? 3 : 2;
+        } else {
+          value += next || '';
+          index += 2;
+        }
+        continue;
+      }
+
+      if (char === '(') {
+        depth++;
+      } else if (char === ')') {
+        depth--;
+        if (depth === 0) {
+          return { value, end: index + 1 };
+        }
+      }
+
+      value += char;
+      index++;
+    }
+
+    return { value, end: content.length };
+  }
+
+  /**
+   * How to turn a font's character codes into text: its ToUnicode CMap when it
+   * has one, otherwise one byte per character (simple fonts)
+   * @param {Object|null} font - Font PDFDict
+   * @returns {Object|null} - { codeLength, map }, or null for one byte per character
+   */
+  static getFontDecoder(font) {
+    if (!font) {
+      return null;
+    }
+
+    // Composite fonts (printed-to-PDF output embeds these) use two-byte codes
+    const codeLength = font.get(PDFName.of('Subtype')) === PDFName.of('Type0') ? 2 : 1;
+    const toUnicode = font.lookupMaybe(PDFName.of('ToUnicode'), PDFStream);
+
+    if (!toUnicode) {
+      return codeLength === 1 ? null : { codeLength, map: null };
+    }
+
+    const cmap = Buffer.from(PDFHashExtractionService.getStreamBytes(toUnicode)).toString('latin1');
+    return { codeLength, map: this.parseToUnicode(cmap) };
+  }
+
+  /**
+   * Character code to text mappings of a ToUnicode CMap (bfchar and bfrange)
+   * @param {string} cmap - CMap program
+   * @returns {Map<number, string>} - Code to text
+   */
+  static parseToUnicode(cmap) {
+    const map = new Map();
+    const utf16 = hex => {
+      const bytes = Buffer.from(hex.length % 4 ? hex.padStart(hex.length + 4 - (hex.length % 4), '0') : hex, 'hex');
+      return bytes.swap16().toString('utf16le');
+    };
+
+    const charBlocks = /beginbfchar([\s\S]*?)endbfchar/g;
+    let block;
+    while ((block = charBlocks.exec(cmap)) !== null) {
+      const entries = /<([0-9A-Fa-f]+)>\s*<([0-9A-Fa-f]*)>/g;
+      let entry;
+      while ((entry = entries.exec(block[1])) !== null) {
+        map.set(parseInt(entry[1], 16), utf16(entry[2]));
+      }
+    }
+
+    const rangeBlocks = /beginbfrange([\s\S]*?)endbfrange/g;
+    while ((block = rangeBlocks.exec(cmap)) !== null) {
+      const entries = /<([0-9A-Fa-f]+)>\s*<([0-9A-Fa-f]+)>\s*(?:<([0-9A-Fa-f]*)>|\[([^\]]*)\])/g;
+      let entry;
+      while ((entry = entries.exec(block[1])) !== null) {
+        const low = parseInt(entry[1], 16);
+        const high = parseInt(entry[2], 16);
+
+        if (entry[3] !== undefined) {
+          // Consecutive codes map to consecutive characters
+          const first = utf16(entry[3]);
+          const lastCode = first.charCodeAt(first.length - 1);
+          for (let code = low; code <= high && code - low < 0x10000; code++) {
+            map.set(code, first.slice(0, -1) + String.fromCharCode(lastCode + code - low));
+          }
+        } else {
+          const targets = entry[4].match(/<([0-9A-Fa-f]*)>/g) || [];
+          targets.forEach((target, offset) => {
+            if (low + offset <= high) {
+              map.set(low + offset, utf16(target.slice(1, -1)));
+            }
+          });
+        }
+      }
+    }
+
+    return map;
+  }
+
+  /**
+   * Text of a shown string
+   * @param {string} value - Raw string bytes (latin1)
+   * @param {Object|null} decoder - From getFontDecoder
+   * @returns {string} - Decoded text
+   */
+  static decodeString(value, decoder) {
+    if (!decoder) {
+      return value;
+    }
+
+    let text = '';
+    for (let index = 0; index + decoder.codeLength <= value.length; index += decoder.codeLength) {
+      let code = 0;
+      for (let byte = 0; byte < decoder.codeLength; byte++) {
+        code = (code << 8) | value.charCodeAt(index + byte);
+      }
+
+      // Without a mapping the code itself still tells a re-saved copy apart from a different text
+      text += decoder.map && decoder.map.has(code) ? decoder.map.get(code) : String.fromCharCode(code);
+    }
+
+    return text;
+  }
+
+  /**
+   * Fingerprints of every variant of a document whose file exists, for the
+   * columns that are still empty (or were computed by an older version)
+   * @param {Object} document - Document row
+   * @returns {Promise<Object>} - Column name to value, content_fingerprint_version included
+   */
+  static async fingerprintMissingVariants(document) {
+    const fingerprints = {};
+
+    // Fingerprints from an older extractor are recomputed
+    const stale = document.content_fingerprint_version !== FINGERPRINT_VERSION;
+
+    for (const { pathColumn, column } of FINGERPRINT_VARIANTS) {
+      if (stale && document[column]) {
+        fingerprints[column] = null;
+      }
+
+      if ((document[column] && !stale) || !document[pathColumn]) {
+        continue;
+      }
+
+      try {
+        const fingerprint = await this.fingerprintFile(document[pathColumn]);
+        if (fingerprint) {
+          fingerprints[column] = fingerprint;
+        }
+      } catch (error) {
+        console.log(`Could not fingerprint ${pathColumn}:`, error.message);
+      }
+    }
+
+    if (Object.keys(fingerprints).length > 0) {
+      fingerprints.content_fingerprint_version = FINGERPRINT_VERSION;
+    }
+
+    return fingerprints;
+  }
+
+  /**
+   * Stored variant whose text matches an uploaded file
+   * @param {string|null} fingerprint - Fingerprint of the upload
+   * @param {Object} document - Document row
+   * @returns {string|null} - 'watermarked', 'processed' or 'original'
+   */
+  static findMatchingVariant(fingerprint, document) {
+    if (!fingerprint || document.content_fingerprint_version !== FINGERPRINT_VERSION) {
+      return null;
+    }
+
+    const match = FINGERPRINT_VARIANTS.find(({ column }) => document[column] === fingerprint);
+    return match ? match.variant : null;
+  }
+}
+
+module.exports = ContentFingerprintService;
+module.exports.FINGERPRINT_VERSION = FINGERPRINT_VERSION;
+module.exports.FINGERPRINT_VARIANTS = FINGERPRINT_VARIANTS;
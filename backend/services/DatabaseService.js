@@ -1,5 +1,6 @@
 const { Pool } = require('pg');
 const bcrypt = require('bcryptjs');
+const DocumentTypeService = require('./DocumentTypeService');
 
 class DatabaseService {
   static pool = null;
@@ -94,6 +95,340 @@ class DatabaseService {
         )
       `);
 
+      // Revocation columns - ALTER so existing databases pick them up
+      await client.query(`
+        ALTER TABLE documents
+          ADD COLUMN IF NOT EXISTS revoked BOOLEAN DEFAULT false,
+          ADD COLUMN IF NOT EXISTS revocation_reason VARCHAR(50),
+          ADD COLUMN IF NOT EXISTS revocation_note TEXT,
+          ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP,
+          ADD COLUMN IF NOT EXISTS revoked_by INTEGER REFERENCES registrars(id),
+          ADD COLUMN IF NOT EXISTS revocation_tx_hash VARCHAR(66)
+      `);
+
+      // Create anchor_batches table - Merkle roots anchored on behalf of many documents
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS anchor_batches (
+          id SERIAL PRIMARY KEY,
+          merkle_root VARCHAR(66) UNIQUE NOT NULL,
+          leaf_count INTEGER NOT NULL,
+          status VARCHAR(20) DEFAULT 'pending',
+          blockchain_tx_hash VARCHAR(66),
+          block_number INTEGER,
+          error TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          anchored_at TIMESTAMP
+        )
+      `);
+
+      // Merkle batch columns - which batch covered the document and its inclusion proof
+      await client.query(`
+        ALTER TABLE documents
+          ADD COLUMN IF NOT EXISTS anchor_mode VARCHAR(20) DEFAULT 'single',
+          ADD COLUMN IF NOT EXISTS anchor_batch_id INTEGER REFERENCES anchor_batches(id),
+          ADD COLUMN IF NOT EXISTS merkle_leaf_index INTEGER,
+          ADD COLUMN IF NOT EXISTS merkle_proof JSONB
+      `);
+
+      // Create anchor_jobs table - persistent queue of blockchain anchoring transactions
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS anchor_jobs (
+          id SERIAL PRIMARY KEY,
+          job_type VARCHAR(50) NOT NULL,
+          document_hash VARCHAR(66) NOT NULL,
+          payload JSONB,
+          status VARCHAR(20) DEFAULT 'queued',
+          attempts INTEGER DEFAULT 0,
+          max_attempts INTEGER DEFAULT 5,
+          next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          signer_address VARCHAR(42),
+          nonce INTEGER,
+          tx_hash VARCHAR(66),
+          block_number INTEGER,
+          last_error TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          submitted_at TIMESTAMP,
+          confirmed_at TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_anchor_jobs_status ON anchor_jobs (status, next_attempt_at)
+      `);
+
+      // Create finalized_documents table - template documents and their blockchain registration (survives restarts)
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS finalized_documents (
+          finalized_id VARCHAR(50) PRIMARY KEY,
+          draft_id VARCHAR(100),
+          content_hash VARCHAR(66) NOT NULL,
+          file_path TEXT NOT NULL,
+          student_data JSONB,
+          finalized_by INTEGER,
+          anchor_job_id INTEGER REFERENCES anchor_jobs(id),
+          blockchain_tx_hash VARCHAR(66),
+          block_number INTEGER,
+          registered_at TIMESTAMP,
+          finalized_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // Anchoring backend columns - which backend anchored the document (NULL on rows from before backends)
+      await client.query(`
+        ALTER TABLE documents
+          ADD COLUMN IF NOT EXISTS anchor_backend VARCHAR(30),
+          ADD COLUMN IF NOT EXISTS log_entry_index INTEGER
+      `);
+
+      // Confirmation tracking - anchor_status moves pending -> included -> finalized
+      await client.query(`
+        ALTER TABLE documents
+          ADD COLUMN IF NOT EXISTS anchor_status VARCHAR(20),
+          ADD COLUMN IF NOT EXISTS confirmations INTEGER DEFAULT 0,
+          ADD COLUMN IF NOT EXISTS finalized_at TIMESTAMP
+      `);
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_documents_anchor_status ON documents (anchor_status)
+      `);
+
+      // Signer key that sent the anchoring transaction - kept so records stay attributable after key rotation
+      await client.query(`
+        ALTER TABLE documents
+          ADD COLUMN IF NOT EXISTS anchor_signer_address VARCHAR(42)
+      `);
+
+      await client.query(`
+        ALTER TABLE anchor_batches
+          ADD COLUMN IF NOT EXISTS signer_address VARCHAR(42)
+      `);
+
+      // Wallet ownership - set once the wallet has signed a connect-wallet challenge
+      await client.query(`
+        ALTER TABLE registrars
+          ADD COLUMN IF NOT EXISTS wallet_verified_at TIMESTAMP
+      `);
+
+      // Issuance signature columns - EIP-712 signature from the issuing registrar's wallet
+      await client.query(`
+        ALTER TABLE documents
+          ADD COLUMN IF NOT EXISTS student_id_salt VARCHAR(66),
+          ADD COLUMN IF NOT EXISTS issuer_signature TEXT,
+          ADD COLUMN IF NOT EXISTS issuer_signer_address VARCHAR(42),
+          ADD COLUMN IF NOT EXISTS issuer_signature_domain JSONB,
+          ADD COLUMN IF NOT EXISTS issuer_signed_by INTEGER REFERENCES registrars(id),
+          ADD COLUMN IF NOT EXISTS issuer_signed_at TIMESTAMP
+      `);
+
+      // Reissue columns - each version points at the one it replaces and the one that replaced it
+      await client.query(`
+        ALTER TABLE documents
+          ADD COLUMN IF NOT EXISTS version INTEGER DEFAULT 1,
+          ADD COLUMN IF NOT EXISTS supersedes_hash VARCHAR(66),
+          ADD COLUMN IF NOT EXISTS superseded_by_hash VARCHAR(66),
+          ADD COLUMN IF NOT EXISTS superseded_at TIMESTAMP,
+          ADD COLUMN IF NOT EXISTS supersession_reason TEXT,
+          ADD COLUMN IF NOT EXISTS superseded_by_registrar INTEGER REFERENCES registrars(id),
+          ADD COLUMN IF NOT EXISTS supersession_tx_hash VARCHAR(66)
+      `);
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_documents_supersedes_hash ON documents (supersedes_hash)
+      `);
+
+      // Create document_types table - validity period of each document type
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS document_types (
+          code VARCHAR(20) PRIMARY KEY,
+          name VARCHAR(100) NOT NULL,
+          validity_kind VARCHAR(20) NOT NULL DEFAULT 'none',
+          validity_months INTEGER,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // Expiry column - set at issuance from the document type, NULL when the document does not expire
+      await client.query(`
+        ALTER TABLE documents
+          ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP
+      `);
+
+      // Content fingerprint columns - normalized text hash of each file variant, survives re-saving
+      await client.query(`
+        ALTER TABLE documents
+          ADD COLUMN IF NOT EXISTS content_fingerprint VARCHAR(66),
+          ADD COLUMN IF NOT EXISTS processed_content_fingerprint VARCHAR(66),
+          ADD COLUMN IF NOT EXISTS watermarked_content_fingerprint VARCHAR(66),
+          ADD COLUMN IF NOT EXISTS content_fingerprint_version INTEGER
+      `);
+
+      // Perceptual hash columns - { dHash, pHash } of each image variant, survives recompression
+      await client.query(`
+        ALTER TABLE documents
+          ADD COLUMN IF NOT EXISTS content_perceptual_hash JSONB,
+          ADD COLUMN IF NOT EXISTS processed_perceptual_hash JSONB,
+          ADD COLUMN IF NOT EXISTS watermarked_perceptual_hash JSONB
+      `);
+
+      // Create verification_events table - audit log of every verification attempt
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS verification_events (
+          id SERIAL PRIMARY KEY,
+          document_hash VARCHAR(66),
+          method VARCHAR(20) NOT NULL,
+          verification_status VARCHAR(30) NOT NULL,
+          http_status INTEGER,
+          uploaded_file_hash VARCHAR(66),
+          client_ip VARCHAR(45),
+          user_agent TEXT,
+          verifier_name VARCHAR(100),
+          verifier_organization VARCHAR(200),
+          verifier_email VARCHAR(100),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_verification_events_document ON verification_events (document_hash, created_at)
+      `);
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_verification_events_status ON verification_events (verification_status, created_at)
+      `);
+
+      // Create verifier_organizations table - third parties that verify documents through the API
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS verifier_organizations (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(200) NOT NULL,
+          contact_email VARCHAR(100) NOT NULL,
+          contact_name VARCHAR(100),
+          purpose TEXT,
+          status VARCHAR(20) DEFAULT 'pending',
+          reviewed_by INTEGER REFERENCES registrars(id),
+          reviewed_at TIMESTAMP,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // Create verifier_api_keys table - only a SHA-256 hash of each key is stored
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS verifier_api_keys (
+          id SERIAL PRIMARY KEY,
+          organization_id INTEGER NOT NULL REFERENCES verifier_organizations(id),
+          key_prefix VARCHAR(8) UNIQUE NOT NULL,
+          key_hash VARCHAR(64) NOT NULL,
+          label VARCHAR(100),
+          scopes TEXT[] NOT NULL,
+          daily_quota INTEGER,
+          monthly_quota INTEGER,
+          status VARCHAR(20) DEFAULT 'active',
+          replaced_by INTEGER REFERENCES verifier_api_keys(id),
+          expires_at TIMESTAMP,
+          revoked_at TIMESTAMP,
+          revocation_reason TEXT,
+          last_used_at TIMESTAMP,
+          created_by INTEGER REFERENCES registrars(id),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // Create verifier_api_usage table - request counts per key, day and scope
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS verifier_api_usage (
+          api_key_id INTEGER NOT NULL REFERENCES verifier_api_keys(id),
+          usage_date DATE NOT NULL,
+          scope VARCHAR(20) NOT NULL,
+          request_count INTEGER NOT NULL DEFAULT 0,
+          PRIMARY KEY (api_key_id, usage_date, scope)
+        )
+      `);
+
+      // API key columns - which key a verification was made with
+      await client.query(`
+        ALTER TABLE verification_events
+        ADD COLUMN IF NOT EXISTS api_key_id INTEGER REFERENCES verifier_api_keys(id)
+      `);
+
+      // Create transparency_log_entries table - append-only, hash-chained log used when no chain is available
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS transparency_log_entries (
+          leaf_index INTEGER PRIMARY KEY,
+          document_hash VARCHAR(66) NOT NULL,
+          prev_entry_hash VARCHAR(66) NOT NULL,
+          entry_hash VARCHAR(66) UNIQUE NOT NULL,
+          leaf_hash VARCHAR(66) NOT NULL,
+          logged_at BIGINT NOT NULL
+        )
+      `);
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_transparency_log_document_hash ON transparency_log_entries (document_hash)
+      `);
+
+      // Create transparency_log_heads table - signed tree head after every append
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS transparency_log_heads (
+          tree_size INTEGER PRIMARY KEY,
+          root_hash VARCHAR(66) NOT NULL,
+          signed_at BIGINT NOT NULL,
+          signature TEXT NOT NULL,
+          key_id VARCHAR(66) NOT NULL
+        )
+      `);
+
+      // Create chain_events table - DocumentRegistered events replayed from the contract
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS chain_events (
+          id SERIAL PRIMARY KEY,
+          contract_address VARCHAR(42) NOT NULL,
+          event_name VARCHAR(50) NOT NULL,
+          document_hash VARCHAR(66) NOT NULL,
+          event_timestamp TIMESTAMP,
+          block_number INTEGER NOT NULL,
+          block_hash VARCHAR(66) NOT NULL,
+          tx_hash VARCHAR(66) NOT NULL,
+          log_index INTEGER NOT NULL,
+          indexed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (tx_hash, log_index)
+        )
+      `);
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_chain_events_document_hash ON chain_events (document_hash)
+      `);
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_chain_events_block ON chain_events (contract_address, block_number)
+      `);
+
+      // Create indexer_state table - last processed block per indexer, so restarts resume
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS indexer_state (
+          indexer_key VARCHAR(100) PRIMARY KEY,
+          last_block INTEGER NOT NULL,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // Create reconciliation_reports table - database-vs-chain drift found by reconciliation runs
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS reconciliation_reports (
+          id SERIAL PRIMARY KEY,
+          status VARCHAR(20) DEFAULT 'running',
+          triggered_by INTEGER REFERENCES registrars(id),
+          summary JSONB,
+          issues JSONB,
+          error TEXT,
+          repair_results JSONB,
+          started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          completed_at TIMESTAMP,
+          repaired_at TIMESTAMP
+        )
+      `);
+
       // Create document_requests table
       await client.query(`
         CREATE TABLE IF NOT EXISTS document_requests (
@@ -187,6 +522,8 @@ class DatabaseService {
         console.log('✅ Test student already exists');
       }
 
+      await DocumentTypeService.seedDefaults(client);
+
     } catch (error) {
       console.error('❌ Error seeding data:', error);
     } finally {
@@ -0,0 +1,42 @@
+// Institution of documents issued without a registrar account (e.g. through the upload form)
+const DEFAULT_INSTITUTION = process.env.INSTITUTION_NAME || 'President Ramon Magsaysay State University';
+
+/**
+ * Who may change an issued document (revoke, reissue, sign): the registrar
+ * who issued it, or an active registrar of the issuing institution.
+ */
+class DocumentAccessService {
+
+  /**
+   * Whether a registrar may act on a document
+   * @param {Object} db - DatabaseService
+   * @param {Object} document - Document row
+   * @param {number} registrarId - Registrar making the request
+   * @returns {Promise<boolean>} - True when allowed
+   */
+  static async canManageDocument(db, document, registrarId) {
+    const requesterResult = await db.query(
+      'SELECT id, institution_name, is_active FROM registrars WHERE id = $1',
+      [registrarId]
+    );
+    const requester = requesterResult.rows[0];
+
+    if (!requester || !requester.is_active) {
+      return false;
+    }
+
+    if (document.registrar_id === requester.id) {
+      return true;
+    }
+
+    let issuingInstitution = DEFAULT_INSTITUTION;
+    if (document.registrar_id) {
+      const issuerResult = await db.query('SELECT institution_name FROM registrars WHERE id = $1', [document.registrar_id]);
+      issuingInstitution = issuerResult.rows[0] ? issuerResult.rows[0].institution_name : null;
+    }
+
+    return !!issuingInstitution && requester.institution_name === issuingInstitution;
+  }
+}
+
+module.exports = DocumentAccessService;
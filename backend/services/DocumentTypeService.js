@@ -0,0 +1,169 @@
+// Validity of a document type - how expires_at is set when a document is issued
+const VALIDITY_KINDS = {
+  NONE: 'none',           // never expires (transcripts, diplomas)
+  MONTHS: 'months',       // validity_months after issuance
+  SEMESTER: 'semester'    // until the end of the semester it was issued in
+};
+
+// Last day of each semester (MM-DD), overridable with SEMESTER_END_DATES
+const DEFAULT_SEMESTER_END_DATES = '05-31,12-20';
+
+// Types created on first start - registrars can change validity afterwards
+const DEFAULT_DOCUMENT_TYPES = [
+  { code: 'TOR', name: 'Transcript of Records', validityKind: VALIDITY_KINDS.NONE },
+  { code: 'COG', name: 'Certificate of Grades', validityKind: VALIDITY_KINDS.NONE },
+  { code: 'COE', name: 'Certificate of Enrollment', validityKind: VALIDITY_KINDS.SEMESTER },
+  { code: 'COR', name: 'Certificate of Registration', validityKind: VALIDITY_KINDS.SEMESTER },
+  { code: 'GMC', name: 'Certificate of Good Moral Character', validityKind: VALIDITY_KINDS.MONTHS, validityMonths: 6 },
+  { code: 'DIPLOMA', name: 'Diploma', validityKind: VALIDITY_KINDS.NONE }
+];
+
+/**
+ * Document types and their validity periods. Time-bound documents get an
+ * expires_at at issuance; once it passes verification reports EXPIRED, while
+ * the anchor stays on record as proof that the document was issued.
+ */
+class DocumentTypeService {
+
+  /**
+   * Insert the default types that are missing
+   * @param {Object} client - Database client or DatabaseService
+   */
+  static async seedDefaults(client) {
+    for (const type of DEFAULT_DOCUMENT_TYPES) {
+      await client.query(
+        `INSERT INTO document_types (code, name, validity_kind, validity_months)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (code) DO NOTHING`,
+        [type.code, type.name, type.validityKind, type.validityMonths || null]
+      );
+    }
+  }
+
+  /**
+   * @param {Object} db - DatabaseService
+   * @returns {Promise<Array>} - All document types
+   */
+  static async listTypes(db) {
+    const result = await db.query('SELECT * FROM document_types ORDER BY code ASC');
+    return result.rows;
+  }
+
+  /**
+   * @param {Object} db - DatabaseService
+   * @param {string} code - Document type code (e.g. COE)
+   * @returns {Promise<Object|null>} - Document type row
+   */
+  static async getType(db, code) {
+    if (!code) {
+      return null;
+    }
+
+    const result = await db.query('SELECT * FROM document_types WHERE code = $1', [code]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Create a document type or change its validity
+   * @param {Object} db - DatabaseService
+   * @param {string} code - Document type code
+   * @param {Object} fields - name, validityKind, validityMonths
+   * @returns {Promise<Object>} - Saved row
+   */
+  static async saveType(db, code, fields) {
+    const validityKind = fields.validityKind || VALIDITY_KINDS.NONE;
+
+    if (!Object.values(VALIDITY_KINDS).includes(validityKind)) {
+      throw new Error(`Validity kind must be one of: ${Object.values(VALIDITY_KINDS).join(', ')}`);
+    }
+
+    const validityMonths = validityKind === VALIDITY_KINDS.MONTHS ? parseInt(fields.validityMonths) : null;
+
+    if (validityKind === VALIDITY_KINDS.MONTHS && !(validityMonths > 0)) {
+      throw new Error('validityMonths must be a positive number of months');
+    }
+
+    const result = await db.query(
+      `INSERT INTO document_types (code, name, validity_kind, validity_months)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (code) DO UPDATE
+         SET name = COALESCE($2, document_types.name), validity_kind = $3, validity_months = $4, updated_at = NOW()
+       RETURNING *`,
+      [code, fields.name || null, validityKind, validityMonths]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Expiry of a document of this type issued at issuedAt
+   * @param {Object|null} type - Document type row
+   * @param {Date} issuedAt - Issuance time
+   * @returns {Date|null} - Expiry, or null when the type does not expire
+   */
+  static computeExpiry(type, issuedAt) {
+    if (!type) {
+      return null;
+    }
+
+    if (type.validity_kind === VALIDITY_KINDS.MONTHS && type.validity_months) {
+      const expiresAt = new Date(issuedAt);
+      expiresAt.setMonth(expiresAt.getMonth() + type.validity_months);
+      return expiresAt;
+    }
+
+    if (type.validity_kind === VALIDITY_KINDS.SEMESTER) {
+      return this.getSemesterEnd(issuedAt);
+    }
+
+    return null;
+  }
+
+  /**
+   * End of the semester a date falls in (end of that day)
+   * @param {Date} date - Any date
+   * @returns {Date} - First semester end on or after the date
+   */
+  static getSemesterEnd(date) {
+    const ends = (process.env.SEMESTER_END_DATES || DEFAULT_SEMESTER_END_DATES)
+      .split(',')
+      .map(value => value.trim().split('-').map(Number))
+      .sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+    const issued = new Date(date);
+
+    for (const year of [issued.getFullYear(), issued.getFullYear() + 1]) {
+      for (const [month, day] of ends) {
+        const end = new Date(year, month - 1, day, 23, 59, 59, 999);
+        if (end >= issued) {
+          return end;
+        }
+      }
+    }
+
+    throw new Error('SEMESTER_END_DATES has no valid dates');
+  }
+
+  /**
+   * Expiry section of verification responses
+   * @param {Object} document - Document row
+   * @param {Date} now - Time to check against
+   * @returns {Object|null} - Expiry state, or null when the document does not expire
+   */
+  static getExpiryDetails(document, now = new Date()) {
+    if (!document || !document.expires_at) {
+      return null;
+    }
+
+    const expiresAt = new Date(document.expires_at);
+
+    return {
+      expired: now >= expiresAt,
+      expiresAt,
+      dateIssued: document.date_issued
+    };
+  }
+}
+
+module.exports = DocumentTypeService;
+module.exports.VALIDITY_KINDS = VALIDITY_KINDS;
@@ -0,0 +1,125 @@
+// Upper bound on versions followed in one chain - guards against a cycle in bad data
+const MAX_VERSIONS = 100;
+
+/**
+ * Reissue chains. A reissued document is a new document whose supersedes_hash
+ * points at the version it corrects; the old row gets superseded_by_hash in
+ * return. Every version keeps its own hash, anchor and verification URL, and
+ * a superseded version points verifiers to the current one.
+ */
+class DocumentVersionService {
+
+  /**
+   * Follow superseded_by_hash to the newest version
+   * @param {Object} db - DatabaseService
+   * @param {Object} document - Document row
+   * @returns {Promise<Object>} - Current version row (the document itself when not superseded)
+   */
+  static async getCurrentVersion(db, document) {
+    let current = document;
+    const seen = new Set([document.document_hash]);
+
+    while (current.superseded_by_hash && seen.size < MAX_VERSIONS) {
+      const result = await db.query('SELECT * FROM documents WHERE document_hash = $1', [current.superseded_by_hash]);
+      const next = result.rows[0];
+
+      if (!next || seen.has(next.document_hash)) {
+        break;
+      }
+
+      seen.add(next.document_hash);
+      current = next;
+    }
+
+    return current;
+  }
+
+  /**
+   * Every version of a document, oldest first
+   * @param {Object} db - DatabaseService
+   * @param {Object} document - Any version's row
+   * @returns {Promise<Array>} - Document rows
+   */
+  static async getHistory(db, document) {
+    const versions = [document];
+    const seen = new Set([document.document_hash]);
+
+    // Back to the first issue
+    let first = document;
+    while (first.supersedes_hash && seen.size < MAX_VERSIONS) {
+      const result = await db.query('SELECT * FROM documents WHERE document_hash = $1', [first.supersedes_hash]);
+      const previous = result.rows[0];
+
+      if (!previous || seen.has(previous.document_hash)) {
+        break;
+      }
+
+      seen.add(previous.document_hash);
+      versions.unshift(previous);
+      first = previous;
+    }
+
+    // Forward to the current version
+    let last = document;
+    while (last.superseded_by_hash && seen.size < MAX_VERSIONS) {
+      const result = await db.query('SELECT * FROM documents WHERE document_hash = $1', [last.superseded_by_hash]);
+      const next = result.rows[0];
+
+      if (!next || seen.has(next.document_hash)) {
+        break;
+      }
+
+      seen.add(next.document_hash);
+      versions.push(next);
+      last = next;
+    }
+
+    return versions;
+  }
+
+  /**
+   * Link a reissued document to the version it replaces
+   * @param {Object} db - DatabaseService
+   * @param {string} documentHash - Hash of the replaced version
+   * @param {string} newDocumentHash - Hash of the reissued version
+   * @param {Object} details - reason, registrarId, transactionHash
+   * @returns {Promise<Object>} - Updated row of the replaced version
+   */
+  static async markSuperseded(db, documentHash, newDocumentHash, details = {}) {
+    const result = await db.query(
+      `UPDATE documents
+       SET superseded_by_hash = $1, superseded_at = NOW(), supersession_reason = $2,
+           superseded_by_registrar = $3, supersession_tx_hash = $4
+       WHERE document_hash = $5
+       RETURNING *`,
+      [newDocumentHash, details.reason || null, details.registrarId || null, details.transactionHash || null, documentHash]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Public summary of one version for verification responses
+   * @param {Object} document - Document row
+   * @returns {Object} - Version summary
+   */
+  static summarize(document) {
+    const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
+
+    return {
+      documentHash: document.document_hash,
+      version: document.version || 1,
+      documentType: document.document_type,
+      dateIssued: document.date_issued,
+      supersedes: document.supersedes_hash || null,
+      supersededBy: document.superseded_by_hash || null,
+      supersededAt: document.superseded_at || null,
+      reason: document.supersession_reason || null,
+      revoked: document.revoked || false,
+      anchored: !!(document.anchor_backend || document.blockchain_tx_hash || document.anchor_batch_id),
+      verificationUrl: `${baseUrl}/verify/${document.document_hash}`
+    };
+  }
+}
+
+module.exports = DocumentVersionService;
@@ -0,0 +1,219 @@
+const { ethers } = require('ethers');
+
+// EIP-712 type of the record a registrar signs when issuing a document
+const DOCUMENT_RECORD_TYPES = {
+  DocumentRecord: [
+    { name: 'documentHash', type: 'bytes32' },
+    { name: 'documentType', type: 'string' },
+    { name: 'studentIdCommitment', type: 'bytes32' },
+    { name: 'issuedDate', type: 'uint256' }
+  ]
+};
+
+/**
+ * EIP-712 issuance signatures from the registrar's own wallet.
+ *
+ * The student id is never signed in the clear - the record carries a salted
+ * commitment, keccak256(abi.encode(studentId, salt)), with the salt kept in
+ * the documents table. The domain used at signing time is stored with the
+ * signature so it can still be checked if the chain or contract changes.
+ */
+class IssuanceSignatureService {
+
+  /**
+   * Build the EIP-712 domain for the current deployment
+   * @param {Object} blockchain - BlockchainService (may be uninitialized)
+   * @returns {Promise<Object>} - Domain
+   */
+  static async getDomain(blockchain) {
+    let chainId = parseInt(process.env.CHAIN_ID) || 31337;
+    let verifyingContract = process.env.CONTRACT_ADDRESS || ethers.ZeroAddress;
+
+    if (blockchain && blockchain.initialized) {
+      const network = await blockchain.provider.getNetwork();
+      chainId = Number(network.chainId);
+      verifyingContract = blockchain.contractAddress;
+    }
+
+    return {
+      name: 'PRMSU Document Registry',
+      version: '1',
+      chainId,
+      verifyingContract
+    };
+  }
+
+  /**
+   * Salted commitment to a student id
+   * @param {string} studentId - Student id
+   * @param {string} salt - 32 byte hex salt
+   * @returns {string} - Commitment hash
+   */
+  static commitStudentId(studentId, salt) {
+    return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(['string', 'bytes32'], [studentId, salt]));
+  }
+
+  /**
+   * Typed record for a document row
+   * @param {Object} document - Document row (student_id_salt must be set)
+   * @returns {Object} - DocumentRecord message
+   */
+  static buildRecord(document) {
+    return {
+      documentHash: document.document_hash,
+      documentType: document.document_type,
+      studentIdCommitment: this.commitStudentId(document.student_id, document.student_id_salt),
+      issuedDate: Math.floor(new Date(document.date_issued).getTime() / 1000)
+    };
+  }
+
+  /**
+   * Typed data for the wallet to sign (eth_signTypedData_v4), creating the commitment salt if needed
+   * @param {Object} db - DatabaseService
+   * @param {Object} blockchain - BlockchainService
+   * @param {Object} document - Document row
+   * @returns {Promise<Object>} - { domain, types, primaryType, message }
+   */
+  static async createSigningRequest(db, blockchain, document) {
+    if (!document.student_id_salt) {
+      const salt = ethers.hexlify(ethers.randomBytes(32));
+      const result = await db.query(
+        `UPDATE documents SET student_id_salt = COALESCE(student_id_salt, $1)
+         WHERE document_hash = $2 RETURNING student_id_salt`,
+        [salt, document.document_hash]
+      );
+      document.student_id_salt = result.rows[0].student_id_salt;
+    }
+
+    const domain = await this.getDomain(blockchain);
+    const message = this.buildRecord(document);
+
+    // Wallets expect the domain type to be listed explicitly
+    return {
+      domain,
+      types: {
+        EIP712Domain: [
+          { name: 'name', type: 'string' },
+          { name: 'version', type: 'string' },
+          { name: 'chainId', type: 'uint256' },
+          { name: 'verifyingContract', type: 'address' }
+        ],
+        ...DOCUMENT_RECORD_TYPES
+      },
+      primaryType: 'DocumentRecord',
+      message: { ...message, issuedDate: message.issuedDate.toString() }
+    };
+  }
+
+  /**
+   * Recover the wallet that signed a document's record
+   * @param {Object} document - Document row
+   * @param {Object} domain - EIP-712 domain used when signing
+   * @param {string} signature - Signature
+   * @returns {string} - Signer address
+   */
+  static recoverSigner(document, domain, signature) {
+    return ethers.verifyTypedData(domain, DOCUMENT_RECORD_TYPES, this.buildRecord(document), signature);
+  }
+
+  /**
+   * Check a signature from a registrar and store it with the document
+   * @param {Object} db - DatabaseService
+   * @param {Object} blockchain - BlockchainService
+   * @param {Object} document - Document row
+   * @param {number} registrarId - Registrar submitting the signature
+   * @param {string} signature - EIP-712 signature
+   * @returns {Promise<Object>} - { success, signerAddress } or { success: false, error, alreadySigned }
+   */
+  static async recordSignature(db, blockchain, document, registrarId, signature) {
+    if (!document.student_id_salt) {
+      return { success: false, error: 'Request typed data before submitting a signature' };
+    }
+
+    const registrarResult = await db.query('SELECT wallet_address FROM registrars WHERE id = $1', [registrarId]);
+    const walletAddress = registrarResult.rows[0]?.wallet_address;
+
+    if (!walletAddress) {
+      return { success: false, error: 'Connect a wallet to your registrar account before signing' };
+    }
+
+    const domain = await this.getDomain(blockchain);
+    let signerAddress;
+
+    try {
+      signerAddress = this.recoverSigner(document, domain, signature);
+    } catch (error) {
+      return { success: false, error: 'Invalid signature' };
+    }
+
+    if (signerAddress.toLowerCase() !== walletAddress.toLowerCase()) {
+      return {
+        success: false,
+        error: 'Signature was not made by your connected wallet',
+        signerAddress,
+        walletAddress
+      };
+    }
+
+    // A document keeps its first signature - a concurrent request may have signed it meanwhile
+    const updated = await db.query(
+      `UPDATE documents
+       SET issuer_signature = $1, issuer_signer_address = $2, issuer_signature_domain = $3,
+           issuer_signed_by = $4, issuer_signed_at = NOW()
+       WHERE document_hash = $5 AND issuer_signature IS NULL`,
+      [signature, signerAddress, JSON.stringify(domain), registrarId, document.document_hash]
+    );
+
+    if (updated.rowCount === 0) {
+      return { success: false, alreadySigned: true, error: 'Document already has an issuance signature' };
+    }
+
+    return { success: true, signerAddress };
+  }
+
+  /**
+   * Verify a document's stored issuance signature for verification responses
+   * @param {Object} db - DatabaseService
+   * @param {Object} document - Document row, or undefined
+   * @returns {Promise<Object|null>} - Signature check, or null when the document has no signature
+   */
+  static async verifyDocumentSignature(db, document) {
+    if (!document || !document.issuer_signature) {
+      return null;
+    }
+
+    const registrarResult = await db.query(
+      'SELECT id, full_name, institution_name, wallet_address FROM registrars WHERE id = $1',
+      [document.issuer_signed_by]
+    );
+    const registrar = registrarResult.rows[0];
+
+    let recoveredAddress = null;
+    try {
+      recoveredAddress = this.recoverSigner(document, document.issuer_signature_domain, document.issuer_signature);
+    } catch (error) {
+      console.error('Error recovering issuance signer:', error);
+    }
+
+    const registrarWallet = registrar ? registrar.wallet_address : null;
+    const valid = !!(recoveredAddress && registrarWallet &&
+      recoveredAddress.toLowerCase() === registrarWallet.toLowerCase());
+
+    return {
+      valid,
+      signerAddress: recoveredAddress,
+      registrarWallet,
+      registrar: registrar ? {
+        id: registrar.id,
+        name: registrar.full_name,
+        institution: registrar.institution_name
+      } : null,
+      signedAt: document.issuer_signed_at,
+      domain: document.issuer_signature_domain,
+      message: valid ? null : 'Issuance signature does not match the registrar\'s wallet'
+    };
+  }
+}
+
+module.exports = IssuanceSignatureService;
+module.exports.DOCUMENT_RECORD_TYPES = DOCUMENT_RECORD_TYPES;
@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+/**
+ * Encrypted JSON keystores (Web3 Secret Storage, scrypt) for the anchoring
+ * signer. The passphrase comes from the environment; the key itself never
+ * appears in configuration.
+ */
+class KeystoreService {
+
+  /**
+   * Decrypt a keystore file
+   * @param {string} keystorePath - Path to the keystore JSON
+   * @param {string} passphrase - Keystore passphrase
+   * @returns {Promise<Object>} - ethers Wallet (not connected to a provider)
+   */
+  static async load(keystorePath, passphrase) {
+    if (!passphrase) {
+      throw new Error('Keystore passphrase is not set (SIGNER_KEYSTORE_PASSWORD)');
+    }
+
+    const json = fs.readFileSync(keystorePath, 'utf8');
+    return await ethers.Wallet.fromEncryptedJson(json, passphrase);
+  }
+
+  /**
+   * Generate a new key and write it as an encrypted keystore
+   * @param {string} keystorePath - Where to write the keystore (must not exist)
+   * @param {string} passphrase - Passphrase to encrypt it with
+   * @returns {Promise<Object>} - { address, keystorePath }
+   */
+  static async create(keystorePath, passphrase) {
+    return await this.save(keystorePath, ethers.Wallet.createRandom(), passphrase);
+  }
+
+  /**
+   * Encrypt an existing key into a keystore (e.g. to move off a raw REGISTRAR_PRIVATE_KEY)
+   * @param {string} keystorePath - Where to write the keystore (must not exist)
+   * @param {Object} wallet - ethers Wallet
+   * @param {string} passphrase - Passphrase to encrypt it with
+   * @returns {Promise<Object>} - { address, keystorePath }
+   */
+  static async save(keystorePath, wallet, passphrase) {
+    if (!passphrase || passphrase.length < 12) {
+      throw new Error('Keystore passphrase must be at least 12 characters');
+    }
+
+    if (fs.existsSync(keystorePath)) {
+      throw new Error(`Refusing to overwrite existing keystore: ${keystorePath}`);
+    }
+
+    const json = await wallet.encrypt(passphrase);
+
+    fs.mkdirSync(path.dirname(keystorePath), { recursive: true });
+    fs.writeFileSync(keystorePath, json, { mode: 0o600 });
+
+    return { address: wallet.address, keystorePath };
+  }
+
+  /**
+   * Read the address of a keystore without decrypting it
+   * @param {string} keystorePath - Path to the keystore JSON
+   * @returns {string} - Checksummed address
+   */
+  static readAddress(keystorePath) {
+    const json = JSON.parse(fs.readFileSync(keystorePath, 'utf8'));
+
+    if (!json.address) {
+      throw new Error(`Keystore has no address field: ${keystorePath}`);
+    }
+
+    return ethers.getAddress(json.address.startsWith('0x') ? json.address : '0x' + json.address);
+  }
+}
+
+module.exports = KeystoreService;
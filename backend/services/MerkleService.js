@@ -0,0 +1,108 @@
+const { ethers } = require('ethers');
+
+/**
+ * Merkle tree helpers for batched anchoring.
+ *
+ * Leaves are keccak256(documentHash) and pairs are hashed in sorted order, so a
+ * proof is just the list of sibling hashes - no left/right flags are needed.
+ * An odd node at the end of a layer is promoted to the next layer unchanged.
+ */
+class MerkleService {
+
+  /**
+   * Hash a document hash into a tree leaf
+   * @param {string} documentHash - 0x-prefixed 32 byte document hash
+   * @returns {string} - Leaf hash
+   */
+  static hashLeaf(documentHash) {
+    return ethers.keccak256(documentHash);
+  }
+
+  /**
+   * Hash two sibling nodes (sorted, so order does not matter)
+   * @param {string} a - Node hash
+   * @param {string} b - Node hash
+   * @returns {string} - Parent hash
+   */
+  static hashPair(a, b) {
+    const [left, right] = a.toLowerCase() <= b.toLowerCase() ? [a, b] : [b, a];
+    return ethers.keccak256(ethers.concat([left, right]));
+  }
+
+  /**
+   * Build a Merkle tree from document hashes
+   * @param {Array<string>} documentHashes - Document hashes, in leaf order
+   * @returns {Object} - { root, layers }
+   */
+  static buildTree(documentHashes) {
+    if (!documentHashes || documentHashes.length === 0) {
+      throw new Error('Cannot build a Merkle tree without leaves');
+    }
+
+    const layers = [documentHashes.map(hash => this.hashLeaf(hash))];
+
+    while (layers[layers.length - 1].length > 1) {
+      const current = layers[layers.length - 1];
+      const next = [];
+
+      for (let i = 0; i < current.length; i += 2) {
+        next.push(i + 1 < current.length ? this.hashPair(current[i], current[i + 1]) : current[i]);
+      }
+
+      layers.push(next);
+    }
+
+    return {
+      root: layers[layers.length - 1][0],
+      layers
+    };
+  }
+
+  /**
+   * Get the inclusion proof for the leaf at the given index
+   * @param {Array<Array<string>>} layers - Tree layers from buildTree
+   * @param {number} index - Leaf index
+   * @returns {Array<string>} - Sibling hashes from leaf to root
+   */
+  static getProof(layers, index) {
+    const proof = [];
+
+    for (let level = 0; level < layers.length - 1; level++) {
+      const siblingIndex = index % 2 === 0 ? index + 1 : index - 1;
+      if (siblingIndex < layers[level].length) {
+        proof.push(layers[level][siblingIndex]);
+      }
+      index = Math.floor(index / 2);
+    }
+
+    return proof;
+  }
+
+  /**
+   * Recompute the Merkle root from a document hash and its proof
+   * @param {string} documentHash - Document hash
+   * @param {Array<string>} proof - Sibling hashes from getProof
+   * @returns {string} - Computed root
+   */
+  static computeRoot(documentHash, proof) {
+    return (proof || []).reduce((node, sibling) => this.hashPair(node, sibling), this.hashLeaf(documentHash));
+  }
+
+  /**
+   * Check that a document hash is included under the given root
+   * @param {string} documentHash - Document hash
+   * @param {Array<string>} proof - Sibling hashes
+   * @param {string} root - Expected Merkle root
+   * @returns {boolean} - True if the proof is valid
+   */
+  static verifyProof(documentHash, proof, root) {
+    try {
+      return this.computeRoot(documentHash, proof).toLowerCase() === root.toLowerCase();
+    } catch (error) {
+      console.error('Error verifying Merkle proof:', error);
+      return false;
+    }
+  }
+}
+
+module.exports = MerkleService;
@@ -0,0 +1,430 @@
+const sharp = require('sharp');
+const {
+  PDFDocument,
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFRawStream,
+  PDFStream,
+  decodePDFRawStream
+} = require('pdf-lib');
+const QRService = require('./QRService');
+const PDFMetadataService = require('./PDFMetadataService');
+
+// Where the document hash of an uploaded PDF was found
+const HASH_SOURCES = {
+  METADATA: 'metadata',
+  TEXT: 'text',
+  QR_IMAGE: 'qr_image'
+};
+
+const DOCUMENT_HASH_PATTERN = /0x[a-fA-F0-9]{64}/;
+
+// Images smaller than a version 1 QR code cannot hold one
+const MIN_QR_IMAGE_SIZE = 21;
+
+// Form XObjects (common in printed-to-PDF files) are searched this deep for images
+const MAX_XOBJECT_DEPTH = 3;
+
+/**
+ * Recovers the document hash from an uploaded PDF. Our processed PDFs carry
+ * it in a structured issuance record (XMP and document information, see
+ * PDFMetadataService) and in the subject and keywords, but re-saving or
+ * printing to PDF drops metadata, so the page text and then the embedded QR
+ * code image (see embedQRInPDF) are tried as well.
+ */
+class PDFHashExtractionService {
+
+  /**
+   * Find the document hash in a PDF
+   * @param {Buffer} pdfBytes - PDF file
+   * @returns {Promise<Object>} - { hash, source, isWatermarked, qrCode }
+   */
+  static async extractDocumentHash(pdfBytes) {
+    const pdfDoc = await PDFDocument.load(pdfBytes, { ignoreEncryption: true, updateMetadata: false });
+
+    const metadata = this.getMetadataHash(pdfDoc);
+    if (metadata.hash) {
+      return { hash: metadata.hash, source: HASH_SOURCES.METADATA, isWatermarked: metadata.isWatermarked, qrCode: null };
+    }
+
+    const textHash = this.getTextHash(pdfDoc);
+    if (textHash) {
+      return { hash: textHash, source: HASH_SOURCES.TEXT, isWatermarked: metadata.isWatermarked, qrCode: null };
+    }
+
+    const qrCode = await this.getQRImageHash(pdfDoc);
+    if (qrCode) {
+      return { hash: qrCode.documentHash, source: HASH_SOURCES.QR_IMAGE, isWatermarked: metadata.isWatermarked, qrCode };
+    }
+
+    return { hash: null, source: null, isWatermarked: metadata.isWatermarked, qrCode: null };
+  }
+
+  /**
+   * Every place a PDF names its document hash. A forgery can carry a copied
+   * hash in one place and another elsewhere, so all are read for matching.
+   * @param {Buffer} pdfBytes - PDF file
+   * @returns {Promise<Object>} - { metadataHash, issuanceRecord, textHash, qrCode, isWatermarked }
+   */
+  static async extractHashClaims(pdfBytes) {
+    const pdfDoc = await PDFDocument.load(pdfBytes, { ignoreEncryption: true, updateMetadata: false });
+    const metadata = this.getMetadataHash(pdfDoc);
+
+    return {
+      metadataHash: metadata.hash,
+      issuanceRecord: metadata.issuanceRecord,
+      textHash: this.getTextHash(pdfDoc),
+      qrCode: await this.getQRImageHash(pdfDoc),
+      isWatermarked: metadata.isWatermarked
+    };
+  }
+
+  /**
+   * Hash from the issuance record, or else from the subject and keywords
+   * written by embedQRInPDF and the watermarking step
+   * @param {Object} pdfDoc - Loaded PDFDocument
+   * @returns {Object} - { hash, isWatermarked, issuanceRecord } - issuanceRecord is { xmp, info }
+   */
+  static getMetadataHash(pdfDoc) {
+    let hash = null;
+    let isWatermarked = false;
+
+    const subject = pdfDoc.getSubject();
+    if (subject && subject.startsWith('0x')) {
+      hash = subject;
+    }
+
+    // Verified (watermarked) documents carry the hash inside a longer subject
+    if (subject && subject.includes('Verified:')) {
+      isWatermarked = true;
+      const hashMatch = subject.match(DOCUMENT_HASH_PATTERN);
+      if (hashMatch) {
+        hash = hashMatch[0];
+      }
+    }
+
+    const keywords = pdfDoc.getKeywords();
+    if (keywords) {
+      const hashMatch = keywords.match(/verification_hash:(0x[a-fA-F0-9]{64})/);
+      if (hashMatch) {
+        hash = hashMatch[1];
+      }
+
+      if (keywords.includes('blockchain_verified:true')) {
+        isWatermarked = true;
+      }
+    }
+
+    // The structured record takes precedence - subject and keywords are free text other tools overwrite
+    const issuanceRecord = PDFMetadataService.read(pdfDoc);
+    const record = issuanceRecord.xmp || issuanceRecord.info;
+    if (record) {
+      hash = record.documentHash;
+    }
+
+    return { hash, isWatermarked, issuanceRecord };
+  }
+
+  /**
+   * Hash printed in the page text (cover pages print it in full)
+   * @param {Object} pdfDoc - Loaded PDFDocument
+   * @returns {string|null} - Document hash
+   */
+  static getTextHash(pdfDoc) {
+    for (const page of pdfDoc.getPages()) {
+      const text = this.getPageStrings(page).join('');
+      const match = text.match(DOCUMENT_HASH_PATTERN);
+
+      if (match) {
+        return match[0];
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * String operands of a page's content streams - good enough to find a hash
+   * drawn with a standard font, not a general text extractor
+   * @param {Object} page - PDFPage
+   * @returns {Array<string>} - Decoded strings in content order
+   */
+  static getPageStrings(page) {
+    const contents = page.node.Contents();
+    if (!contents) {
+      return [];
+    }
+
+    const streams = contents instanceof PDFArray
+      ? contents.asArray().map(ref => page.doc.context.lookup(ref))
+      : [contents];
+
+    const strings = [];
+
+    for (const stream of streams) {
+      const content = Buffer.from(this.getStreamBytes(stream)).toString('latin1');
+
+      // Literal (...) strings and hex <...> strings, skipping << dictionaries >>
+      const pattern = /\(((?:\\.|[^\\)])*)\)|<([0-9A-Fa-f\s]+)>/g;
+      let match;
+      while ((match = pattern.exec(content)) !== null) {
+        if (match[1] !== undefined) {
+          strings.push(match[1].replace(/\\([()\\])/g, '$1'));
+        } else {
+          strings.push(Buffer.from(match[2].replace(/\s/g, ''), 'hex').toString('latin1'));
+        }
+      }
+    }
+
+    return strings;
+  }
+
+  /**
+   * Decode every image on every page and read the first QR code with one of our hashes
+   * @param {Object} pdfDoc - Loaded PDFDocument
+   * @returns {Promise<Object|null>} - { documentHash, data, page, image, location }
+   */
+  static async getQRImageHash(pdfDoc) {
+    const pages = pdfDoc.getPages();
+
+    for (let pageIndex = 0; pageIndex < pages.length; pageIndex++) {
+      const images = this.getPageImages(pdfDoc, pages[pageIndex].node.Resources(), 0);
+
+      for (const image of images) {
+        let imageBuffer;
+        try {
+          imageBuffer = await this.imageToBuffer(image.stream);
+        } catch (error) {
+          console.warn(`Could not decode image ${image.name} on page ${pageIndex + 1}:`, error.message);
+          continue;
+        }
+
+        if (!imageBuffer) {
+          continue;
+        }
+
+        for (const code of await QRService.decodeImage(imageBuffer)) {
+          const documentHash = QRService.extractDocumentHash(code.data);
+
+          if (documentHash) {
+            return {
+              documentHash,
+              data: code.data,
+              page: pageIndex + 1,
+              image: image.name,
+              location: code.location
+            };
+          }
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Image XObjects of a resource dictionary, including those inside form XObjects
+   * @param {Object} pdfDoc - Loaded PDFDocument
+   * @param {Object} resources - Resources PDFDict
+   * @param {number} depth - Form nesting depth
+   * @returns {Array} - { name, stream }
+   */
+  static getPageImages(pdfDoc, resources, depth) {
+    const xObjects = resources && resources.lookupMaybe(PDFName.of('XObject'), PDFDict);
+    if (!xObjects) {
+      return [];
+    }
+
+    const images = [];
+
+    for (const [name, ref] of xObjects.entries()) {
+      const stream = pdfDoc.context.lookup(ref);
+      if (!(stream instanceof PDFStream)) {
+        continue;
+      }
+
+      const subtype = stream.dict.get(PDFName.of('Subtype'));
+
+      if (subtype === PDFName.of('Image')) {
+        images.push({ name: name.decodeText(), stream });
+      } else if (subtype === PDFName.of('Form') && depth < MAX_XOBJECT_DEPTH) {
+        const formResources = stream.dict.lookupMaybe(PDFName.of('Resources'), PDFDict);
+        images.push(...this.getPageImages(pdfDoc, formResources, depth + 1));
+      }
+    }
+
+    return images;
+  }
+
+  /**
+   * Turn an image XObject into an encoded image sharp can read
+   * @param {Object} stream - Image XObject stream
+   * @returns {Promise<Buffer|null>} - JPEG or PNG bytes, or null for unsupported images
+   */
+  static async imageToBuffer(stream) {
+    const dict = stream.dict;
+    const width = dict.lookup(PDFName.of('Width')).asNumber();
+    const height = dict.lookup(PDFName.of('Height')).asNumber();
+
+    if (width < MIN_QR_IMAGE_SIZE || height < MIN_QR_IMAGE_SIZE) {
+      return null;
+    }
+
+    const filter = dict.lookup(PDFName.of('Filter'));
+    const filters = filter instanceof PDFArray ? filter.asArray() : (filter ? [filter] : []);
+    const filterNames = filters.map(name => name.decodeText());
+
+    // JPEG images are handed to sharp as they are
+    if (filterNames.length === 1 && filterNames[0] === 'DCTDecode') {
+      return Buffer.from(stream.contents);
+    }
+
+    // JPEG 2000, CCITT and JBIG2 (fax-style scans) are not supported
+    if (filterNames.some(name => ['DCTDecode', 'JPXDecode', 'CCITTFaxDecode', 'JBIG2Decode'].includes(name))) {
+      return null;
+    }
+
+    const channels = this.getColorChannels(stream);
+    const bitsPerComponent = dict.lookup(PDFName.of('BitsPerComponent')).asNumber();
+
+    if (!channels || (bitsPerComponent !== 8 && !(bitsPerComponent === 1 && channels === 1))) {
+      return null;
+    }
+
+    let pixels = this.getStreamBytes(stream);
+
+    const decodeParms = dict.lookupMaybe(PDFName.of('DecodeParms'), PDFDict);
+    const predictor = decodeParms ? decodeParms.lookup(PDFName.of('Predictor')) : null;
+    if (predictor && predictor.asNumber() >= 10) {
+      pixels = this.undoPngPredictor(pixels, Math.ceil(width * channels * bitsPerComponent / 8), channels * bitsPerComponent / 8);
+    }
+
+    if (bitsPerComponent === 1) {
+      pixels = this.expandBilevel(pixels, width, height);
+    } else if (channels === 4) {
+      pixels = this.cmykToGray(pixels);
+    }
+
+    return await sharp(Buffer.from(pixels.buffer, pixels.byteOffset, width * height * (channels === 3 ? 3 : 1)), {
+      raw: { width, height, channels: channels === 3 ? 3 : 1 }
+    }).png().toBuffer();
+  }
+
+  /**
+   * Components per pixel of an image's color space
+   * @param {Object} stream - Image XObject stream
+   * @returns {number|null} - 1, 3 or 4, or null for color spaces we do not read (e.g. Indexed)
+   */
+  static getColorChannels(stream) {
+    const colorSpace = stream.dict.lookup(PDFName.of('ColorSpace'));
+
+    if (colorSpace instanceof PDFName) {
+      return { DeviceGray: 1, CalGray: 1, DeviceRGB: 3, CalRGB: 3, DeviceCMYK: 4 }[colorSpace.decodeText()] || null;
+    }
+
+    if (colorSpace instanceof PDFArray && colorSpace.lookup(0, PDFName).decodeText() === 'ICCBased') {
+      const profile = colorSpace.lookup(1, PDFStream);
+      const components = profile.dict.lookup(PDFName.of('N')).asNumber();
+      return [1, 3, 4].includes(components) ? components : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Decoded bytes of a stream
+   * @param {Object} stream - PDFRawStream, or a stream pdf-lib built itself
+   * @returns {Uint8Array} - Decoded contents
+   */
+  static getStreamBytes(stream) {
+    if (stream instanceof PDFRawStream) {
+      return decodePDFRawStream(stream).decode();
+    }
+    return stream.getContents();
+  }
+
+  /**
+   * Reverse PNG row filters (Predictor >= 10 in DecodeParms)
+   * @param {Uint8Array} data - Filtered rows, each prefixed with its filter type
+   * @param {number} rowLength - Bytes per row without the filter byte
+   * @param {number} bytesPerPixel - Bytes per pixel (at least 1)
+   * @returns {Uint8Array} - Unfiltered pixel data
+   */
+  static undoPngPredictor(data, rowLength, bytesPerPixel) {
+    const bpp = Math.max(1, Math.floor(bytesPerPixel));
+    const rows = Math.floor(data.length / (rowLength + 1));
+    const output = new Uint8Array(rows * rowLength);
+
+    for (let row = 0; row < rows; row++) {
+      const filterType = data[row * (rowLength + 1)];
+      const input = row * (rowLength + 1) + 1;
+      const out = row * rowLength;
+
+      for (let i = 0; i < rowLength; i++) {
+        const left = i >= bpp ? output[out + i - bpp] : 0;
+        const up = row > 0 ? output[out - rowLength + i] : 0;
+        const upLeft = row > 0 && i >= bpp ? output[out - rowLength + i - bpp] : 0;
+        let value = data[input + i];
+
+        if (filterType === 1) {
+          value += left;
+        } else if (filterType === 2) {
+          value += up;
+        } else if (filterType === 3) {
+          value += (left + up) >> 1;
+        } else if (filterType === 4) {
+          const estimate = left + up - upLeft;
+          const distLeft = Math.abs(estimate - left);
+          const distUp = Math.abs(estimate - up);
+          const distUpLeft = Math.abs(estimate - upLeft);
+          value += distLeft <= distUp && distLeft <= distUpLeft ? left : (distUp <= distUpLeft ? up : upLeft);
+        }
+
+        output[out + i] = value & 0xff;
+      }
+    }
+
+    return output;
+  }
+
+  /**
+   * 1 bit per pixel rows (padded to a byte) to 8 bit grayscale - a set bit is white
+   * @param {Uint8Array} data - Packed rows
+   * @param {number} width - Pixels per row
+   * @param {number} height - Rows
+   * @returns {Uint8Array} - One byte per pixel
+   */
+  static expandBilevel(data, width, height) {
+    const rowBytes = Math.ceil(width / 8);
+    const output = new Uint8Array(width * height);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const bit = (data[y * rowBytes + (x >> 3)] >> (7 - (x & 7))) & 1;
+        output[y * width + x] = bit ? 255 : 0;
+      }
+    }
+
+    return output;
+  }
+
+  /**
+   * CMYK pixels to grayscale - QR decoding only needs luminance
+   * @param {Uint8Array} data - CMYK bytes
+   * @returns {Uint8Array} - One byte per pixel
+   */
+  static cmykToGray(data) {
+    const output = new Uint8Array(data.length / 4);
+
+    for (let i = 0; i < output.length; i++) {
+      const [c, m, y, k] = data.subarray(i * 4, i * 4 + 4);
+      output[i] = 255 - Math.min(255, Math.round(0.3 * c + 0.59 * m + 0.11 * y) + k);
+    }
+
+    return output;
+  }
+}
+
+module.exports = PDFHashExtractionService;
+module.exports.HASH_SOURCES = HASH_SOURCES;
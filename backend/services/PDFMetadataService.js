@@ -0,0 +1,337 @@
+const { PDFName, PDFDict, PDFHexString, PDFString, PDFRawStream, PDFStream, decodePDFRawStream } = require('pdf-lib');
+
+// Version of the issuance record layout - bump when fields change
+const SCHEMA_VERSION = 1;
+
+// XMP namespace and prefix of the issuance record
+const XMP_NAMESPACE = 'urn:prmsu:document-verification:issuance:1';
+const XMP_PREFIX = 'prmsuv';
+
+// Custom document information dictionary entry holding the record as JSON
+const INFO_KEY = 'PRMSUIssuance';
+
+// Fields of the issuance record, in the order they are written
+const RECORD_FIELDS = ['documentHash', 'issuer', 'contractAddress', 'chainId', 'schemaVersion'];
+
+const DOCUMENT_HASH_PATTERN = /^0x[a-fA-F0-9]{64}$/;
+
+// Result of checking the record in an uploaded PDF
+const METADATA_STATUSES = {
+  CONSISTENT: 'consistent',
+  MISSING: 'missing',
+  INCONSISTENT: 'inconsistent'
+};
+
+/**
+ * @param {string} value - Text
+ * @returns {string} - Text safe inside an XML attribute
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * @param {string} value - XML text
+ * @returns {string} - Unescaped text
+ */
+function unescapeXml(value) {
+  return value
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Structured issuance record inside issued PDFs: the document hash, issuer,
+ * contract address, chain id and schema version, written twice - as an XMP
+ * packet on the catalog and as a custom document information entry - so the
+ * upload verifier does not have to guess the hash from the subject, page
+ * text or QR image. Like every hash found inside a file it is only a claim;
+ * the verifier compares it with the QR code and the matched document.
+ */
+class PDFMetadataService {
+
+  /**
+   * Issuance record for a document on the current deployment
+   * @param {string} documentHash - Document hash
+   * @param {Object} blockchain - BlockchainService (may be missing or uninitialized)
+   * @returns {Promise<Object>} - Record
+   */
+  static async buildRecord(documentHash, blockchain = null) {
+    let chainId = parseInt(process.env.CHAIN_ID) || null;
+    let contractAddress = process.env.CONTRACT_ADDRESS || null;
+
+    if (blockchain && blockchain.initialized) {
+      try {
+        const network = await blockchain.provider.getNetwork();
+        chainId = Number(network.chainId);
+      } catch (error) {
+        console.warn('Could not read the chain id for the issuance record:', error.message);
+      }
+      contractAddress = blockchain.contractAddress;
+    }
+
+    return {
+      documentHash,
+      issuer: process.env.INSTITUTION_NAME || 'President Ramon Magsaysay State University',
+      contractAddress,
+      chainId,
+      schemaVersion: SCHEMA_VERSION
+    };
+  }
+
+  /**
+   * Write the record as XMP metadata and as a document information entry
+   * @param {Object} pdfDoc - PDFDocument
+   * @param {Object} record - Record from buildRecord
+   */
+  static embed(pdfDoc, record) {
+    const xmp = Buffer.from(this.buildXMP(record, this.getXMPText(pdfDoc)), 'utf8');
+
+    // XMP must stay uncompressed so other tools can find and read it
+    const metadataStream = pdfDoc.context.stream(xmp, {
+      Type: 'Metadata',
+      Subtype: 'XML',
+      Length: xmp.length
+    });
+    pdfDoc.catalog.set(PDFName.of('Metadata'), pdfDoc.context.register(metadataStream));
+
+    this.getInfoDict(pdfDoc).set(PDFName.of(INFO_KEY), PDFHexString.fromText(JSON.stringify(this.pickFields(record))));
+  }
+
+  /**
+   * XMP packet with the record. An existing packet (e.g. from the word
+   * processor that made the PDF) keeps its other properties.
+   * @param {Object} record - Record from buildRecord
+   * @param {string|null} existingXMP - Current packet of the PDF
+   * @returns {string} - XMP packet
+   */
+  static buildXMP(record, existingXMP = null) {
+    const properties = RECORD_FIELDS
+      .filter(field => record[field] !== null && record[field] !== undefined)
+      .map(field => `      <${XMP_PREFIX}:${field}>${escapeXml(record[field])}</${XMP_PREFIX}:${field}>`)
+      .join('\n');
+
+    const description = [
+      `    <rdf:Description rdf:about="" xmlns:${XMP_PREFIX}="${XMP_NAMESPACE}">`,
+      properties,
+      '    </rdf:Description>'
+    ].join('\n');
+
+    if (existingXMP && existingXMP.includes('</rdf:RDF>')) {
+      // Drop a record written earlier, then add the new one
+      const previous = new RegExp(`\\s*<rdf:Description[^>]*${XMP_NAMESPACE}[\\s\\S]*?</rdf:Description>`, 'g');
+      return existingXMP.replace(previous, '').replace(/\s*<\/rdf:RDF>/, `\n${description}\n  </rdf:RDF>`);
+    }
+
+    return [
+      '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+      '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+      '  <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+      description,
+      '  </rdf:RDF>',
+      '</x:xmpmeta>',
+      '<?xpacket end="w"?>'
+    ].join('\n');
+  }
+
+  /**
+   * Read the record from both places
+   * @param {Object} pdfDoc - Loaded PDFDocument
+   * @returns {Object} - { xmp, info } - each a record or null
+   */
+  static read(pdfDoc) {
+    return {
+      xmp: this.readXMP(pdfDoc),
+      info: this.readInfo(pdfDoc)
+    };
+  }
+
+  /**
+   * Record in the catalog's XMP packet, whichever prefix and property style
+   * (element or attribute) the writer used
+   * @param {Object} pdfDoc - Loaded PDFDocument
+   * @returns {Object|null} - Record
+   */
+  static readXMP(pdfDoc) {
+    const xml = this.getXMPText(pdfDoc);
+    if (!xml) {
+      return null;
+    }
+
+    const namespace = XMP_NAMESPACE.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const prefixMatch = xml.match(new RegExp(`xmlns:([\\w.-]+)=["']${namespace}["']`));
+    if (!prefixMatch) {
+      return null;
+    }
+
+    const prefix = prefixMatch[1];
+    const values = {};
+
+    for (const field of RECORD_FIELDS) {
+      const match = xml.match(new RegExp(`<${prefix}:${field}>([^<]*)</${prefix}:${field}>`)) ||
+        xml.match(new RegExp(`${prefix}:${field}=["']([^"']*)["']`));
+
+      if (match) {
+        values[field] = unescapeXml(match[1].trim());
+      }
+    }
+
+    return this.normalize(values);
+  }
+
+  /**
+   * @param {Object} pdfDoc - Loaded PDFDocument
+   * @returns {string|null} - The catalog's XMP packet
+   */
+  static getXMPText(pdfDoc) {
+    const stream = pdfDoc.catalog.lookupMaybe(PDFName.of('Metadata'), PDFStream);
+    if (!stream) {
+      return null;
+    }
+
+    try {
+      const bytes = stream instanceof PDFRawStream ? decodePDFRawStream(stream).decode() : stream.getContents();
+      return Buffer.from(bytes).toString('utf8');
+    } catch (error) {
+      console.warn('Could not decode the XMP metadata stream:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Record in the document information dictionary
+   * @param {Object} pdfDoc - Loaded PDFDocument
+   * @returns {Object|null} - Record
+   */
+  static readInfo(pdfDoc) {
+    const info = pdfDoc.context.lookup(pdfDoc.context.trailerInfo.Info);
+    if (!(info instanceof PDFDict)) {
+      return null;
+    }
+
+    const entry = info.lookup(PDFName.of(INFO_KEY));
+    if (!(entry instanceof PDFString) && !(entry instanceof PDFHexString)) {
+      return null;
+    }
+
+    try {
+      return this.normalize(JSON.parse(entry.decodeText()));
+    } catch (error) {
+      console.warn('Issuance record in the document information is not JSON:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Record with typed fields, or null when it has no document hash
+   * @param {Object} values - Raw field values
+   * @returns {Object|null} - Record
+   */
+  static normalize(values) {
+    if (!values || !DOCUMENT_HASH_PATTERN.test(values.documentHash)) {
+      return null;
+    }
+
+    const chainId = parseInt(values.chainId);
+    const schemaVersion = parseInt(values.schemaVersion);
+
+    return {
+      documentHash: values.documentHash.toLowerCase(),
+      issuer: values.issuer || null,
+      contractAddress: values.contractAddress || null,
+      chainId: isNaN(chainId) ? null : chainId,
+      schemaVersion: isNaN(schemaVersion) ? null : schemaVersion
+    };
+  }
+
+  /**
+   * Check the record found in an upload against itself, the QR code and the matched document
+   * @param {Object} embedded - { xmp, info } from read
+   * @param {Object} expected - qrHash (hash in the QR payload), documentHash (matched document)
+   * @returns {Object} - { status, record, source, issues }
+   */
+  static check(embedded, expected = {}) {
+    const { xmp, info } = embedded || {};
+    const record = xmp || info;
+    const issues = [];
+
+    if (!record) {
+      return {
+        status: METADATA_STATUSES.MISSING,
+        record: null,
+        source: null,
+        qrCompared: false,
+        issues: ['The PDF carries no issuance record - it was issued before records were embedded, or its metadata was stripped']
+      };
+    }
+
+    // Disagreements make the record inconsistent; a missing copy is only noted
+    const mismatches = [];
+    const notes = [];
+
+    if (!xmp) {
+      notes.push('The XMP issuance record is missing - only the document information entry is present');
+    } else if (!info) {
+      notes.push('The document information issuance entry is missing - only the XMP record is present');
+    } else {
+      for (const field of RECORD_FIELDS) {
+        if (String(xmp[field]).toLowerCase() !== String(info[field]).toLowerCase()) {
+          mismatches.push(`XMP and document information disagree on ${field}`);
+        }
+      }
+    }
+
+    const qrHash = expected.qrHash && expected.qrHash.toLowerCase();
+    const documentHash = expected.documentHash && expected.documentHash.toLowerCase();
+
+    if (qrHash && qrHash !== record.documentHash) {
+      mismatches.push(`The QR code names ${expected.qrHash}, the issuance record names ${record.documentHash}`);
+    }
+    if (documentHash && documentHash !== record.documentHash) {
+      mismatches.push(`The issuance record names ${record.documentHash}, but the file matches ${expected.documentHash}`);
+    }
+
+    return {
+      status: mismatches.length > 0 ? METADATA_STATUSES.INCONSISTENT : METADATA_STATUSES.CONSISTENT,
+      record,
+      source: xmp ? 'xmp' : 'info',
+      qrCompared: !!qrHash,
+      issues: [...mismatches, ...notes]
+    };
+  }
+
+  /**
+   * @param {Object} record - Record
+   * @returns {Object} - Only the record fields, in order
+   */
+  static pickFields(record) {
+    return Object.fromEntries(RECORD_FIELDS.map(field => [field, record[field] === undefined ? null : record[field]]));
+  }
+
+  /**
+   * Document information dictionary, created when the file has none
+   * @param {Object} pdfDoc - PDFDocument
+   * @returns {Object} - PDFDict
+   */
+  static getInfoDict(pdfDoc) {
+    const existing = pdfDoc.context.lookup(pdfDoc.context.trailerInfo.Info);
+    if (existing instanceof PDFDict) {
+      return existing;
+    }
+
+    const info = pdfDoc.context.obj({});
+    pdfDoc.context.trailerInfo.Info = pdfDoc.context.register(info);
+    return info;
+  }
+}
+
+module.exports = PDFMetadataService;
+module.exports.SCHEMA_VERSION = SCHEMA_VERSION;
+module.exports.METADATA_STATUSES = METADATA_STATUSES;
@@ -0,0 +1,385 @@
+const fs = require('fs').promises;
+const path = require('path');
+const sharp = require('sharp');
+
+// Hashes are 8x8 bits, stored as 16 hex characters
+const HASH_SIZE = 8;
+
+// pHash takes the DCT of a 32x32 thumbnail and keeps the lowest 8x8 frequencies
+const PHASH_SAMPLE_SIZE = 32;
+
+// Combined dHash + pHash distance (out of 128 bits) up to which an upload counts as the same image
+const SIMILAR_DISTANCE = 20;
+
+// Block comparison against the stored file: images are scaled to at most this width and
+// blurred so that recompression noise averages out while changed text or figures do not
+const COMPARE_MAX_WIDTH = 800;
+const COMPARE_BLUR_SIGMA = 1.5;
+const COMPARE_BLOCK_SIZE = 8;
+
+// Mean absolute difference (0-255) of one block above which it counts as edited. Heavy
+// messaging-app recompression stays below about 25, a changed digit goes above 40.
+const EDIT_BLOCK_THRESHOLD = 35;
+
+// Width/height ratio change that means the image was cropped or padded, not just resized
+const MAX_ASPECT_RATIO_CHANGE = 0.02;
+
+const MAX_REPORTED_REGIONS = 10;
+
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp', '.gif', '.tif', '.tiff'];
+
+// Stored image variants, with the column each perceptual hash goes in
+const PERCEPTUAL_VARIANTS = [
+  { variant: 'watermarked', pathColumn: 'watermarked_file_path', column: 'watermarked_perceptual_hash' },
+  { variant: 'processed', pathColumn: 'processed_file_path', column: 'processed_perceptual_hash' },
+  { variant: 'original', pathColumn: 'original_file_path', column: 'content_perceptual_hash' }
+];
+
+/**
+ * Perceptual hashes for image documents. A messaging app re-encoding a JPEG
+ * changes every byte, so image uploads are matched on what they look like:
+ * dHash and pHash give a similarity score, and a block-by-block comparison
+ * against the stored file tells recompression (small differences spread
+ * over the whole image) from edits (large differences in one place).
+ */
+class PerceptualHashService {
+
+  /**
+   * dHash and pHash of an image
+   * @param {Buffer|string} input - Image buffer or path
+   * @returns {Promise<Object>} - { dHash, pHash } as hex strings
+   */
+  static async computeHashes(input) {
+    return {
+      dHash: await this.differenceHash(input),
+      pHash: await this.dctHash(input)
+    };
+  }
+
+  /**
+   * Perceptual hashes of a stored file
+   * @param {string} filePath - Image file
+   * @returns {Promise<Object|null>} - { dHash, pHash }, or null when the file is not an image
+   */
+  static async hashFile(filePath) {
+    if (!IMAGE_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) {
+      return null;
+    }
+
+    return this.computeHashes(await fs.readFile(filePath));
+  }
+
+  /**
+   * Grayscale pixels scaled to an exact size
+   * @param {Buffer|string} input - Image buffer or path
+   * @param {number} width - Target width
+   * @param {number} height - Target height
+   * @returns {Promise<Buffer>} - One byte per pixel
+   */
+  static async getGrayPixels(input, width, height) {
+    return sharp(input)
+      .rotate()
+      .flatten({ background: '#ffffff' })
+      .grayscale()
+      .resize(width, height, { fit: 'fill' })
+      .raw()
+      .toBuffer();
+  }
+
+  /**
+   * dHash - whether each pixel is brighter than its right neighbour
+   * @param {Buffer|string} input - Image buffer or path
+   * @returns {Promise<string>} - 64-bit hash as hex
+   */
+  static async differenceHash(input) {
+    const pixels = await this.getGrayPixels(input, HASH_SIZE + 1, HASH_SIZE);
+    const bits = [];
+
+    for (let y = 0; y < HASH_SIZE; y++) {
+      for (let x = 0; x < HASH_SIZE; x++) {
+        bits.push(pixels[y * (HASH_SIZE + 1) + x] > pixels[y * (HASH_SIZE + 1) + x + 1]);
+      }
+    }
+
+    return this.bitsToHex(bits);
+  }
+
+  /**
+   * pHash - whether each low-frequency DCT coefficient is above their median
+   * @param {Buffer|string} input - Image buffer or path
+   * @returns {Promise<string>} - 64-bit hash as hex
+   */
+  static async dctHash(input) {
+    const size = PHASH_SAMPLE_SIZE;
+    const pixels = await this.getGrayPixels(input, size, size);
+    const coefficients = [];
+
+    for (let u = 0; u < HASH_SIZE; u++) {
+      for (let v = 0; v < HASH_SIZE; v++) {
+        let sum = 0;
+        for (let y = 0; y < size; y++) {
+          for (let x = 0; x < size; x++) {
+            sum += pixels[y * size + x] *
+              Math.cos((2 * x + 1) * v * Math.PI / (2 * size)) *
+              Math.cos((2 * y + 1) * u * Math.PI / (2 * size));
+          }
+        }
+        coefficients.push(sum);
+      }
+    }
+
+    // The DC term is the average brightness - it is left out of the median
+    const sorted = coefficients.slice(1).sort((a, b) => a - b);
+    const median = sorted[Math.floor(sorted.length / 2)];
+
+    return this.bitsToHex(coefficients.map(value => value > median));
+  }
+
+  /**
+   * @param {Array<boolean>} bits - 64 bits, most significant first
+   * @returns {string} - 16 hex characters
+   */
+  static bitsToHex(bits) {
+    let hex = '';
+    for (let i = 0; i < bits.length; i += 4) {
+      hex += ((bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3]).toString(16);
+    }
+    return hex;
+  }
+
+  /**
+   * Number of differing bits between two hex hashes
+   * @param {string} a - Hash
+   * @param {string} b - Hash
+   * @returns {number} - Hamming distance
+   */
+  static hammingDistance(a, b) {
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+      let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+      while (diff) {
+        distance += diff & 1;
+        diff >>= 1;
+      }
+    }
+    return distance;
+  }
+
+  /**
+   * Similarity of two sets of hashes
+   * @param {Object} a - { dHash, pHash }
+   * @param {Object} b - { dHash, pHash }
+   * @returns {Object} - { dHashDistance, pHashDistance, distance, score } with score from 0 to 1
+   */
+  static compareHashes(a, b) {
+    const dHashDistance = this.hammingDistance(a.dHash, b.dHash);
+    const pHashDistance = this.hammingDistance(a.pHash, b.pHash);
+    const distance = dHashDistance + pHashDistance;
+
+    return {
+      dHashDistance,
+      pHashDistance,
+      distance,
+      score: Math.round((1 - distance / (HASH_SIZE * HASH_SIZE * 2)) * 1000) / 1000
+    };
+  }
+
+  /**
+   * Compare an uploaded image with every stored image variant of a document
+   * @param {Buffer} uploadedBuffer - Uploaded image
+   * @param {Object} document - Document row with perceptual hash columns
+   * @returns {Promise<Object|null>} - Comparison, or null when the document has no image variants
+   */
+  static async compareWithDocument(uploadedBuffer, document) {
+    const candidates = PERCEPTUAL_VARIANTS.filter(({ column }) => document[column]);
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    let uploadedHashes;
+    try {
+      uploadedHashes = await this.computeHashes(uploadedBuffer);
+    } catch (error) {
+      console.warn('Could not hash uploaded image:', error.message);
+      return null;
+    }
+
+    // The closest stored variant is the one the upload was made from
+    let best = null;
+    for (const candidate of candidates) {
+      const similarity = this.compareHashes(uploadedHashes, document[candidate.column]);
+      if (!best || similarity.distance < best.similarity.distance) {
+        best = { ...candidate, similarity };
+      }
+    }
+
+    const comparison = {
+      matchedVersion: best.variant,
+      similarity: best.similarity.score,
+      dHashDistance: best.similarity.dHashDistance,
+      pHashDistance: best.similarity.pHashDistance,
+      uploadedHashes,
+      similar: best.similarity.distance <= SIMILAR_DISTANCE,
+      edited: null,
+      editedRegions: []
+    };
+
+    if (!comparison.similar) {
+      return comparison;
+    }
+
+    try {
+      const referenceBuffer = await fs.readFile(document[best.pathColumn]);
+      Object.assign(comparison, await this.findEditedRegions(uploadedBuffer, referenceBuffer));
+    } catch (error) {
+      console.warn(`Could not compare with the stored ${best.variant} image:`, error.message);
+    }
+
+    return comparison;
+  }
+
+  /**
+   * Blocks where the uploaded image differs from the stored one by more than recompression would
+   * @param {Buffer} uploadedBuffer - Uploaded image
+   * @param {Buffer} referenceBuffer - Stored variant
+   * @returns {Promise<Object>} - { edited, editedRegions, maxBlockDifference, reason }
+   */
+  static async findEditedRegions(uploadedBuffer, referenceBuffer) {
+    const uploadedMeta = await sharp(uploadedBuffer).rotate().metadata();
+    const referenceMeta = await sharp(referenceBuffer).metadata();
+
+    // rotate() applies EXIF orientation, which swaps the dimensions of portrait photos
+    const uploadedSwapped = uploadedMeta.orientation >= 5;
+    const uploadedWidth = uploadedSwapped ? uploadedMeta.height : uploadedMeta.width;
+    const uploadedHeight = uploadedSwapped ? uploadedMeta.width : uploadedMeta.height;
+
+    const aspectChange = Math.abs((uploadedWidth / uploadedHeight) / (referenceMeta.width / referenceMeta.height) - 1);
+    if (aspectChange > MAX_ASPECT_RATIO_CHANGE) {
+      return {
+        edited: true,
+        editedRegions: [],
+        maxBlockDifference: null,
+        reason: 'Image proportions differ from the issued image (cropped or padded)'
+      };
+    }
+
+    // Compare at the lower of the two resolutions - upscaling a small upload adds nothing
+    const width = Math.min(COMPARE_MAX_WIDTH, uploadedWidth, referenceMeta.width);
+    const height = Math.round(width * referenceMeta.height / referenceMeta.width);
+
+    const prepare = input => sharp(input)
+      .rotate()
+      .flatten({ background: '#ffffff' })
+      .grayscale()
+      .resize(width, height, { fit: 'fill' })
+      .blur(COMPARE_BLUR_SIGMA)
+      .normalise()
+      .raw()
+      .toBuffer();
+
+    const uploaded = await prepare(uploadedBuffer);
+    const reference = await prepare(referenceBuffer);
+
+    const block = COMPARE_BLOCK_SIZE;
+    const step = block / 2;
+    const flagged = [];
+    let maxBlockDifference = 0;
+
+    for (let top = 0; top + block <= height; top += step) {
+      for (let left = 0; left + block <= width; left += step) {
+        let sum = 0;
+        for (let y = top; y < top + block; y++) {
+          for (let x = left; x < left + block; x++) {
+            sum += Math.abs(uploaded[y * width + x] - reference[y * width + x]);
+          }
+        }
+
+        const difference = sum / (block * block);
+        maxBlockDifference = Math.max(maxBlockDifference, difference);
+
+        if (difference > EDIT_BLOCK_THRESHOLD) {
+          flagged.push({ left, top, right: left + block, bottom: top + block, difference });
+        }
+      }
+    }
+
+    const editedRegions = this.mergeBlocks(flagged)
+      .sort((a, b) => b.difference - a.difference)
+      .slice(0, MAX_REPORTED_REGIONS)
+      .map(region => ({
+        // Fractions of the image size, so they apply at any resolution
+        x: Math.round(region.left / width * 1000) / 1000,
+        y: Math.round(region.top / height * 1000) / 1000,
+        width: Math.round((region.right - region.left) / width * 1000) / 1000,
+        height: Math.round((region.bottom - region.top) / height * 1000) / 1000,
+        difference: Math.round(region.difference)
+      }));
+
+    return {
+      edited: editedRegions.length > 0,
+      editedRegions,
+      maxBlockDifference: Math.round(maxBlockDifference * 10) / 10,
+      reason: editedRegions.length > 0 ? `${editedRegions.length} region(s) differ from the issued image` : null
+    };
+  }
+
+  /**
+   * Merge overlapping or touching blocks into bounding boxes
+   * @param {Array} blocks - { left, top, right, bottom, difference }
+   * @returns {Array} - Merged boxes, difference being the largest of their blocks
+   */
+  static mergeBlocks(blocks) {
+    const regions = [];
+
+    for (const block of blocks) {
+      let merged = { ...block };
+      for (let i = regions.length - 1; i >= 0; i--) {
+        const region = regions[i];
+        if (merged.left <= region.right && region.left <= merged.right &&
+            merged.top <= region.bottom && region.top <= merged.bottom) {
+          merged = {
+            left: Math.min(merged.left, region.left),
+            top: Math.min(merged.top, region.top),
+            right: Math.max(merged.right, region.right),
+            bottom: Math.max(merged.bottom, region.bottom),
+            difference: Math.max(merged.difference, region.difference)
+          };
+          regions.splice(i, 1);
+        }
+      }
+      regions.push(merged);
+    }
+
+    return regions;
+  }
+
+  /**
+   * Perceptual hashes of every image variant of a document whose column is still empty
+   * @param {Object} document - Document row
+   * @returns {Promise<Object>} - Column name to { dHash, pHash }
+   */
+  static async hashMissingVariants(document) {
+    const hashes = {};
+
+    for (const { pathColumn, column } of PERCEPTUAL_VARIANTS) {
+      if (document[column] || !document[pathColumn]) {
+        continue;
+      }
+
+      try {
+        const variantHashes = await this.hashFile(document[pathColumn]);
+        if (variantHashes) {
+          hashes[column] = variantHashes;
+        }
+      } catch (error) {
+        console.log(`Could not compute perceptual hash of ${pathColumn}:`, error.message);
+      }
+    }
+
+    return hashes;
+  }
+}
+
+module.exports = PerceptualHashService;
+module.exports.PERCEPTUAL_VARIANTS = PERCEPTUAL_VARIANTS;
+module.exports.SIMILAR_DISTANCE = SIMILAR_DISTANCE;
@@ -1,7 +1,25 @@
 const QRCode = require('qrcode');
+const jsQR = require('jsqr');
+const sharp = require('sharp');
 const fs = require('fs');
 const path = require('path');
 
+// Preprocessing passes for photos and scans, tried in order - phone photos
+// usually decode in the first pass, faint or uneven scans need a threshold
+const DECODE_PASSES = [
+  { width: 1200, threshold: null },
+  { width: 1200, threshold: 128 },
+  { width: 800, threshold: 100 },
+  { width: 1800, threshold: 160 },
+  { width: 800, threshold: null }
+];
+
+// Upper bound on codes read from one image
+const MAX_CODES_PER_IMAGE = 10;
+
+// Document hash in our QR payloads: a bare hash, /verify/<hash>, ?hash=<hash> or JSON documentHash
+const DOCUMENT_HASH_PATTERN = /0x[a-fA-F0-9]{64}/;
+
 class QRService {
 
   /**
@@ -341,6 +359,203 @@ class QRService {
     }
   }
 
+  /**
+   * Decode every QR code in a photo or scan
+   * @param {Buffer} imageBuffer - JPEG or PNG image
+   * @returns {Promise<Array>} - { data, location, pass } per distinct code found
+   */
+  static async decodeImage(imageBuffer) {
+    const codes = new Map();
+
+    for (const pass of DECODE_PASSES) {
+      const image = await this.preprocessImage(imageBuffer, pass);
+      const countBefore = codes.size;
+
+      // jsQR can pair up finder patterns of different codes on a page with
+      // several codes, so overlapping tiles are read as well as the whole image
+      for (const region of this.getRegions(image)) {
+        for (const code of this.decodeAll(this.cropImage(image, region))) {
+          if (!codes.has(code.data) && codes.size < MAX_CODES_PER_IMAGE) {
+            codes.set(code.data, { ...this.offsetCode(code, region, image), pass: { ...pass } });
+          }
+        }
+      }
+
+      // Keep trying harder passes only while they still turn up new codes
+      if (codes.size > 0 && codes.size === countBefore) {
+        break;
+      }
+    }
+
+    return [...codes.values()];
+  }
+
+  /**
+   * The whole image plus a 3x3 grid of half-size tiles overlapping by half
+   * @param {Object} image - { width, height }
+   * @returns {Array} - { left, top, width, height }
+   */
+  static getRegions(image) {
+    const regions = [{ left: 0, top: 0, width: image.width, height: image.height }];
+    const tileWidth = Math.floor(image.width / 2);
+    const tileHeight = Math.floor(image.height / 2);
+
+    for (let row = 0; row < 3; row++) {
+      for (let column = 0; column < 3; column++) {
+        regions.push({
+          left: Math.floor(column * tileWidth / 2),
+          top: Math.floor(row * tileHeight / 2),
+          width: tileWidth,
+          height: tileHeight
+        });
+      }
+    }
+
+    return regions;
+  }
+
+  /**
+   * Copy a region of an RGBA image
+   * @param {Object} image - { data, width, height }
+   * @param {Object} region - { left, top, width, height }
+   * @returns {Object} - { data, width, height } of the region
+   */
+  static cropImage(image, region) {
+    const data = new Uint8ClampedArray(region.width * region.height * 4);
+
+    for (let y = 0; y < region.height; y++) {
+      const start = ((region.top + y) * image.width + region.left) * 4;
+      data.set(image.data.subarray(start, start + region.width * 4), y * region.width * 4);
+    }
+
+    return { data, width: region.width, height: region.height };
+  }
+
+  /**
+   * Move a code found in a region back into whole-image coordinates
+   * @param {Object} code - { data, location } from decodeAll
+   * @param {Object} region - Region it was found in
+   * @param {Object} image - Whole preprocessed image
+   * @returns {Object} - Code with location relative to the whole image
+   */
+  static offsetCode(code, region, image) {
+    const move = point => ({ x: point.x + region.left, y: point.y + region.top });
+
+    return {
+      data: code.data,
+      location: {
+        topLeft: move(code.location.topLeft),
+        topRight: move(code.location.topRight),
+        bottomLeft: move(code.location.bottomLeft),
+        bottomRight: move(code.location.bottomRight),
+        imageWidth: image.width,
+        imageHeight: image.height
+      }
+    };
+  }
+
+  /**
+   * Grayscale, resize and optionally threshold an image into RGBA pixels for jsQR
+   * @param {Buffer} imageBuffer - Source image
+   * @param {Object} pass - width and threshold (null to only normalise contrast)
+   * @returns {Promise<Object>} - { data: Uint8ClampedArray, width, height, scale }
+   */
+  static async preprocessImage(imageBuffer, pass) {
+    // rotate() applies the EXIF orientation phones write instead of rotating pixels;
+    // only the widest pass upsamples, for small codes in low-resolution scans
+    let pipeline = sharp(imageBuffer)
+      .rotate()
+      .grayscale()
+      .resize({ width: pass.width, withoutEnlargement: pass.width <= 1200 })
+      .normalise();
+
+    if (pass.threshold) {
+      pipeline = pipeline.threshold(pass.threshold);
+    }
+
+    const { data, info } = await pipeline.raw().toBuffer({ resolveWithObject: true });
+    const rgba = new Uint8ClampedArray(info.width * info.height * 4);
+
+    for (let i = 0, j = 0; i < data.length; i += info.channels, j += 4) {
+      rgba[j] = rgba[j + 1] = rgba[j + 2] = data[i];
+      rgba[j + 3] = 255;
+    }
+
+    return { data: rgba, width: info.width, height: info.height };
+  }
+
+  /**
+   * Read every code in a preprocessed image - jsQR returns one code per call,
+   * so each found code is blanked out before looking again
+   * @param {Object} image - { data, width, height } RGBA pixels, modified in place
+   * @returns {Array} - { data, location } per code
+   */
+  static decodeAll(image) {
+    const codes = [];
+
+    while (codes.length < MAX_CODES_PER_IMAGE) {
+      const code = jsQR(image.data, image.width, image.height, { inversionAttempts: 'attemptBoth' });
+
+      if (!code || !code.data) {
+        break;
+      }
+
+      codes.push({
+        data: code.data,
+        location: {
+          topLeft: code.location.topLeftCorner,
+          topRight: code.location.topRightCorner,
+          bottomLeft: code.location.bottomLeftCorner,
+          bottomRight: code.location.bottomRightCorner
+        }
+      });
+
+      this.blankOut(image, code.location);
+    }
+
+    return codes;
+  }
+
+  /**
+   * Paint the bounding box of a decoded code (plus its quiet zone) white
+   * @param {Object} image - { data, width, height } RGBA pixels, modified in place
+   * @param {Object} location - jsQR code location
+   */
+  static blankOut(image, location) {
+    const corners = [
+      location.topLeftCorner, location.topRightCorner,
+      location.bottomLeftCorner, location.bottomRightCorner
+    ];
+    const xs = corners.map(point => point.x);
+    const ys = corners.map(point => point.y);
+    const margin = Math.ceil((Math.max(...xs) - Math.min(...xs)) * 0.15);
+
+    const left = Math.max(0, Math.floor(Math.min(...xs)) - margin);
+    const right = Math.min(image.width - 1, Math.ceil(Math.max(...xs)) + margin);
+    const top = Math.max(0, Math.floor(Math.min(...ys)) - margin);
+    const bottom = Math.min(image.height - 1, Math.ceil(Math.max(...ys)) + margin);
+
+    for (let y = top; y <= bottom; y++) {
+      image.data.fill(255, (y * image.width + left) * 4, (y * image.width + right + 1) * 4);
+    }
+  }
+
+  /**
+   * Pull the document hash out of decoded QR text
+   * @param {string} qrString - Decoded QR text
+   * @returns {string|null} - Document hash, or null when the code is not one of ours
+   */
+  static extractDocumentHash(qrString) {
+    const parsed = this.parseQRData(qrString);
+
+    if (parsed.type === 'document_verification') {
+      return DOCUMENT_HASH_PATTERN.test(parsed.data.documentHash) ? parsed.data.documentHash : null;
+    }
+
+    const match = qrString.match(DOCUMENT_HASH_PATTERN);
+    return match ? match[0] : null;
+  }
+
   /**
    * Detect data type for QR optimization
    * @param {string} data - Data to analyze
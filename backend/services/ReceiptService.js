@@ -0,0 +1,260 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const IssuanceSignatureService = require('./IssuanceSignatureService');
+const { ANCHOR_BACKENDS } = require('./AnchorBackendService');
+
+const RECEIPT_FORMAT = 'prmsu-verification-receipt';
+const RECEIPT_VERSION = 1;
+
+/**
+ * Portable verification receipts - a signed JSON bundle with everything needed
+ * to check a document later without this server: file hashes, where the hash
+ * was anchored (chain, contract, transaction, block, batch proof or log proof)
+ * and the registrar's issuance signature.
+ *
+ * Receipts are signed with the server's Ed25519 receipt key over the
+ * canonical JSON of the receipt (keys sorted, no whitespace). The standalone
+ * checker is verifier/receiptVerifier.js.
+ */
+class ReceiptService {
+  /**
+   * @param {Object} options - keyPath for the Ed25519 signing key (PEM)
+   */
+  constructor(options = {}) {
+    this.keyPath = options.keyPath || path.join('keys', 'receipt-signing.pem');
+    this.privateKey = null;
+    this.publicKey = null;
+    this.keyId = null;
+  }
+
+  /**
+   * Load the signing key, creating one on first run
+   */
+  initialize() {
+    if (!fs.existsSync(this.keyPath)) {
+      const { privateKey } = crypto.generateKeyPairSync('ed25519');
+      fs.mkdirSync(path.dirname(this.keyPath), { recursive: true });
+      fs.writeFileSync(this.keyPath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+      console.log('Created receipt signing key:', this.keyPath);
+    }
+
+    this.privateKey = crypto.createPrivateKey(fs.readFileSync(this.keyPath));
+    this.publicKey = crypto.createPublicKey(this.privateKey);
+    this.keyId = '0x' + crypto.createHash('sha256')
+      .update(this.publicKey.export({ type: 'spki', format: 'der' }))
+      .digest('hex');
+
+    console.log('Receipt signing ready, key id:', this.keyId);
+  }
+
+  /**
+   * @returns {boolean} - True once the signing key is loaded
+   */
+  isAvailable() {
+    return this.privateKey !== null;
+  }
+
+  /**
+   * Public key for checking receipt signatures
+   * @returns {Object} - keyId, algorithm and PEM
+   */
+  getPublicKey() {
+    return {
+      keyId: this.keyId,
+      algorithm: 'Ed25519',
+      publicKey: this.publicKey.export({ type: 'spki', format: 'pem' })
+    };
+  }
+
+  /**
+   * The signing key as a JSON Web Key Set, for checking JWS verification responses
+   * @returns {Object} - { keys: [JWK] }
+   */
+  getJWKS() {
+    return {
+      keys: [{
+        ...this.publicKey.export({ format: 'jwk' }),
+        kid: this.keyId,
+        alg: 'EdDSA',
+        use: 'sig'
+      }]
+    };
+  }
+
+  /**
+   * Sign a payload as a compact JWS (RFC 7515) with the same key as receipts
+   * @param {Object} payload - JWS payload
+   * @param {string} type - typ header
+   * @returns {string} - header.payload.signature
+   */
+  signJWS(payload, type = 'JWT') {
+    const header = { alg: 'EdDSA', kid: this.keyId, typ: type };
+    const signingInput = ReceiptService.base64url(JSON.stringify(header)) + '.' +
+      ReceiptService.base64url(JSON.stringify(payload));
+
+    return signingInput + '.' +
+      crypto.sign(null, Buffer.from(signingInput, 'ascii'), this.privateKey).toString('base64url');
+  }
+
+  /**
+   * Build and sign the receipt for an anchored document
+   * @param {Object} document - Document row (content hashes filled in)
+   * @param {Object} anchor - Result of AnchorBackendService.verify
+   * @param {Object} services - blockchain and transparencyLog from app.locals
+   * @returns {Promise<Object>} - { receipt, signature }
+   */
+  async createReceipt(document, anchor, services = {}) {
+    const receipt = {
+      format: RECEIPT_FORMAT,
+      version: RECEIPT_VERSION,
+      issuedAt: new Date().toISOString(),
+      issuer: {
+        name: process.env.INSTITUTION_NAME || 'President Ramon Magsaysay State University',
+        verificationUrl: `${process.env.BASE_URL || 'http://localhost:3000'}/verify/${document.document_hash}`
+      },
+      document: {
+        documentHash: document.document_hash,
+        documentType: document.document_type,
+        dateIssued: new Date(document.date_issued).toISOString(),
+        version: document.version || 1,
+        supersedes: document.supersedes_hash || null,
+        // Time-bound documents - the offline verifier reports them as expired after this
+        expiresAt: document.expires_at ? new Date(document.expires_at).toISOString() : null,
+        // keccak256 of the raw file bytes of each variant we hand out
+        fileHashes: {
+          algorithm: 'keccak256',
+          original: document.content_hash || null,
+          processed: document.processed_content_hash || null,
+          watermarked: document.watermarked_content_hash || null
+        }
+      },
+      anchor: anchor.backend.name === ANCHOR_BACKENDS.TRANSPARENCY_LOG
+        ? await this.buildLogAnchor(document, services.transparencyLog)
+        : await this.buildChainAnchor(document, anchor, services.blockchain),
+      issuerSignature: this.buildIssuerSignature(document)
+    };
+
+    return { receipt, signature: this.sign(receipt) };
+  }
+
+  /**
+   * Chain details of a blockchain anchor
+   * @param {Object} document - Document row
+   * @param {Object} anchor - Verified blockchain anchor
+   * @param {Object} blockchain - Initialized BlockchainService
+   * @returns {Promise<Object>} - Anchor section of the receipt
+   */
+  async buildChainAnchor(document, anchor, blockchain) {
+    const network = await blockchain.provider.getNetwork();
+    const batch = anchor.batch;
+
+    return {
+      backend: ANCHOR_BACKENDS.BLOCKCHAIN,
+      chainId: Number(network.chainId),
+      contractAddress: blockchain.contractAddress,
+      // For batched documents the contract holds the batch root, not the document hash
+      anchoredHash: batch ? batch.merkleRoot : document.document_hash,
+      transactionHash: batch ? batch.transactionHash : document.blockchain_tx_hash,
+      blockNumber: batch ? batch.blockNumber : document.block_number,
+      // Key that sent the transaction - the verifier checks it against the transaction sender
+      signerAddress: batch ? batch.signerAddress : document.anchor_signer_address,
+      confirmationsAtIssue: anchor.confirmations ? anchor.confirmations.count : null,
+      batch: batch ? {
+        merkleRoot: batch.merkleRoot,
+        leafIndex: batch.leafIndex,
+        leafCount: batch.leafCount,
+        proof: batch.proof,
+        // See MerkleService - leaves are keccak256(documentHash), pairs hashed in sorted order
+        scheme: 'keccak256-sorted-pairs'
+      } : null
+    };
+  }
+
+  /**
+   * Inclusion proof of a transparency log anchor
+   * @param {Object} document - Document row
+   * @param {Object} transparencyLog - TransparencyLogService
+   * @returns {Promise<Object>} - Anchor section of the receipt
+   */
+  async buildLogAnchor(document, transparencyLog) {
+    const inclusion = await transparencyLog.getInclusionProof(document.document_hash);
+
+    return {
+      backend: ANCHOR_BACKENDS.TRANSPARENCY_LOG,
+      entry: inclusion.entry,
+      treeHead: inclusion.treeHead,
+      auditPath: inclusion.auditPath,
+      logKey: transparencyLog.getPublicKey()
+    };
+  }
+
+  /**
+   * The registrar's EIP-712 signature with the typed data it covers
+   * @param {Object} document - Document row
+   * @returns {Object|null} - Issuer signature section, or null when the document was not signed
+   */
+  buildIssuerSignature(document) {
+    if (!document.issuer_signature) {
+      return null;
+    }
+
+    const record = IssuanceSignatureService.buildRecord(document);
+
+    return {
+      signature: document.issuer_signature,
+      signerAddress: document.issuer_signer_address,
+      domain: document.issuer_signature_domain,
+      types: IssuanceSignatureService.DOCUMENT_RECORD_TYPES,
+      message: { ...record, issuedDate: record.issuedDate.toString() }
+    };
+  }
+
+  /**
+   * Sign a receipt
+   * @param {Object} receipt - Receipt body
+   * @returns {Object} - algorithm, keyId, publicKey and base64 signature
+   */
+  sign(receipt) {
+    const message = Buffer.from(ReceiptService.canonicalize(receipt), 'utf8');
+
+    return {
+      algorithm: 'Ed25519',
+      keyId: this.keyId,
+      publicKey: this.publicKey.export({ type: 'spki', format: 'pem' }),
+      value: crypto.sign(null, message, this.privateKey).toString('base64')
+    };
+  }
+
+  /**
+   * @param {string} text - UTF-8 text
+   * @returns {string} - base64url without padding
+   */
+  static base64url(text) {
+    return Buffer.from(text, 'utf8').toString('base64url');
+  }
+
+  /**
+   * Canonical JSON - object keys sorted, no whitespace
+   * @param {*} value - JSON value
+   * @returns {string} - Canonical JSON text
+   */
+  static canonicalize(value) {
+    if (Array.isArray(value)) {
+      return '[' + value.map(item => this.canonicalize(item)).join(',') + ']';
+    }
+
+    if (value && typeof value === 'object') {
+      return '{' + Object.keys(value).sort()
+        .filter(key => value[key] !== undefined)
+        .map(key => JSON.stringify(key) + ':' + this.canonicalize(value[key]))
+        .join(',') + '}';
+    }
+
+    return JSON.stringify(value);
+  }
+}
+
+module.exports = ReceiptService;
+module.exports.RECEIPT_FORMAT = RECEIPT_FORMAT;
+module.exports.RECEIPT_VERSION = RECEIPT_VERSION;
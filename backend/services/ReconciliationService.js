@@ -0,0 +1,387 @@
+const BatchAnchorService = require('./BatchAnchorService');
+const { JOB_TYPES } = require('./AnchorQueueService');
+
+// Kinds of drift between the documents table and the chain
+const ISSUE_TYPES = {
+  MISSING_ON_CHAIN: 'missing_on_chain',
+  BLOCK_MISMATCH: 'block_mismatch',
+  ORPHANED_ANCHOR: 'orphaned_anchor'
+};
+
+/**
+ * Compares the documents table with what is actually anchored on chain and
+ * repairs the drift it can (re-queueing missing anchors, correcting block numbers).
+ * Reports are stored in reconciliation_reports so a run can be reviewed before repairing.
+ */
+class ReconciliationService {
+
+  /**
+   * Create a report row and run the reconciliation in the background
+   * @param {Object} db - DatabaseService
+   * @param {Object} blockchain - Initialized BlockchainService
+   * @param {Object} chainIndexer - ChainIndexerService, or null if the indexer is disabled
+   * @param {number} registrarId - Registrar who started the run
+   * @returns {Promise<Object>} - Report row (status 'running')
+   */
+  static async startReport(db, blockchain, chainIndexer, registrarId) {
+    const result = await db.query(
+      `INSERT INTO reconciliation_reports (triggered_by) VALUES ($1) RETURNING *`,
+      [registrarId]
+    );
+    const report = result.rows[0];
+
+    this.run(db, blockchain, chainIndexer)
+      .then(({ summary, issues }) => db.query(
+        `UPDATE reconciliation_reports
+         SET status = 'completed', summary = $1, issues = $2, completed_at = NOW()
+         WHERE id = $3`,
+        [JSON.stringify(summary), JSON.stringify(issues), report.id]
+      ))
+      .catch(error => {
+        console.error(`Reconciliation report ${report.id} failed:`, error);
+        return db.query(
+          `UPDATE reconciliation_reports SET status = 'failed', error = $1, completed_at = NOW() WHERE id = $2`,
+          [error.message, report.id]
+        );
+      })
+      .catch(error => console.error('Failed to save reconciliation report:', error));
+
+    return report;
+  }
+
+  /**
+   * Walk the documents table and the chain index and collect every mismatch
+   * @param {Object} db - DatabaseService
+   * @param {Object} blockchain - Initialized BlockchainService
+   * @param {Object} chainIndexer - ChainIndexerService, or null
+   * @returns {Promise<Object>} - { summary, issues }
+   */
+  static async run(db, blockchain, chainIndexer) {
+    const documents = await db.query(
+      `SELECT * FROM documents
+       WHERE (verified = true OR blockchain_tx_hash IS NOT NULL)
+         AND COALESCE(anchor_backend, 'blockchain') = 'blockchain'
+       ORDER BY id ASC`
+    );
+
+    const issues = [];
+    let checkFailures = 0;
+
+    for (const document of documents.rows) {
+      try {
+        const issue = await this.checkDocument(db, blockchain, chainIndexer, document);
+        if (issue) {
+          issues.push(issue);
+        }
+      } catch (error) {
+        console.error(`Reconciliation check failed for ${document.document_hash}:`, error.message);
+        checkFailures++;
+      }
+    }
+
+    // Anchored hashes can only be enumerated from the event index
+    const orphans = chainIndexer ? await this.findOrphanedAnchors(db, blockchain) : [];
+    issues.push(...orphans);
+
+    const summary = {
+      documentsChecked: documents.rows.length,
+      checkFailures,
+      missingOnChain: issues.filter(issue => issue.type === ISSUE_TYPES.MISSING_ON_CHAIN).length,
+      blockMismatches: issues.filter(issue => issue.type === ISSUE_TYPES.BLOCK_MISMATCH).length,
+      orphanedAnchors: chainIndexer ? orphans.length : null
+    };
+
+    return { summary, issues };
+  }
+
+  /**
+   * Check one document row against the chain
+   * @param {Object} db - DatabaseService
+   * @param {Object} blockchain - Initialized BlockchainService
+   * @param {Object} chainIndexer - ChainIndexerService, or null
+   * @param {Object} document - Document row
+   * @returns {Promise<Object|null>} - Issue, or null if the row matches the chain
+   */
+  static async checkDocument(db, blockchain, chainIndexer, document) {
+    const documentHash = document.document_hash;
+    let anchoredHash = documentHash;
+    let transactionHash = document.blockchain_tx_hash;
+    const recordedBlock = document.block_number;
+
+    if (document.anchor_batch_id) {
+      const anchor = await BatchAnchorService.verifyBatchedDocument(db, blockchain, document);
+
+      if (!anchor.verified) {
+        return {
+          type: ISSUE_TYPES.MISSING_ON_CHAIN,
+          documentHash,
+          batchId: document.anchor_batch_id,
+          detail: anchor.batch && !anchor.batch.proofValid
+            ? 'Merkle proof does not match the batch root'
+            : 'Batch root not found on chain'
+        };
+      }
+
+      anchoredHash = anchor.batch.merkleRoot;
+      transactionHash = anchor.batch.transactionHash;
+    } else {
+      const result = await blockchain.verifyDocument(documentHash);
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      if (!result.verified) {
+        return {
+          type: ISSUE_TYPES.MISSING_ON_CHAIN,
+          documentHash,
+          transactionHash,
+          detail: document.verified
+            ? 'Marked verified but not registered on chain'
+            : 'Has a transaction hash but is not registered on chain'
+        };
+      }
+    }
+
+    const chainAnchor = await this.getChainAnchor(blockchain, chainIndexer, anchoredHash, transactionHash);
+
+    if (!chainAnchor) {
+      return {
+        type: ISSUE_TYPES.BLOCK_MISMATCH,
+        documentHash,
+        transactionHash,
+        recordedBlockNumber: recordedBlock,
+        chainBlockNumber: null,
+        chainTransactionHash: null,
+        detail: 'Recorded transaction not found on chain'
+      };
+    }
+
+    if (chainAnchor.blockNumber !== recordedBlock) {
+      return {
+        type: ISSUE_TYPES.BLOCK_MISMATCH,
+        documentHash,
+        transactionHash,
+        recordedBlockNumber: recordedBlock,
+        chainBlockNumber: chainAnchor.blockNumber,
+        chainTransactionHash: chainAnchor.transactionHash,
+        detail: 'Block number differs from the chain'
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Find where a hash was actually anchored - from the event index, or from the recorded transaction's receipt
+   * @param {Object} blockchain - Initialized BlockchainService
+   * @param {Object} chainIndexer - ChainIndexerService, or null
+   * @param {string} anchoredHash - Hash registered on chain (document hash or batch root)
+   * @param {string} transactionHash - Transaction hash recorded in the database
+   * @returns {Promise<Object|null>} - { blockNumber, transactionHash }, or null if it cannot be found
+   */
+  static async getChainAnchor(blockchain, chainIndexer, anchoredHash, transactionHash) {
+    if (chainIndexer) {
+      const indexed = await chainIndexer.findRegistration(anchoredHash);
+      if (indexed) {
+        return { blockNumber: indexed.block_number, transactionHash: indexed.tx_hash };
+      }
+    }
+
+    if (!transactionHash) {
+      return null;
+    }
+
+    const txStatus = await blockchain.getTransactionStatus(transactionHash);
+    if (txStatus.status !== 'confirmed') {
+      return null;
+    }
+
+    return { blockNumber: txStatus.blockNumber, transactionHash };
+  }
+
+  /**
+   * Indexed registrations that match neither a document nor a batch root
+   * @param {Object} db - DatabaseService
+   * @param {Object} blockchain - Initialized BlockchainService
+   * @returns {Promise<Array>} - Orphaned anchor issues
+   */
+  static async findOrphanedAnchors(db, blockchain) {
+    const result = await db.query(
+      `SELECT ce.* FROM chain_events ce
+       WHERE ce.contract_address = $1 AND ce.event_name = 'DocumentRegistered'
+         AND NOT EXISTS (SELECT 1 FROM documents d WHERE LOWER(d.document_hash) = ce.document_hash)
+         AND NOT EXISTS (SELECT 1 FROM anchor_batches b WHERE LOWER(b.merkle_root) = ce.document_hash)
+       ORDER BY ce.block_number ASC`,
+      [blockchain.contractAddress.toLowerCase()]
+    );
+
+    return result.rows.map(event => ({
+      type: ISSUE_TYPES.ORPHANED_ANCHOR,
+      documentHash: event.document_hash,
+      chainBlockNumber: event.block_number,
+      chainTransactionHash: event.tx_hash,
+      detail: 'Anchored on chain but no matching document or batch in the database'
+    }));
+  }
+
+  /**
+   * Get a report by id
+   * @param {Object} db - DatabaseService
+   * @param {number} reportId - Report id
+   * @returns {Promise<Object|null>} - Report row
+   */
+  static async getReport(db, reportId) {
+    const result = await db.query('SELECT * FROM reconciliation_reports WHERE id = $1', [reportId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Repair the issues of a completed report. The report may be stale, so
+   * every issue is checked again before anything is changed.
+   * @param {Object} db - DatabaseService
+   * @param {Object} services - { blockchain, chainIndexer, anchorQueue, batchAnchor } from app.locals
+   * @param {Object} report - Completed report row
+   * @param {Array<string>} documentHashes - Only repair these documents (all issues if omitted)
+   * @returns {Promise<Array>} - One result per issue: action is requeued, updated or skipped
+   */
+  static async repair(db, services, report, documentHashes = null) {
+    const issues = (report.issues || []).filter(issue =>
+      !documentHashes || documentHashes.includes(issue.documentHash));
+    const results = [];
+
+    for (const issue of issues) {
+      try {
+        results.push(await this.repairIssue(db, services, issue));
+      } catch (error) {
+        console.error(`Repair failed for ${issue.documentHash}:`, error.message);
+        results.push({ documentHash: issue.documentHash, type: issue.type, action: 'skipped', error: error.message });
+      }
+    }
+
+    await db.query(
+      `UPDATE reconciliation_reports SET repair_results = $1, repaired_at = NOW() WHERE id = $2`,
+      [JSON.stringify(results), report.id]
+    );
+
+    return results;
+  }
+
+  /**
+   * Repair a single issue, after checking it against the current database and chain
+   * @param {Object} db - DatabaseService
+   * @param {Object} services - { blockchain, chainIndexer, anchorQueue, batchAnchor }
+   * @param {Object} reportedIssue - Issue from a report
+   * @returns {Promise<Object>} - Repair result
+   */
+  static async repairIssue(db, services, reportedIssue) {
+    const base = { documentHash: reportedIssue.documentHash, type: reportedIssue.type };
+
+    if (reportedIssue.type === ISSUE_TYPES.ORPHANED_ANCHOR) {
+      return { ...base, action: 'skipped', error: 'No automatic repair for this issue' };
+    }
+
+    if (!services.blockchain || !services.blockchain.initialized) {
+      return { ...base, action: 'skipped', error: 'Blockchain service not available to re-check the issue' };
+    }
+
+    // An anchor still on its way must not be re-queued or overwritten
+    const jobResult = await db.query(
+      `SELECT id, status FROM anchor_jobs
+       WHERE document_hash = $1 AND status IN ('queued', 'submitted')
+       ORDER BY id DESC LIMIT 1`,
+      [reportedIssue.documentHash]
+    );
+    if (jobResult.rows[0]) {
+      const job = jobResult.rows[0];
+      return { ...base, action: 'skipped', error: `Anchor job ${job.id} is ${job.status}` };
+    }
+
+    // Same selection as run() - a document moved off the chain since the report is left alone
+    const documentResult = await db.query(
+      `SELECT * FROM documents
+       WHERE document_hash = $1
+         AND (verified = true OR blockchain_tx_hash IS NOT NULL)
+         AND COALESCE(anchor_backend, 'blockchain') = 'blockchain'`,
+      [reportedIssue.documentHash]
+    );
+    const document = documentResult.rows[0];
+    if (!document) {
+      return { ...base, action: 'skipped', error: 'Document is no longer anchored on chain' };
+    }
+
+    if (document.blockchain_tx_hash) {
+      const txStatus = await services.blockchain.getTransactionStatus(document.blockchain_tx_hash);
+      if (txStatus.status === 'pending') {
+        return { ...base, action: 'skipped', error: `Transaction ${document.blockchain_tx_hash} is still pending` };
+      }
+    }
+
+    const issue = await this.checkDocument(db, services.blockchain, services.chainIndexer || null, document);
+
+    if (!issue) {
+      return { ...base, action: 'skipped', error: 'Resolved since the report was made' };
+    }
+    if (issue.type !== reportedIssue.type) {
+      return { ...base, action: 'skipped', error: `Now a ${issue.type} issue - run a new report` };
+    }
+
+    if (issue.type === ISSUE_TYPES.MISSING_ON_CHAIN) {
+      // Clear the bogus anchor so the document is no longer reported as verified
+      await db.query(
+        `UPDATE documents
+         SET verified = false, blockchain_tx_hash = NULL, block_number = NULL, anchor_backend = 'blockchain',
+             anchor_status = 'pending', confirmations = 0, finalized_at = NULL, anchor_signer_address = NULL,
+             anchor_batch_id = NULL, merkle_leaf_index = NULL, merkle_proof = NULL
+         WHERE document_hash = $1`,
+        [issue.documentHash]
+      );
+
+      if (services.batchAnchor) {
+        await services.batchAnchor.enqueue(issue.documentHash);
+        return { ...base, action: 'requeued', anchorMode: 'merkle_batch' };
+      }
+
+      if (!services.anchorQueue) {
+        return { ...base, action: 'skipped', error: 'Blockchain anchoring not available' };
+      }
+
+      await db.query(`UPDATE documents SET anchor_mode = 'single' WHERE document_hash = $1`, [issue.documentHash]);
+      const job = await services.anchorQueue.enqueue(JOB_TYPES.FINALIZE_DOCUMENT, issue.documentHash);
+      return { ...base, action: 'requeued', jobId: job.id };
+    }
+
+    if (issue.type === ISSUE_TYPES.BLOCK_MISMATCH && issue.chainBlockNumber !== null) {
+      await db.query(
+        `UPDATE documents SET block_number = $1, blockchain_tx_hash = COALESCE($2, blockchain_tx_hash)
+         WHERE document_hash = $3`,
+        [issue.chainBlockNumber, issue.chainTransactionHash, issue.documentHash]
+      );
+      return { ...base, action: 'updated', blockNumber: issue.chainBlockNumber };
+    }
+
+    return { ...base, action: 'skipped', error: 'No automatic repair for this issue' };
+  }
+
+  /**
+   * Shape a report row for API responses
+   * @param {Object} report - Report row
+   * @returns {Object} - Public report
+   */
+  static formatReport(report) {
+    return {
+      reportId: report.id,
+      status: report.status,
+      summary: report.summary,
+      issues: report.issues,
+      error: report.error,
+      startedAt: report.started_at,
+      completedAt: report.completed_at,
+      repairResults: report.repair_results,
+      repairedAt: report.repaired_at
+    };
+  }
+}
+
+module.exports = ReconciliationService;
+module.exports.ISSUE_TYPES = ISSUE_TYPES;
@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const { ANCHOR_BACKENDS } = require('./AnchorBackendService');
+
+const RESPONSE_FORMAT = 'prmsu-verification-response';
+const RESPONSE_VERSION = 1;
+
+// JWS typ header of signed verification responses
+const RESPONSE_JWS_TYPE = 'prmsu-verification+jwt';
+
+const JOSE_MEDIA_TYPE = 'application/jose';
+
+/**
+ * Verification responses signed as compact JWS, so a verifier can keep what
+ * this system told them and prove it later. The payload repeats the verdict
+ * (status, document hash, time and anchor evidence) as top-level claims and
+ * carries the full JSON response; it is signed with the receipt key, which
+ * is published as a JWKS. The offline checker is verifier/responseVerifier.js.
+ */
+class SignedResponseService {
+
+  /**
+   * Whether the client asked for a signed response - Accept: application/jose or ?format=jws
+   * @param {Object} req - Express request
+   * @returns {boolean}
+   */
+  static isRequested(req) {
+    return req.query.format === 'jws' || (req.headers.accept || '').includes(JOSE_MEDIA_TYPE);
+  }
+
+  /**
+   * JWS payload for a verification response
+   * @param {Object} req - Express request
+   * @param {string} method - VerificationAuditService method
+   * @param {number} httpStatus - Response status code
+   * @param {Object} body - Response body
+   * @returns {Promise<Object>} - Payload
+   */
+  static async buildPayload(req, method, httpStatus, body) {
+    const chain = await this.getChain(req.app.locals.blockchain);
+    // Dates become ISO strings exactly as in the JSON response
+    const response = JSON.parse(JSON.stringify(body));
+    const now = new Date();
+
+    const payload = {
+      iss: process.env.BASE_URL || 'http://localhost:3000',
+      issuerName: process.env.INSTITUTION_NAME || 'President Ramon Magsaysay State University',
+      iat: Math.floor(now.getTime() / 1000),
+      jti: crypto.randomUUID(),
+      format: RESPONSE_FORMAT,
+      version: RESPONSE_VERSION,
+      method,
+      verifiedAt: now.toISOString(),
+      httpStatus,
+      verifier: req.verifierOrganization ? req.verifierOrganization.name : null
+    };
+
+    // QR images and bulk uploads answer for several documents
+    if (Array.isArray(response.results)) {
+      payload.results = response.results.map(result => this.summarizeResult(result, chain));
+    } else {
+      Object.assign(payload, this.summarizeResult(response, chain, req.params.hash));
+    }
+
+    payload.response = response;
+    return payload;
+  }
+
+  /**
+   * Verdict and anchor evidence of one verification result
+   * @param {Object} result - Verification result (JSON form)
+   * @param {Object|null} chain - { chainId, contractAddress }
+   * @param {string} requestedHash - Hash from the URL, if any
+   * @returns {Object} - Claims
+   */
+  static summarizeResult(result, chain, requestedHash = null) {
+    const document = result.document || {};
+    const integrity = result.integrity || {};
+
+    return {
+      verificationStatus: result.verificationStatus || (result.success === false ? 'NOT_FOUND' : null),
+      verified: result.verified !== undefined ? result.verified : !!integrity.authentic,
+      documentHash: document.documentHash || requestedHash || null,
+      uploadedFileHash: result.uploadedHash || integrity.uploadedHash || null,
+      file: result.file || null,
+      document: document.documentHash ? {
+        documentType: document.documentType || null,
+        studentName: document.studentName || null,
+        studentId: document.studentId || null,
+        dateIssued: document.dateIssued || null,
+        version: document.version || null
+      } : null,
+      evidence: this.buildEvidence(result, chain)
+    };
+  }
+
+  /**
+   * Where the document hash is anchored, as reported in the result
+   * @param {Object} result - Verification result (JSON form)
+   * @param {Object|null} chain - { chainId, contractAddress }
+   * @returns {Object|null} - Evidence, or null when nothing is anchored
+   */
+  static buildEvidence(result, chain) {
+    const backend = result.anchorBackend || null;
+    const document = result.document || {};
+
+    if (!backend && !document.blockchainTxHash) {
+      return null;
+    }
+
+    const evidence = {
+      anchorBackend: backend ? backend.name : ANCHOR_BACKENDS.BLOCKCHAIN,
+      anchoredBy: result.anchoredBy || null,
+      issuerSignature: result.issuerSignature || null,
+      confirmations: result.confirmations || null
+    };
+
+    if (evidence.anchorBackend === ANCHOR_BACKENDS.TRANSPARENCY_LOG) {
+      evidence.transparencyLog = result.transparencyLog || { entryIndex: document.logEntryIndex };
+      return evidence;
+    }
+
+    evidence.chainId = chain ? chain.chainId : null;
+    evidence.contractAddress = chain ? chain.contractAddress : null;
+    evidence.transactionHash = document.blockchainTxHash || null;
+    evidence.blockNumber = document.blockNumber || null;
+    evidence.signerAddress = document.anchorSignerAddress || null;
+    evidence.anchoredAt = document.blockchainDate || (result.integrity && result.integrity.blockchainTimestamp) || null;
+    evidence.batch = result.batch || null;
+
+    return evidence;
+  }
+
+  /**
+   * @param {Object} blockchain - BlockchainService from app.locals
+   * @returns {Promise<Object|null>} - { chainId, contractAddress }
+   */
+  static async getChain(blockchain) {
+    if (!blockchain || !blockchain.initialized) {
+      return null;
+    }
+
+    try {
+      const network = await blockchain.provider.getNetwork();
+      return { chainId: Number(network.chainId), contractAddress: blockchain.contractAddress };
+    } catch (error) {
+      return { chainId: null, contractAddress: blockchain.contractAddress };
+    }
+  }
+
+  /**
+   * Sign a verification response
+   * @param {Object} receipts - ReceiptService holding the signing key
+   * @param {Object} payload - Payload from buildPayload
+   * @returns {string} - Compact JWS
+   */
+  static sign(receipts, payload) {
+    return receipts.signJWS(payload, RESPONSE_JWS_TYPE);
+  }
+}
+
+module.exports = SignedResponseService;
+module.exports.RESPONSE_FORMAT = RESPONSE_FORMAT;
+module.exports.RESPONSE_JWS_TYPE = RESPONSE_JWS_TYPE;
+module.exports.JOSE_MEDIA_TYPE = JOSE_MEDIA_TYPE;
@@ -0,0 +1,719 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const WatermarkService = require('./WatermarkService');
+
+const ZERO_HASH = '0x' + '00'.repeat(32);
+
+// Smallest complete subtree whose hash is kept in memory - smaller ones are cheap to recompute
+const MIN_CACHED_SUBTREE_SIZE = 16;
+
+/**
+ * Local append-only transparency log, used as an anchoring backend when no
+ * chain is available.
+ *
+ * Every entry commits to the previous entry's hash, so rewriting history breaks
+ * the chain. Entries are also the leaves of an RFC 6962 style Merkle tree
+ * (SHA-256, 0x00 leaf prefix, 0x01 node prefix); after each append the new
+ * tree head is signed with the log's Ed25519 key. Inclusion proofs tie an entry
+ * to a signed head and consistency proofs show a later head extends an earlier one.
+ */
+class TransparencyLogService {
+  /**
+   * @param {Object} db - DatabaseService
+   * @param {Object} options - keyPath for the Ed25519 signing key (PEM)
+   */
+  constructor(db, options = {}) {
+    this.db = db;
+    this.keyPath = options.keyPath || path.join('keys', 'transparency-log.pem');
+    this.name = 'transparency_log';
+    this.guarantee = 'Recorded in this institution\'s own signed, append-only transparency log. ' +
+      'Proves the issuer logged the document and has not rewritten the log since, ' +
+      'but it is not a public blockchain anchor.';
+    this.privateKey = null;
+    this.publicKey = null;
+    this.keyId = null;
+
+    // Leaves never change once logged, so they and the hashes of complete
+    // subtrees are cached here and only new rows are read from the database
+    this.leafHashes = [];
+    this.nodeCache = new Map();
+  }
+
+  /**
+   * Load the signing key, creating one on first run
+   */
+  initialize() {
+    if (!fs.existsSync(this.keyPath)) {
+      const { privateKey } = crypto.generateKeyPairSync('ed25519');
+      fs.mkdirSync(path.dirname(this.keyPath), { recursive: true });
+      fs.writeFileSync(this.keyPath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+      console.log('Created transparency log signing key:', this.keyPath);
+    }
+
+    this.privateKey = crypto.createPrivateKey(fs.readFileSync(this.keyPath));
+    this.publicKey = crypto.createPublicKey(this.privateKey);
+    this.keyId = TransparencyLogService.sha256(this.publicKey.export({ type: 'spki', format: 'der' }));
+
+    console.log('Transparency log ready, key id:', this.keyId);
+  }
+
+  /**
+   * @returns {boolean} - True once the signing key is loaded
+   */
+  isAvailable() {
+    return this.privateKey !== null;
+  }
+
+  /**
+   * Public key for verifying signed tree heads
+   * @returns {Object} - keyId, algorithm and PEM
+   */
+  getPublicKey() {
+    return {
+      keyId: this.keyId,
+      algorithm: 'Ed25519',
+      publicKey: this.publicKey.export({ type: 'spki', format: 'pem' })
+    };
+  }
+
+  /**
+   * Anchor a document row in the log (anchoring backend interface)
+   * @param {Object} document - Document row
+   * @returns {Promise<Object>} - Log entry and signed tree head
+   */
+  async anchor(document) {
+    const existing = await this.getEntry(document.document_hash);
+    const { entry, treeHead } = existing
+      ? { entry: existing, treeHead: await this.getLatestTreeHead() }
+      : await this.append(document.document_hash);
+
+    let watermarked_file_path = null;
+
+    try {
+      watermarked_file_path = await WatermarkService.createWatermarkedDocument(
+        document.processed_file_path,
+        document.document_hash,
+        {
+          txHash: entry.entry_hash,
+          block_number: entry.leaf_index,
+          timestamp: Number(entry.logged_at),
+          verified: true,
+          label: 'TRANSPARENCY LOG'
+        }
+      );
+    } catch (watermarkError) {
+      console.error('Failed to create watermark for log-anchored document:', watermarkError);
+    }
+
+    await this.db.query(
+      `UPDATE documents
+       SET anchor_backend = $1, log_entry_index = $2, verified = true,
+           watermarked_file_path = COALESCE($3, watermarked_file_path)
+       WHERE document_hash = $4`,
+      [this.name, entry.leaf_index, watermarked_file_path, document.document_hash]
+    );
+
+    return {
+      pending: false,
+      watermarkedFile: watermarked_file_path,
+      logEntry: TransparencyLogService.formatEntry(entry),
+      treeHead: TransparencyLogService.formatTreeHead(treeHead)
+    };
+  }
+
+  /**
+   * Check a document against the log (anchoring backend interface)
+   * @param {Object} document - Document row
+   * @param {string} documentHash - Document hash
+   * @returns {Promise<Object>} - { verified, data, batch, proof }
+   */
+  async verify(document, documentHash) {
+    const inclusion = await this.getInclusionProof(documentHash);
+
+    if (!inclusion) {
+      return { verified: false, data: null, batch: null, proof: null };
+    }
+
+    const verified = inclusion.proofValid && inclusion.signatureValid;
+
+    return {
+      verified,
+      data: verified ? {
+        exists: true,
+        timestamp: Math.floor(new Date(inclusion.entry.loggedAt).getTime() / 1000),
+        dateRegistered: inclusion.entry.loggedAt,
+        documentHash
+      } : null,
+      batch: null,
+      proof: inclusion
+    };
+  }
+
+  /**
+   * Append a document hash to the log and sign the new tree head
+   * @param {string} documentHash - Document hash
+   * @returns {Promise<Object>} - { entry, treeHead } rows
+   */
+  async append(documentHash) {
+    const client = await this.db.pool.connect();
+    let appended = false;
+
+    try {
+      await client.query('BEGIN');
+
+      // One writer at a time - each entry depends on the previous one
+      await client.query('LOCK TABLE transparency_log_entries IN EXCLUSIVE MODE');
+
+      const lastResult = await client.query(
+        'SELECT * FROM transparency_log_entries ORDER BY leaf_index DESC LIMIT 1'
+      );
+      const last = lastResult.rows[0];
+
+      const leafIndex = last ? last.leaf_index + 1 : 0;
+      await this.syncLeafHashes(client, leafIndex);
+
+      const prevEntryHash = last ? last.entry_hash : ZERO_HASH;
+      const loggedAt = Date.now();
+      const entryHash = TransparencyLogService.computeEntryHash(prevEntryHash, documentHash, loggedAt);
+      const leafHash = TransparencyLogService.hashLeaf(entryHash);
+
+      const entryResult = await client.query(
+        `INSERT INTO transparency_log_entries (leaf_index, document_hash, prev_entry_hash, entry_hash, leaf_hash, logged_at)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [leafIndex, documentHash, prevEntryHash, entryHash, leafHash, loggedAt]
+      );
+
+      this.leafHashes.push(leafHash);
+      appended = true;
+
+      const treeSize = this.leafHashes.length;
+      const rootHash = TransparencyLogService.merkleRoot(this.leafHashes, this.nodeCache);
+      const signedAt = Date.now();
+
+      const headResult = await client.query(
+        `INSERT INTO transparency_log_heads (tree_size, root_hash, signed_at, signature, key_id)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [treeSize, rootHash, signedAt, this.signTreeHead(treeSize, rootHash, signedAt), this.keyId]
+      );
+
+      await client.query('COMMIT');
+
+      console.log(`Transparency log entry ${leafIndex} appended for ${documentHash}`);
+      return { entry: entryResult.rows[0], treeHead: headResult.rows[0] };
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (appended) {
+        this.truncateLeafCache(this.leafHashes.length - 1);
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get the log entry for a document hash
+   * @param {string} documentHash - Document hash
+   * @returns {Promise<Object|null>} - Entry row
+   */
+  async getEntry(documentHash) {
+    const result = await this.db.query(
+      'SELECT * FROM transparency_log_entries WHERE document_hash = $1 ORDER BY leaf_index ASC LIMIT 1',
+      [documentHash]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get the newest signed tree head
+   * @returns {Promise<Object|null>} - Tree head row
+   */
+  async getLatestTreeHead() {
+    const result = await this.db.query('SELECT * FROM transparency_log_heads ORDER BY tree_size DESC LIMIT 1');
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get the signed tree head for a given size
+   * @param {number} treeSize - Tree size
+   * @returns {Promise<Object|null>} - Tree head row
+   */
+  async getTreeHead(treeSize) {
+    const result = await this.db.query('SELECT * FROM transparency_log_heads WHERE tree_size = $1', [treeSize]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Leaf hashes of the first treeSize entries
+   * @param {number} treeSize - Number of leaves
+   * @returns {Promise<Array<string>>} - Leaf hashes in order
+   */
+  async getLeafHashes(treeSize) {
+    await this.syncLeafHashes(this.db, treeSize);
+
+    return this.leafHashes.length === treeSize
+      ? this.leafHashes
+      : this.leafHashes.slice(0, treeSize);
+  }
+
+  /**
+   * Read entries missing from the leaf cache, e.g. on first use or after another process appended
+   * @param {Object} queryable - DatabaseService or a transaction client
+   * @param {number} treeSize - Number of leaves needed
+   */
+  async syncLeafHashes(queryable, treeSize) {
+    if (this.leafHashes.length >= treeSize) {
+      return;
+    }
+
+    const result = await queryable.query(
+      'SELECT leaf_index, leaf_hash FROM transparency_log_entries WHERE leaf_index >= $1 AND leaf_index < $2 ORDER BY leaf_index ASC',
+      [this.leafHashes.length, treeSize]
+    );
+
+    for (const row of result.rows) {
+      // A concurrent sync may already have added this leaf
+      if (row.leaf_index === this.leafHashes.length) {
+        this.leafHashes.push(row.leaf_hash);
+      }
+    }
+  }
+
+  /**
+   * Drop cached leaves from size onwards, and any subtree hash that covers them
+   * @param {number} size - Number of leaves to keep
+   */
+  truncateLeafCache(size) {
+    this.leafHashes.length = Math.min(this.leafHashes.length, size);
+
+    for (const key of this.nodeCache.keys()) {
+      const [start, count] = key.split(':').map(Number);
+      if (start + count > size) {
+        this.nodeCache.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Build an inclusion proof for a document against the latest signed tree head
+   * @param {string} documentHash - Document hash
+   * @returns {Promise<Object|null>} - Entry, tree head, audit path and check results; null if not logged
+   */
+  async getInclusionProof(documentHash) {
+    const entry = await this.getEntry(documentHash);
+    const treeHead = await this.getLatestTreeHead();
+
+    if (!entry || !treeHead) {
+      return null;
+    }
+
+    const leaves = await this.getLeafHashes(treeHead.tree_size);
+    const auditPath = TransparencyLogService.inclusionProof(leaves, entry.leaf_index, this.nodeCache);
+    const expectedEntryHash = TransparencyLogService.computeEntryHash(
+      entry.prev_entry_hash,
+      entry.document_hash,
+      Number(entry.logged_at)
+    );
+
+    return {
+      entry: TransparencyLogService.formatEntry(entry),
+      treeHead: TransparencyLogService.formatTreeHead(treeHead),
+      auditPath,
+      entryHashValid: expectedEntryHash === entry.entry_hash,
+      proofValid: expectedEntryHash === entry.entry_hash && TransparencyLogService.verifyInclusion(
+        TransparencyLogService.hashLeaf(entry.entry_hash),
+        entry.leaf_index,
+        treeHead.tree_size,
+        auditPath,
+        treeHead.root_hash
+      ),
+      signatureValid: this.verifyTreeHeadSignature(treeHead)
+    };
+  }
+
+  /**
+   * Build a consistency proof between two signed tree heads
+   * @param {number} firstSize - Earlier tree size
+   * @param {number} secondSize - Later tree size
+   * @returns {Promise<Object|null>} - Both heads, the proof and check result; null if either head is unknown
+   */
+  async getConsistencyProof(firstSize, secondSize) {
+    const firstHead = await this.getTreeHead(firstSize);
+    const secondHead = await this.getTreeHead(secondSize);
+
+    if (!firstHead || !secondHead || firstSize > secondSize) {
+      return null;
+    }
+
+    const leaves = await this.getLeafHashes(secondSize);
+    const proof = TransparencyLogService.consistencyProof(leaves, firstSize, this.nodeCache);
+
+    return {
+      firstTreeHead: TransparencyLogService.formatTreeHead(firstHead),
+      secondTreeHead: TransparencyLogService.formatTreeHead(secondHead),
+      proof,
+      proofValid: TransparencyLogService.verifyConsistency(
+        firstSize, secondSize, firstHead.root_hash, secondHead.root_hash, proof
+      )
+    };
+  }
+
+  /**
+   * Sign a tree head
+   * @param {number} treeSize - Tree size
+   * @param {string} rootHash - Merkle root
+   * @param {number} signedAt - Timestamp in milliseconds
+   * @returns {string} - Base64 Ed25519 signature
+   */
+  signTreeHead(treeSize, rootHash, signedAt) {
+    const message = TransparencyLogService.treeHeadMessage(treeSize, rootHash, signedAt);
+    return crypto.sign(null, message, this.privateKey).toString('base64');
+  }
+
+  /**
+   * Check a tree head's signature with the log's public key
+   * @param {Object} treeHead - Tree head row
+   * @returns {boolean} - True if the signature is valid
+   */
+  verifyTreeHeadSignature(treeHead) {
+    try {
+      const message = TransparencyLogService.treeHeadMessage(
+        treeHead.tree_size, treeHead.root_hash, Number(treeHead.signed_at)
+      );
+      return crypto.verify(null, message, this.publicKey, Buffer.from(treeHead.signature, 'base64'));
+    } catch (error) {
+      console.error('Error verifying tree head signature:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Bytes covered by a tree head signature
+   * @param {number} treeSize - Tree size
+   * @param {string} rootHash - Merkle root
+   * @param {number} signedAt - Timestamp in milliseconds
+   * @returns {Buffer} - Message
+   */
+  static treeHeadMessage(treeSize, rootHash, signedAt) {
+    return Buffer.from(`tree_size:${treeSize}\nroot_hash:${rootHash}\ntimestamp:${signedAt}`, 'utf8');
+  }
+
+  /**
+   * SHA-256 of the concatenated inputs
+   * @param {...Buffer} parts - Byte strings
+   * @returns {string} - 0x-prefixed hex digest
+   */
+  static sha256(...parts) {
+    return '0x' + crypto.createHash('sha256').update(Buffer.concat(parts)).digest('hex');
+  }
+
+  /**
+   * @param {string} hex - 0x-prefixed hex string
+   * @returns {Buffer} - Bytes
+   */
+  static toBytes(hex) {
+    return Buffer.from(hex.replace(/^0x/, ''), 'hex');
+  }
+
+  /**
+   * Hash of a log entry, chained to the previous entry
+   * @param {string} prevEntryHash - Previous entry hash (zero hash for the first entry)
+   * @param {string} documentHash - Document hash
+   * @param {number} timestamp - Entry time in milliseconds
+   * @returns {string} - Entry hash
+   */
+  static computeEntryHash(prevEntryHash, documentHash, timestamp) {
+    const time = Buffer.alloc(8);
+    time.writeBigUInt64BE(BigInt(timestamp));
+    return this.sha256(this.toBytes(prevEntryHash), this.toBytes(documentHash), time);
+  }
+
+  /**
+   * @param {string} entryHash - Entry hash
+   * @returns {string} - Merkle leaf hash
+   */
+  static hashLeaf(entryHash) {
+    return this.sha256(Buffer.from([0x00]), this.toBytes(entryHash));
+  }
+
+  /**
+   * @param {string} left - Left child hash
+   * @param {string} right - Right child hash
+   * @returns {string} - Parent hash
+   */
+  static hashChildren(left, right) {
+    return this.sha256(Buffer.from([0x01]), this.toBytes(left), this.toBytes(right));
+  }
+
+  /**
+   * Largest power of two smaller than n
+   * @param {number} n - Tree size (n > 1)
+   * @returns {number} - Split point
+   */
+  static splitPoint(n) {
+    let k = 1;
+    while (k * 2 < n) {
+      k *= 2;
+    }
+    return k;
+  }
+
+  /**
+   * Merkle tree hash of a list of leaf hashes
+   * @param {Array<string>} leaves - Leaf hashes
+   * @param {Map} cache - Complete subtree hashes by "start:size", reused and filled in (optional)
+   * @returns {string} - Root hash (SHA-256 of the empty string for an empty tree)
+   */
+  static merkleRoot(leaves, cache = null) {
+    return this.rangeRoot(leaves, 0, leaves.length, cache);
+  }
+
+  /**
+   * Merkle tree hash of leaves[start, end)
+   * @param {Array<string>} leaves - Leaf hashes
+   * @param {number} start - First leaf
+   * @param {number} end - One past the last leaf
+   * @param {Map} cache - Complete subtree hashes, or null
+   * @returns {string} - Subtree hash
+   */
+  static rangeRoot(leaves, start, end, cache) {
+    const size = end - start;
+
+    if (size === 0) {
+      return this.sha256(Buffer.alloc(0));
+    }
+    if (size === 1) {
+      return leaves[start];
+    }
+
+    // A complete subtree never changes once its leaves are logged
+    const cacheable = cache && size >= MIN_CACHED_SUBTREE_SIZE && (size & (size - 1)) === 0;
+    const key = `${start}:${size}`;
+    if (cacheable && cache.has(key)) {
+      return cache.get(key);
+    }
+
+    const k = this.splitPoint(size);
+    const root = this.hashChildren(this.rangeRoot(leaves, start, start + k, cache), this.rangeRoot(leaves, start + k, end, cache));
+
+    if (cacheable) {
+      cache.set(key, root);
+    }
+    return root;
+  }
+
+  /**
+   * Audit path for the leaf at index
+   * @param {Array<string>} leaves - Leaf hashes
+   * @param {number} index - Leaf index
+   * @param {Map} cache - Complete subtree hashes (optional)
+   * @returns {Array<string>} - Sibling subtree hashes, leaf to root
+   */
+  static inclusionProof(leaves, index, cache = null) {
+    return this.auditPath(leaves, index, 0, leaves.length, cache);
+  }
+
+  /**
+   * Audit path for the leaf at index within leaves[start, end)
+   * @param {Array<string>} leaves - Leaf hashes
+   * @param {number} index - Leaf index
+   * @param {number} start - First leaf of the subtree
+   * @param {number} end - One past the last leaf of the subtree
+   * @param {Map} cache - Complete subtree hashes, or null
+   * @returns {Array<string>} - Sibling subtree hashes, leaf to root
+   */
+  static auditPath(leaves, index, start, end, cache) {
+    if (end - start <= 1) {
+      return [];
+    }
+
+    const k = this.splitPoint(end - start);
+
+    if (index < start + k) {
+      return [...this.auditPath(leaves, index, start, start + k, cache), this.rangeRoot(leaves, start + k, end, cache)];
+    }
+    return [...this.auditPath(leaves, index, start + k, end, cache), this.rangeRoot(leaves, start, start + k, cache)];
+  }
+
+  /**
+   * Proof that the tree of the first firstSize leaves is a prefix of the full tree
+   * @param {Array<string>} leaves - Leaf hashes of the larger tree
+   * @param {number} firstSize - Size of the earlier tree
+   * @param {Map} cache - Complete subtree hashes (optional)
+   * @returns {Array<string>} - Consistency proof
+   */
+  static consistencyProof(leaves, firstSize, cache = null) {
+    if (firstSize === 0 || firstSize === leaves.length) {
+      return [];
+    }
+    return this.subproof(firstSize, leaves, 0, leaves.length, true, cache);
+  }
+
+  /**
+   * RFC 6962 SUBPROOF over leaves[start, end)
+   * @param {number} m - Size of the earlier tree within this subtree
+   * @param {Array<string>} leaves - Leaf hashes
+   * @param {number} start - First leaf of the subtree
+   * @param {number} end - One past the last leaf of the subtree
+   * @param {boolean} complete - Whether the earlier subtree root is known to the verifier
+   * @param {Map} cache - Complete subtree hashes, or null
+   * @returns {Array<string>} - Proof nodes
+   */
+  static subproof(m, leaves, start, end, complete, cache) {
+    if (m === end - start) {
+      return complete ? [] : [this.rangeRoot(leaves, start, end, cache)];
+    }
+
+    const k = this.splitPoint(end - start);
+
+    if (m <= k) {
+      return [...this.subproof(m, leaves, start, start + k, complete, cache), this.rangeRoot(leaves, start + k, end, cache)];
+    }
+    return [...this.subproof(m - k, leaves, start + k, end, false, cache), this.rangeRoot(leaves, start, start + k, cache)];
+  }
+
+  /**
+   * Check an audit path against a root
+   * @param {string} leafHash - Leaf hash
+   * @param {number} index - Leaf index
+   * @param {number} treeSize - Tree size
+   * @param {Array<string>} proof - Audit path
+   * @param {string} rootHash - Expected root
+   * @returns {boolean} - True if the leaf is in the tree
+   */
+  static verifyInclusion(leafHash, index, treeSize, proof, rootHash) {
+    if (index >= treeSize) {
+      return false;
+    }
+
+    let fn = index;
+    let sn = treeSize - 1;
+    let r = leafHash;
+
+    for (const p of proof) {
+      if (sn === 0) {
+        return false;
+      }
+
+      if (fn % 2 === 1 || fn === sn) {
+        r = this.hashChildren(p, r);
+        if (fn % 2 === 0) {
+          while (fn % 2 === 0 && fn !== 0) {
+            fn = Math.floor(fn / 2);
+            sn = Math.floor(sn / 2);
+          }
+        }
+      } else {
+        r = this.hashChildren(r, p);
+      }
+
+      fn = Math.floor(fn / 2);
+      sn = Math.floor(sn / 2);
+    }
+
+    return sn === 0 && r === rootHash;
+  }
+
+  /**
+   * Check that the second tree extends the first
+   * @param {number} firstSize - Earlier tree size
+   * @param {number} secondSize - Later tree size
+   * @param {string} firstRoot - Earlier root
+   * @param {string} secondRoot - Later root
+   * @param {Array<string>} proof - Consistency proof
+   * @returns {boolean} - True if the trees are consistent
+   */
+  static verifyConsistency(firstSize, secondSize, firstRoot, secondRoot, proof) {
+    if (firstSize > secondSize) {
+      return false;
+    }
+    if (firstSize === secondSize) {
+      return proof.length === 0 && firstRoot === secondRoot;
+    }
+    if (firstSize === 0) {
+      return proof.length === 0;
+    }
+
+    // A power-of-two first tree is a complete subtree, so its root starts the path
+    const path = (firstSize & (firstSize - 1)) === 0 ? [firstRoot, ...proof] : [...proof];
+    if (path.length === 0) {
+      return false;
+    }
+
+    let fn = firstSize - 1;
+    let sn = secondSize - 1;
+
+    while (fn % 2 === 1) {
+      fn = Math.floor(fn / 2);
+      sn = Math.floor(sn / 2);
+    }
+
+    let fr = path[0];
+    let sr = path[0];
+
+    for (const c of path.slice(1)) {
+      if (sn === 0) {
+        return false;
+      }
+
+      if (fn % 2 === 1 || fn === sn) {
+        fr = this.hashChildren(c, fr);
+        sr = this.hashChildren(c, sr);
+        if (fn % 2 === 0) {
+          while (fn % 2 === 0 && fn !== 0) {
+            fn = Math.floor(fn / 2);
+            sn = Math.floor(sn / 2);
+          }
+        }
+      } else {
+        sr = this.hashChildren(sr, c);
+      }
+
+      fn = Math.floor(fn / 2);
+      sn = Math.floor(sn / 2);
+    }
+
+    return sn === 0 && fr === firstRoot && sr === secondRoot;
+  }
+
+  /**
+   * Shape an entry row for API responses
+   * @param {Object} entry - Entry row
+   * @returns {Object} - Public entry
+   */
+  static formatEntry(entry) {
+    return {
+      leafIndex: entry.leaf_index,
+      documentHash: entry.document_hash,
+      prevEntryHash: entry.prev_entry_hash,
+      entryHash: entry.entry_hash,
+      leafHash: entry.leaf_hash,
+      loggedAt: new Date(Number(entry.logged_at)).toISOString()
+    };
+  }
+
+  /**
+   * Shape a tree head row for API responses
+   * @param {Object} treeHead - Tree head row
+   * @returns {Object|null} - Public signed tree head
+   */
+  static formatTreeHead(treeHead) {
+    if (!treeHead) {
+      return null;
+    }
+
+    return {
+      treeSize: treeHead.tree_size,
+      rootHash: treeHead.root_hash,
+      timestamp: Number(treeHead.signed_at),
+      signature: treeHead.signature,
+      keyId: treeHead.key_id
+    };
+  }
+}
+
+module.exports = TransparencyLogService;
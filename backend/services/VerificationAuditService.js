@@ -0,0 +1,284 @@
+// How a verification was made
+const VERIFICATION_METHODS = {
+  HASH_LOOKUP: 'hash_lookup',   // GET /api/verify/:hash (verification links and QR scans)
+  UPLOAD: 'upload',             // POST /api/verify/upload
+  QR_IMAGE: 'qr_image',         // POST /api/verify/qr-image
+  BULK: 'bulk'                  // POST /api/verify/bulk (one event per file)
+};
+
+// Optional verifier identity - sent as X-Verifier-* headers or verifier_* body/query fields
+const VERIFIER_FIELDS = {
+  name: { header: 'x-verifier-name', field: 'verifier_name', maxLength: 100 },
+  organization: { header: 'x-verifier-organization', field: 'verifier_organization', maxLength: 200 },
+  email: { header: 'x-verifier-email', field: 'verifier_email', maxLength: 100 }
+};
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Audit log of verification attempts. Every verification response is
+ * recorded with who asked (IP, user agent and an optional self-declared
+ * verifier identity), so registrars can spot fraud attempts and students
+ * can see who checked their documents. Recording never fails a verification.
+ */
+class VerificationAuditService {
+
+  /**
+   * Record the outcome of a verification response
+   * @param {Object} db - DatabaseService
+   * @param {Object} req - Express request
+   * @param {string} method - One of VERIFICATION_METHODS
+   * @param {number} httpStatus - Response status code
+   * @param {Object} body - Response body
+   * @returns {Promise<void>}
+   */
+  static async recordResponse(db, req, method, httpStatus, body) {
+    try {
+      // A QR image can hold several documents - one event each
+      const outcomes = Array.isArray(body.results)
+        ? body.results.map(result => this.getOutcome(result, httpStatus, null))
+        : [this.getOutcome(body, httpStatus, req.params.hash)];
+
+      for (const outcome of outcomes) {
+        await this.record(db, req, { method, httpStatus, ...outcome });
+      }
+    } catch (error) {
+      console.error('Error recording verification event:', error.message);
+    }
+  }
+
+  /**
+   * Document and status of one verification result
+   * @param {Object} body - Verification result
+   * @param {number} httpStatus - Response status code
+   * @param {string|null} requestedHash - Hash from the URL, if any
+   * @returns {Object} - { documentHash, status, uploadedFileHash }
+   */
+  static getOutcome(body, httpStatus, requestedHash) {
+    let status = body.verificationStatus;
+    if (!status) {
+      // Lookups of unknown hashes answer { success: false, verified: false }
+      const notFound = httpStatus === 404 || (body.success === false && body.verified === false);
+      status = notFound ? 'NOT_FOUND' : (httpStatus >= 400 ? 'ERROR' : 'UNKNOWN');
+    }
+
+    const documentHash = (body.document && body.document.documentHash) || requestedHash || null;
+    const uploadedFileHash = body.uploadedHash || (body.integrity && body.integrity.uploadedHash) || null;
+
+    return {
+      documentHash: /^0x[a-fA-F0-9]{64}$/.test(documentHash || '') ? documentHash : null,
+      status,
+      uploadedFileHash
+    };
+  }
+
+  /**
+   * Verifier identity the client chose to send. Requests made with an API
+   * key are attributed to the key's organization instead.
+   * @param {Object} req - Express request
+   * @returns {Object} - { name, organization, email } (null when not sent)
+   */
+  static getVerifier(req) {
+    const verifier = {};
+
+    for (const [key, { header, field, maxLength }] of Object.entries(VERIFIER_FIELDS)) {
+      const value = req.headers[header] || (req.body && req.body[field]) || (req.query && req.query[field]);
+      verifier[key] = typeof value === 'string' && value.trim() ? value.trim().slice(0, maxLength) : null;
+    }
+
+    if (req.verifierOrganization) {
+      verifier.organization = req.verifierOrganization.name;
+    }
+
+    return verifier;
+  }
+
+  /**
+   * Insert one verification event
+   * @param {Object} db - DatabaseService
+   * @param {Object} req - Express request
+   * @param {Object} event - method, httpStatus, documentHash, status, uploadedFileHash
+   * @returns {Promise<void>}
+   */
+  static async record(db, req, event) {
+    const verifier = this.getVerifier(req);
+
+    await db.query(
+      `INSERT INTO verification_events
+       (document_hash, method, verification_status, http_status, uploaded_file_hash,
+        client_ip, user_agent, verifier_name, verifier_organization, verifier_email, api_key_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+      [
+        event.documentHash,
+        event.method,
+        event.status,
+        event.httpStatus,
+        event.uploadedFileHash || null,
+        req.ip || null,
+        (req.headers['user-agent'] || '').slice(0, 500) || null,
+        verifier.name,
+        verifier.organization,
+        verifier.email,
+        req.apiKey ? req.apiKey.id : null
+      ]
+    );
+  }
+
+  /**
+   * Verification events, newest first
+   * @param {Object} db - DatabaseService
+   * @param {Object} filters - documentHash, status, method, since, limit, offset
+   * @returns {Promise<Object>} - { events, total, limit, offset }
+   */
+  static async listEvents(db, filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.documentHash) {
+      params.push(filters.documentHash);
+      conditions.push(`document_hash = $${params.length}`);
+    }
+
+    if (filters.status) {
+      params.push(filters.status.toUpperCase());
+      conditions.push(`verification_status = $${params.length}`);
+    }
+
+    if (filters.method) {
+      params.push(filters.method);
+      conditions.push(`method = $${params.length}`);
+    }
+
+    if (filters.since) {
+      const since = new Date(filters.since);
+      if (isNaN(since)) {
+        throw new Error('since must be a date (YYYY-MM-DD or ISO 8601)');
+      }
+
+      params.push(since);
+      conditions.push(`created_at >= $${params.length}`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const { limit, offset } = this.getPage(filters);
+
+    const countResult = await db.query(`SELECT COUNT(*) AS total FROM verification_events ${where}`, params);
+    const result = await db.query(
+      `SELECT * FROM verification_events ${where}
+       ORDER BY created_at DESC, id DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    return {
+      events: result.rows.map(row => this.formatEvent(row)),
+      total: parseInt(countResult.rows[0].total),
+      limit,
+      offset
+    };
+  }
+
+  /**
+   * Count of events per status for one document
+   * @param {Object} db - DatabaseService
+   * @param {string} documentHash - Document hash
+   * @returns {Promise<Object>} - Status to count
+   */
+  static async getStatusCounts(db, documentHash) {
+    const result = await db.query(
+      `SELECT verification_status, COUNT(*) AS count
+       FROM verification_events
+       WHERE document_hash = $1
+       GROUP BY verification_status`,
+      [documentHash]
+    );
+
+    return Object.fromEntries(result.rows.map(row => [row.verification_status, parseInt(row.count)]));
+  }
+
+  /**
+   * Verifications of a student's documents, as the student may see them - who
+   * and when, without IP addresses or user agents
+   * @param {Object} db - DatabaseService
+   * @param {string} studentId - Student number
+   * @param {Object} page - limit, offset
+   * @returns {Promise<Object>} - { events, total, limit, offset }
+   */
+  static async listForStudent(db, studentId, page = {}) {
+    const { limit, offset } = this.getPage(page);
+
+    const countResult = await db.query(
+      `SELECT COUNT(*) AS total
+       FROM verification_events e
+       JOIN documents d ON d.document_hash = e.document_hash
+       WHERE d.student_id = $1`,
+      [studentId]
+    );
+
+    const result = await db.query(
+      `SELECT e.*, d.document_type
+       FROM verification_events e
+       JOIN documents d ON d.document_hash = e.document_hash
+       WHERE d.student_id = $1
+       ORDER BY e.created_at DESC, e.id DESC
+       LIMIT $2 OFFSET $3`,
+      [studentId, limit, offset]
+    );
+
+    return {
+      events: result.rows.map(row => ({
+        documentHash: row.document_hash,
+        documentType: row.document_type,
+        verifiedAt: row.created_at,
+        method: row.method,
+        verificationStatus: row.verification_status,
+        verifier: row.verifier_name || row.verifier_organization ? {
+          name: row.verifier_name,
+          organization: row.verifier_organization
+        } : null
+      })),
+      total: parseInt(countResult.rows[0].total),
+      limit,
+      offset
+    };
+  }
+
+  /**
+   * @param {Object} page - limit, offset (strings from the query are fine)
+   * @returns {Object} - Clamped { limit, offset }
+   */
+  static getPage(page) {
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(page.limit) || DEFAULT_PAGE_SIZE));
+    const offset = Math.max(0, parseInt(page.offset) || 0);
+    return { limit, offset };
+  }
+
+  /**
+   * Full event for registrars
+   * @param {Object} row - verification_events row
+   * @returns {Object} - Event
+   */
+  static formatEvent(row) {
+    return {
+      id: row.id,
+      documentHash: row.document_hash,
+      verifiedAt: row.created_at,
+      method: row.method,
+      verificationStatus: row.verification_status,
+      httpStatus: row.http_status,
+      uploadedFileHash: row.uploaded_file_hash,
+      clientIp: row.client_ip,
+      userAgent: row.user_agent,
+      apiKeyId: row.api_key_id,
+      verifier: {
+        name: row.verifier_name,
+        organization: row.verifier_organization,
+        email: row.verifier_email
+      }
+    };
+  }
+}
+
+module.exports = VerificationAuditService;
+module.exports.VERIFICATION_METHODS = VERIFICATION_METHODS;
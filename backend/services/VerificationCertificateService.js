@@ -0,0 +1,208 @@
+const PDFDocument = require('pdfkit');
+const QRService = require('./QRService');
+const PDFService = require('./PDFService');
+const SignedResponseService = require('./SignedResponseService');
+
+// Document fields printed on the certificate - the same a public verification
+// already shows; file names, storage paths and internal ids are left out
+const DISCLOSED_FIELDS = [
+  { label: 'Student name', value: document => document.studentName },
+  { label: 'Student ID', value: document => document.studentId },
+  { label: 'Program', value: document => document.program },
+  { label: 'Document type', value: document => document.documentType &&
+    `${document.documentType} - ${PDFService.getDocumentFullName(document.documentType)}` },
+  { label: 'Date issued', value: document => formatDate(document.dateIssued) },
+  { label: 'Version', value: document => document.version },
+  { label: 'Valid until', value: document => formatDate(document.expiresAt) }
+];
+
+// Banner colour and one-line meaning per verification status
+const STATUS_STYLES = {
+  AUTHENTIC: { color: '#1b7f3b', text: 'The document is authentic and was issued by the institution.' },
+  PENDING_CONFIRMATION: { color: '#b36b00', text: 'The document was anchored, but its block is not final yet - verify again shortly.' },
+  CONTENT_MATCH: { color: '#1b7f3b', text: 'The file content matches an issued document (the file was re-saved or converted).' },
+  EXPIRED: { color: '#b36b00', text: 'The document was genuinely issued but is no longer valid.' },
+  SUPERSEDED: { color: '#b36b00', text: 'The document was replaced by a corrected version - ask for the current one.' },
+  REVOKED: { color: '#b00020', text: 'The document was revoked by the issuing institution. Do not accept it.' },
+  TAMPERED: { color: '#b00020', text: 'The file differs from the issued document. Do not accept it.' },
+  NOT_VERIFIED: { color: '#b00020', text: 'The document is not anchored and cannot be verified.' },
+  NOT_FOUND: { color: '#b00020', text: 'No issued document matches this request.' }
+};
+
+const DEFAULT_STATUS_STYLE = { color: '#555555', text: 'The verification did not complete.' };
+
+/**
+ * @param {*} value - Date or date string
+ * @returns {string|null} - YYYY-MM-DD
+ */
+function formatDate(value) {
+  if (!value) {
+    return null;
+  }
+
+  const date = new Date(value);
+  return isNaN(date) ? String(value) : date.toISOString().slice(0, 10);
+}
+
+/**
+ * One-page verification report PDF that verifiers can keep instead of a
+ * screenshot: status, disclosed document details, anchor transaction, the
+ * time of the check and a QR code back to the live result.
+ */
+class VerificationCertificateService {
+
+  /**
+   * Whether the client asked for the PDF report - Accept: application/pdf or ?format=pdf
+   * @param {Object} req - Express request
+   * @returns {boolean}
+   */
+  static isRequested(req) {
+    return req.query.format === 'pdf' || (req.headers.accept || '').includes('application/pdf');
+  }
+
+  /**
+   * Build the report for a verification response
+   * @param {Object} body - Verification response (GET /:hash or POST /upload)
+   * @param {Object} options - blockchain (app.locals), requestedHash, uploadedFileName, verifiedAt
+   * @returns {Promise<Buffer>} - PDF
+   */
+  static async generatePDF(body, options = {}) {
+    const response = JSON.parse(JSON.stringify(body));
+    const document = response.document || {};
+    const documentHash = document.documentHash || options.requestedHash || null;
+    const status = response.verificationStatus || 'NOT_FOUND';
+    const verifiedAt = options.verifiedAt || new Date();
+
+    const chain = await SignedResponseService.getChain(options.blockchain);
+    const evidence = SignedResponseService.buildEvidence(response, chain);
+
+    const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
+    const liveUrl = documentHash ? `${baseUrl}/verify/${documentHash}` : `${baseUrl}/verify`;
+    const qrCode = await QRService.generateQR(liveUrl, { width: 200 });
+
+    return new Promise((resolve, reject) => {
+      try {
+        const doc = new PDFDocument({ margin: 50, size: 'A4' });
+        const buffers = [];
+
+        doc.on('data', buffers.push.bind(buffers));
+        doc.on('end', () => resolve(Buffer.concat(buffers)));
+
+        const left = 50;
+        const width = doc.page.width - 100;
+
+        // Header
+        doc.fontSize(16).fillColor('black')
+          .text(process.env.INSTITUTION_NAME || 'President Ramon Magsaysay State University', { align: 'center' });
+        doc.fontSize(13).text('Document Verification Report', { align: 'center' });
+        doc.moveDown(1);
+
+        // Status banner
+        const style = STATUS_STYLES[status] || DEFAULT_STATUS_STYLE;
+        const bannerY = doc.y;
+        doc.rect(left, bannerY, width, 50).fill(style.color);
+        doc.fillColor('white').fontSize(18).text(status.replace(/_/g, ' '), left + 15, bannerY + 8, { width: width - 30 });
+        doc.fontSize(9).text(style.text, left + 15, bannerY + 32, { width: width - 30 });
+        doc.fillColor('black');
+        doc.y = bannerY + 65;
+
+        const message = response.warning || (response.integrity && response.integrity.message) || response.error;
+        if (message) {
+          // Standard PDF fonts have no emoji - drop the ⚠️ markers the JSON messages carry
+          doc.fontSize(9).text(String(message).replace(/[\u2600-\u27BF\uFE0F]|\uD83C[\uDC00-\uDFFF]|\uD83D[\uDC00-\uDFFF]/g, '').trim(), left, doc.y, { width });
+          doc.moveDown(0.8);
+        }
+
+        this.section(doc, 'Verification');
+        this.row(doc, 'Verified at', verifiedAt.toISOString().replace('T', ' ').slice(0, 19) + ' UTC');
+        this.row(doc, 'Document hash', documentHash, true);
+        if (options.uploadedFileName) {
+          this.row(doc, 'Uploaded file', options.uploadedFileName);
+        }
+        this.row(doc, 'Uploaded file hash', response.uploadedHash || (response.integrity && response.integrity.uploadedHash), true);
+        this.row(doc, 'Matched version', response.integrity && (response.integrity.documentType || response.integrity.expectedVersion));
+        this.row(doc, 'Issuance record', response.embeddedMetadata && response.embeddedMetadata.status);
+
+        if (document.documentHash) {
+          this.section(doc, 'Document');
+          for (const field of DISCLOSED_FIELDS) {
+            this.row(doc, field.label, field.value(document));
+          }
+        }
+
+        this.section(doc, 'Anchor');
+        if (!evidence) {
+          this.row(doc, 'Anchored', 'No');
+        } else if (evidence.transparencyLog) {
+          this.row(doc, 'Anchored in', 'Institution transparency log');
+          this.row(doc, 'Log entry', evidence.transparencyLog.entry
+            ? evidence.transparencyLog.entry.leafIndex
+            : evidence.transparencyLog.entryIndex);
+          this.row(doc, 'Logged at', evidence.transparencyLog.entry && evidence.transparencyLog.entry.loggedAt);
+        } else {
+          this.row(doc, 'Anchored in', 'Blockchain');
+          this.row(doc, 'Chain ID', evidence.chainId);
+          this.row(doc, 'Contract', evidence.contractAddress, true);
+          this.row(doc, 'Transaction', evidence.transactionHash || (evidence.batch && evidence.batch.transactionHash), true);
+          this.row(doc, 'Block', evidence.blockNumber || (evidence.batch && evidence.batch.blockNumber));
+          this.row(doc, 'Batch root', evidence.batch && evidence.batch.merkleRoot, true);
+          this.row(doc, 'Anchored at', evidence.anchoredAt);
+          this.row(doc, 'Confirmations', evidence.confirmations &&
+            `${evidence.confirmations.count}${evidence.confirmations.finalized ? ' (final)' : ''}`);
+        }
+        if (evidence && evidence.issuerSignature) {
+          this.row(doc, 'Issuer signature', evidence.issuerSignature.valid ? 'Valid' : 'Not valid');
+        }
+
+        // Link back to the live result - the status can change (revocation, reissue)
+        const qrY = Math.max(doc.y + 20, doc.page.height - 240);
+        doc.image(qrCode, left, qrY, { width: 110, height: 110 });
+        doc.fontSize(9).text('Scan or open the link to see the current status of this document:', left + 125, qrY + 20, { width: width - 125 });
+        doc.fillColor('#1a4b8c').text(liveUrl, left + 125, doc.y + 4, { width: width - 125, link: liveUrl });
+        doc.fillColor('black');
+
+        doc.fontSize(7).fillColor('#555555').text(
+          'This report records the result at the time shown. The live result above is authoritative.',
+          left, doc.page.height - 80, { width, align: 'center' }
+        );
+
+        doc.end();
+
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * @param {Object} doc - PDFKit document
+   * @param {string} title - Section heading
+   */
+  static section(doc, title) {
+    doc.moveDown(0.6);
+    doc.fontSize(11).fillColor('black').text(title, 50, doc.y, { underline: true });
+    doc.moveDown(0.3);
+  }
+
+  /**
+   * Label and value on one line; empty values are skipped
+   * @param {Object} doc - PDFKit document
+   * @param {string} label - Label
+   * @param {*} value - Value
+   * @param {boolean} monospace - Print the value in Courier (hashes, addresses)
+   */
+  static row(doc, label, value, monospace = false) {
+    if (value === null || value === undefined || value === '') {
+      return;
+    }
+
+    const y = doc.y;
+    doc.font('Helvetica').fontSize(9).fillColor('#555555').text(label, 50, y, { width: 120 });
+    doc.font(monospace ? 'Courier' : 'Helvetica').fontSize(monospace ? 8 : 9).fillColor('black')
+      .text(String(value), 175, y, { width: doc.page.width - 225 });
+    doc.font('Helvetica');
+    doc.moveDown(0.2);
+  }
+}
+
+module.exports = VerificationCertificateService;
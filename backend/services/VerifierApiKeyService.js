@@ -0,0 +1,487 @@
+const crypto = require('crypto');
+
+// What a key may be used for
+const API_KEY_SCOPES = {
+  LOOKUP: 'lookup',   // GET /api/verify/:hash
+  UPLOAD: 'upload',   // POST /api/verify/upload and /qr-image
+  BULK: 'bulk'        // POST /api/verify/bulk
+};
+
+const ORGANIZATION_STATUSES = {
+  PENDING: 'pending',       // registered, waiting for a registrar
+  ACTIVE: 'active',
+  SUSPENDED: 'suspended'    // every key stops working
+};
+
+const KEY_STATUSES = {
+  ACTIVE: 'active',
+  ROTATED: 'rotated',       // replaced - works until expires_at
+  REVOKED: 'revoked'
+};
+
+// Keys look like vk_<prefix>_<secret>; the prefix finds the row, only a hash of the whole key is stored
+const KEY_PREFIX = 'vk';
+
+// How long a rotated key keeps working so clients can switch over
+const DEFAULT_ROTATION_GRACE_HOURS = 24;
+
+// How often a verifier may rotate its own key (registrars can rotate any time)
+const DEFAULT_SELF_ROTATION_INTERVAL_HOURS = 24;
+
+const DEFAULT_DAILY_QUOTA = 1000;
+
+// A key and every key it replaced or was replaced by - rotation must not start a fresh quota
+const KEY_LINEAGE_SQL = `
+  WITH RECURSIVE lineage AS (
+    SELECT id, replaced_by FROM verifier_api_keys WHERE id = $1
+    UNION
+    SELECT k.id, k.replaced_by FROM verifier_api_keys k
+    JOIN lineage l ON k.replaced_by = l.id OR k.id = l.replaced_by
+  )`;
+
+/**
+ * API keys for third-party verifiers (employers, background-check firms).
+ * Organizations register, a registrar approves them and issues keys with
+ * scopes and daily/monthly quotas. Usage is counted per key, day and scope;
+ * quotas cover a key together with the keys it was rotated from and to, and
+ * reset at midnight UTC and on the first of the month.
+ */
+class VerifierApiKeyService {
+
+  /**
+   * Register an organization - it can use keys once a registrar approves it
+   * @param {Object} db - DatabaseService
+   * @param {Object} fields - name, contactEmail, contactName, purpose
+   * @returns {Promise<Object>} - Organization row
+   */
+  static async registerOrganization(db, fields) {
+    if (!fields.name || !fields.contactEmail) {
+      throw new Error('name and contactEmail are required');
+    }
+
+    const result = await db.query(
+      `INSERT INTO verifier_organizations (name, contact_email, contact_name, purpose, status)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [
+        String(fields.name).slice(0, 200),
+        String(fields.contactEmail).slice(0, 100),
+        fields.contactName ? String(fields.contactName).slice(0, 100) : null,
+        fields.purpose ? String(fields.purpose) : null,
+        ORGANIZATION_STATUSES.PENDING
+      ]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * @param {Object} db - DatabaseService
+   * @returns {Promise<Array>} - Organizations with their keys (no secrets)
+   */
+  static async listOrganizations(db) {
+    const organizations = await db.query('SELECT * FROM verifier_organizations ORDER BY created_at DESC');
+    const keys = await db.query('SELECT * FROM verifier_api_keys ORDER BY created_at DESC');
+
+    return organizations.rows.map(organization => ({
+      ...organization,
+      keys: keys.rows
+        .filter(key => key.organization_id === organization.id)
+        .map(key => this.formatKey(key))
+    }));
+  }
+
+  /**
+   * Approve or suspend an organization
+   * @param {Object} db - DatabaseService
+   * @param {number} organizationId - Organization id
+   * @param {string} status - One of ORGANIZATION_STATUSES
+   * @param {number|null} registrarId - Registrar making the change
+   * @returns {Promise<Object|null>} - Updated row
+   */
+  static async setOrganizationStatus(db, organizationId, status, registrarId) {
+    if (!Object.values(ORGANIZATION_STATUSES).includes(status)) {
+      throw new Error(`status must be one of: ${Object.values(ORGANIZATION_STATUSES).join(', ')}`);
+    }
+
+    const result = await db.query(
+      `UPDATE verifier_organizations
+       SET status = $1, reviewed_by = $2, reviewed_at = NOW()
+       WHERE id = $3
+       RETURNING *`,
+      [status, registrarId || null, organizationId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Issue a key. The plaintext key is only returned here - it cannot be recovered later.
+   * @param {Object} db - DatabaseService
+   * @param {number} organizationId - Organization id
+   * @param {Object} options - label, scopes, dailyQuota, monthlyQuota, createdBy
+   * @returns {Promise<Object>} - { apiKey, key }
+   */
+  static async issueKey(db, organizationId, options = {}) {
+    const scopes = options.scopes || [API_KEY_SCOPES.LOOKUP];
+    if (!Array.isArray(scopes) || scopes.length === 0 ||
+      scopes.some(scope => !Object.values(API_KEY_SCOPES).includes(scope))) {
+      throw new Error(`scopes must be a non-empty list of: ${Object.values(API_KEY_SCOPES).join(', ')}`);
+    }
+
+    const dailyQuota = this.parseQuota(options.dailyQuota, DEFAULT_DAILY_QUOTA);
+    const monthlyQuota = this.parseQuota(options.monthlyQuota, null);
+
+    const prefix = crypto.randomBytes(4).toString('hex');
+    const apiKey = `${KEY_PREFIX}_${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+
+    const result = await db.query(
+      `INSERT INTO verifier_api_keys
+       (organization_id, key_prefix, key_hash, label, scopes, daily_quota, monthly_quota, status, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [
+        organizationId,
+        prefix,
+        this.hashKey(apiKey),
+        options.label || null,
+        scopes,
+        dailyQuota,
+        monthlyQuota,
+        KEY_STATUSES.ACTIVE,
+        options.createdBy || null
+      ]
+    );
+
+    return { apiKey, key: this.formatKey(result.rows[0]) };
+  }
+
+  /**
+   * Replace a key with a new one carrying the same scopes and quotas. The
+   * old key keeps working for the grace period.
+   * @param {Object} db - DatabaseService
+   * @param {number} keyId - Key to rotate
+   * @param {Object} options - graceHours, createdBy
+   * @returns {Promise<Object|null>} - { apiKey, key, previousKey }, or null when the key cannot be rotated
+   */
+  static async rotateKey(db, keyId, options = {}) {
+    const existing = await this.getKey(db, keyId);
+    if (!existing || existing.status !== KEY_STATUSES.ACTIVE) {
+      return null;
+    }
+
+    const issued = await this.issueKey(db, existing.organization_id, {
+      label: existing.label,
+      scopes: existing.scopes,
+      dailyQuota: existing.daily_quota,
+      monthlyQuota: existing.monthly_quota,
+      createdBy: options.createdBy
+    });
+
+    const requestedGrace = parseFloat(options.graceHours);
+    const graceHours = Number.isNaN(requestedGrace) ? this.getRotationGraceHours() : requestedGrace;
+
+    const result = await db.query(
+      `UPDATE verifier_api_keys
+       SET status = $1, replaced_by = $2, expires_at = NOW() + ($3 * INTERVAL '1 hour')
+       WHERE id = $4
+       RETURNING *`,
+      [KEY_STATUSES.ROTATED, issued.key.id, Math.max(0, graceHours), keyId]
+    );
+
+    return { ...issued, previousKey: this.formatKey(result.rows[0]) };
+  }
+
+  /**
+   * @param {Object} db - DatabaseService
+   * @param {number} keyId - Key to revoke
+   * @param {string} reason - Why
+   * @returns {Promise<Object|null>} - Updated key
+   */
+  static async revokeKey(db, keyId, reason) {
+    const result = await db.query(
+      `UPDATE verifier_api_keys
+       SET status = $1, revoked_at = NOW(), revocation_reason = $2
+       WHERE id = $3 AND status <> $1
+       RETURNING *`,
+      [KEY_STATUSES.REVOKED, reason || null, keyId]
+    );
+
+    return result.rows[0] ? this.formatKey(result.rows[0]) : null;
+  }
+
+  /**
+   * @param {Object} db - DatabaseService
+   * @param {number} keyId - Key id
+   * @returns {Promise<Object|null>} - Key row
+   */
+  static async getKey(db, keyId) {
+    const result = await db.query('SELECT * FROM verifier_api_keys WHERE id = $1', [keyId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find the key a request presents and check it may be used
+   * @param {Object} db - DatabaseService
+   * @param {string} apiKey - Plaintext key
+   * @returns {Promise<Object>} - { key, organization } or { error, statusCode }
+   */
+  static async authenticate(db, apiKey) {
+    const match = /^vk_([0-9a-f]{8})_[A-Za-z0-9_-]+$/.exec(apiKey || '');
+    if (!match) {
+      return { statusCode: 401, error: 'Malformed API key' };
+    }
+
+    const result = await db.query(
+      `SELECT k.*, o.name AS organization_name, o.status AS organization_status
+       FROM verifier_api_keys k
+       JOIN verifier_organizations o ON o.id = k.organization_id
+       WHERE k.key_prefix = $1`,
+      [match[1]]
+    );
+    const key = result.rows[0];
+
+    const presented = Buffer.from(this.hashKey(apiKey));
+    if (!key || !crypto.timingSafeEqual(presented, Buffer.from(key.key_hash))) {
+      return { statusCode: 401, error: 'Invalid API key' };
+    }
+
+    if (key.status === KEY_STATUSES.REVOKED) {
+      return { statusCode: 401, error: 'API key has been revoked' };
+    }
+
+    if (key.status === KEY_STATUSES.ROTATED && key.expires_at && new Date(key.expires_at) <= new Date()) {
+      return { statusCode: 401, error: 'API key has been rotated and the grace period is over' };
+    }
+
+    if (key.organization_status !== ORGANIZATION_STATUSES.ACTIVE) {
+      return { statusCode: 403, error: `Verifier organization is ${key.organization_status}` };
+    }
+
+    return {
+      key,
+      organization: { id: key.organization_id, name: key.organization_name }
+    };
+  }
+
+  /**
+   * Requests made today and this month with a key and the keys in its rotation chain
+   * @param {Object} db - DatabaseService, or a pool client inside a transaction
+   * @param {Object} key - Key row
+   * @returns {Promise<Object>} - { daily: { used, limit }, monthly: { used, limit } }
+   */
+  static async getQuotaUsage(db, key) {
+    const result = await db.query(
+      `${KEY_LINEAGE_SQL}
+       SELECT
+         COALESCE(SUM(request_count) FILTER (WHERE usage_date = (NOW() AT TIME ZONE 'UTC')::date), 0) AS daily,
+         COALESCE(SUM(request_count), 0) AS monthly
+       FROM verifier_api_usage
+       WHERE api_key_id IN (SELECT id FROM lineage)
+         AND usage_date >= DATE_TRUNC('month', NOW() AT TIME ZONE 'UTC')`,
+      [key.id]
+    );
+
+    return {
+      daily: { used: parseInt(result.rows[0].daily), limit: key.daily_quota },
+      monthly: { used: parseInt(result.rows[0].monthly), limit: key.monthly_quota }
+    };
+  }
+
+  /**
+   * Count requests against a key if its quotas allow them. Refused requests
+   * are not counted. The organization row is locked while checking and
+   * counting so concurrent requests - also through the old and new key of a
+   * rotation - cannot all pass the same remaining quota.
+   * @param {Object} db - DatabaseService
+   * @param {Object} key - Key row
+   * @param {string} scope - Scope used
+   * @param {number} units - Requests to count (bulk counts every file)
+   * @returns {Promise<Object>} - { allowed, exceeded ('daily'|'monthly'|null), daily, monthly }
+   */
+  static async consumeQuota(db, key, scope, units = 1) {
+    const client = await db.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      // One check-and-count per organization at a time - the usage rows may not exist yet
+      await client.query('SELECT id FROM verifier_organizations WHERE id = $1 FOR UPDATE', [key.organization_id]);
+
+      const usage = await this.getQuotaUsage(client, key);
+
+      const exceeded = ['daily', 'monthly'].find(period =>
+        usage[period].limit !== null && usage[period].used + units > usage[period].limit
+      ) || null;
+
+      if (exceeded) {
+        await client.query('ROLLBACK');
+        return { allowed: false, exceeded, ...usage };
+      }
+
+      await client.query(
+        `INSERT INTO verifier_api_usage (api_key_id, usage_date, scope, request_count)
+         VALUES ($1, (NOW() AT TIME ZONE 'UTC')::date, $2, $3)
+         ON CONFLICT (api_key_id, usage_date, scope)
+         DO UPDATE SET request_count = verifier_api_usage.request_count + $3`,
+        [key.id, scope, units]
+      );
+
+      await client.query('UPDATE verifier_api_keys SET last_used_at = NOW() WHERE id = $1', [key.id]);
+
+      await client.query('COMMIT');
+
+      usage.daily.used += units;
+      usage.monthly.used += units;
+
+      return { allowed: true, exceeded: null, ...usage };
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Seconds until a quota period resets (midnight UTC, first of the month UTC)
+   * @param {string} period - 'daily' or 'monthly'
+   * @param {Date} now - Current time
+   * @returns {number} - Seconds
+   */
+  static getSecondsUntilReset(period, now = new Date()) {
+    const reset = period === 'monthly'
+      ? Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)
+      : Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+
+    return Math.ceil((reset - now.getTime()) / 1000);
+  }
+
+  /**
+   * Requests per day and scope for a key
+   * @param {Object} db - DatabaseService
+   * @param {Object} key - Key row
+   * @param {Object} range - from, to (YYYY-MM-DD; default the last 30 days)
+   * @returns {Promise<Object>} - Usage report
+   */
+  static async getUsageReport(db, key, range = {}) {
+    const to = range.to ? new Date(range.to) : new Date();
+    const from = range.from ? new Date(range.from) : new Date(to.getTime() - 29 * 24 * 60 * 60 * 1000);
+
+    if (isNaN(from) || isNaN(to)) {
+      throw new Error('from and to must be dates (YYYY-MM-DD)');
+    }
+
+    const result = await db.query(
+      `SELECT usage_date::text AS usage_date, scope, request_count
+       FROM verifier_api_usage
+       WHERE api_key_id = $1 AND usage_date BETWEEN $2::date AND $3::date
+       ORDER BY usage_date ASC, scope ASC`,
+      [key.id, from.toISOString().slice(0, 10), to.toISOString().slice(0, 10)]
+    );
+
+    const days = {};
+    const byScope = {};
+    let total = 0;
+
+    for (const row of result.rows) {
+      const day = row.usage_date;
+      days[day] = days[day] || { date: day, total: 0, byScope: {} };
+      days[day].byScope[row.scope] = row.request_count;
+      days[day].total += row.request_count;
+      byScope[row.scope] = (byScope[row.scope] || 0) + row.request_count;
+      total += row.request_count;
+    }
+
+    const quota = await this.getQuotaUsage(db, key);
+
+    return {
+      key: this.formatKey(key),
+      from: from.toISOString().slice(0, 10),
+      to: to.toISOString().slice(0, 10),
+      total,
+      byScope,
+      days: Object.values(days),
+      quota
+    };
+  }
+
+  /**
+   * @param {string} apiKey - Plaintext key
+   * @returns {string} - SHA-256 hex
+   */
+  static hashKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+  }
+
+  /**
+   * @param {*} value - Requested quota (null or '' for unlimited)
+   * @param {number|null} fallback - Used when no value was given
+   * @returns {number|null} - Requests, or null for unlimited
+   */
+  static parseQuota(value, fallback) {
+    if (value === undefined) {
+      return fallback;
+    }
+
+    if (value === null || value === '') {
+      return null;
+    }
+
+    const quota = parseInt(value);
+    if (!(quota > 0)) {
+      throw new Error('Quotas must be positive numbers of requests');
+    }
+
+    return quota;
+  }
+
+  static getRotationGraceHours() {
+    const hours = parseFloat(process.env.API_KEY_ROTATION_GRACE_HOURS);
+    return Number.isNaN(hours) ? DEFAULT_ROTATION_GRACE_HOURS : hours;
+  }
+
+  /**
+   * Seconds until a verifier may rotate its own key again
+   * @param {Object} key - Key row
+   * @param {Date} now - Current time
+   * @returns {number} - Seconds, 0 when rotation is allowed
+   */
+  static getSecondsUntilSelfRotation(key, now = new Date()) {
+    const hours = parseFloat(process.env.API_KEY_SELF_ROTATION_INTERVAL_HOURS);
+    const intervalHours = Number.isNaN(hours) ? DEFAULT_SELF_ROTATION_INTERVAL_HOURS : hours;
+    const allowedAt = new Date(key.created_at).getTime() + intervalHours * 60 * 60 * 1000;
+
+    return Math.max(0, Math.ceil((allowedAt - now.getTime()) / 1000));
+  }
+
+  /**
+   * Key without its hash
+   * @param {Object} row - verifier_api_keys row
+   * @returns {Object} - Public key details
+   */
+  static formatKey(row) {
+    return {
+      id: row.id,
+      organizationId: row.organization_id,
+      prefix: `${KEY_PREFIX}_${row.key_prefix}`,
+      label: row.label,
+      scopes: row.scopes,
+      dailyQuota: row.daily_quota,
+      monthlyQuota: row.monthly_quota,
+      status: row.status,
+      createdAt: row.created_at,
+      lastUsedAt: row.last_used_at,
+      expiresAt: row.expires_at,
+      replacedBy: row.replaced_by,
+      revokedAt: row.revoked_at,
+      revocationReason: row.revocation_reason
+    };
+  }
+}
+
+module.exports = VerifierApiKeyService;
+module.exports.API_KEY_SCOPES = API_KEY_SCOPES;
+module.exports.ORGANIZATION_STATUSES = ORGANIZATION_STATUSES;
+module.exports.KEY_STATUSES = KEY_STATUSES;
@@ -0,0 +1,229 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const util = require('util');
+const { execFile } = require('child_process');
+const sharp = require('sharp');
+const PerceptualHashService = require('./PerceptualHashService');
+
+const execFilePromise = util.promisify(execFile);
+
+// Pages are rendered with poppler's pdftoppm (poppler-utils package)
+const DEFAULT_PDFTOPPM_PATH = 'pdftoppm';
+
+// Resolution pages are compared at - enough to see a changed digit
+const RASTER_DPI = 100;
+
+// Pages beyond this are not compared
+const MAX_ANALYSIS_PAGES = 20;
+
+const RASTER_TIMEOUT_MS = 60000;
+
+/**
+ * Page-by-page visual comparison of an uploaded PDF with the stored version.
+ * Both are rendered to images and compared block by block (the same
+ * comparison PerceptualHashService uses for image documents), so a verifier
+ * sees which pages and regions changed instead of a guess from file sizes.
+ */
+class VisualDiffService {
+
+  static available = null;
+
+  /**
+   * Whether pdftoppm can be run (checked once)
+   * @returns {Promise<boolean>}
+   */
+  static async isAvailable() {
+    if (this.available === null) {
+      try {
+        await execFilePromise(this.getRasterizerPath(), ['-v'], { timeout: 5000 });
+        this.available = true;
+      } catch (error) {
+        // pdftoppm -v prints its version to stderr and exits 0 or 99 depending on the build
+        this.available = error.code === 99;
+        if (!this.available) {
+          console.log('pdftoppm not found - visual tamper analysis disabled:', error.message);
+        }
+      }
+    }
+
+    return this.available;
+  }
+
+  static getRasterizerPath() {
+    return process.env.PDFTOPPM_PATH || DEFAULT_PDFTOPPM_PATH;
+  }
+
+  /**
+   * Render each page of a PDF
+   * @param {Buffer} pdfBuffer - PDF file
+   * @returns {Promise<Array<Buffer>>} - PNG per page, at most MAX_ANALYSIS_PAGES
+   */
+  static async rasterizePDF(pdfBuffer) {
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'visual-diff-'));
+
+    try {
+      const inputPath = path.join(workDir, 'input.pdf');
+      await fs.writeFile(inputPath, pdfBuffer);
+
+      await execFilePromise(
+        this.getRasterizerPath(),
+        ['-r', String(RASTER_DPI), '-png', '-l', String(MAX_ANALYSIS_PAGES), inputPath, path.join(workDir, 'page')],
+        { timeout: RASTER_TIMEOUT_MS }
+      );
+
+      // page-1.png, page-01.png ... depending on the page count
+      const pageFiles = (await fs.readdir(workDir))
+        .filter(name => /^page-\d+\.png$/.test(name))
+        .sort((a, b) => parseInt(a.match(/\d+/)[0]) - parseInt(b.match(/\d+/)[0]));
+
+      const pages = [];
+      for (const name of pageFiles) {
+        pages.push(await fs.readFile(path.join(workDir, name)));
+      }
+
+      return pages;
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  /**
+   * Stored file an upload should be compared with: the watermarked copy for
+   * watermarked uploads, the processed (QR) copy otherwise
+   * @param {Object} document - Document row
+   * @param {boolean} isWatermarked - Whether the upload carries our watermark metadata
+   * @returns {Object|null} - { version, filePath }
+   */
+  static getReferenceVersion(document, isWatermarked) {
+    if (isWatermarked && document.watermarked_file_path) {
+      return { version: 'watermarked', filePath: document.watermarked_file_path };
+    }
+
+    if (document.processed_file_path) {
+      return { version: 'processed', filePath: document.processed_file_path };
+    }
+
+    if (document.watermarked_file_path) {
+      return { version: 'watermarked', filePath: document.watermarked_file_path };
+    }
+
+    return null;
+  }
+
+  /**
+   * Compare an uploaded PDF with the stored version of a document
+   * @param {Buffer} uploadedBuffer - Uploaded PDF
+   * @param {Object} document - Document row
+   * @param {Object} options - isWatermarked, includeImages (highlighted page PNGs as data URLs)
+   * @returns {Promise<Object>} - Report: pages, changedPages, summary
+   */
+  static async analyzePDF(uploadedBuffer, document, options = {}) {
+    const reference = this.getReferenceVersion(document, options.isWatermarked);
+    if (!reference || path.extname(reference.filePath).toLowerCase() !== '.pdf') {
+      throw new Error('No stored PDF version to compare with');
+    }
+
+    const uploadedPages = await this.rasterizePDF(uploadedBuffer);
+    const referencePages = await this.rasterizePDF(await fs.readFile(reference.filePath));
+
+    const pages = [];
+    const pageCount = Math.max(uploadedPages.length, referencePages.length);
+
+    for (let index = 0; index < pageCount; index++) {
+      const uploadedPage = uploadedPages[index];
+      const referencePage = referencePages[index];
+
+      if (!referencePage) {
+        pages.push({ page: index + 1, status: 'added', regions: [], reason: 'Page is not in the issued document' });
+        continue;
+      }
+
+      if (!uploadedPage) {
+        pages.push({ page: index + 1, status: 'removed', regions: [], reason: 'Page of the issued document is missing' });
+        continue;
+      }
+
+      const comparison = await PerceptualHashService.findEditedRegions(uploadedPage, referencePage);
+      const page = {
+        page: index + 1,
+        status: comparison.edited ? 'changed' : 'identical',
+        regions: comparison.editedRegions,
+        maxBlockDifference: comparison.maxBlockDifference,
+        reason: comparison.reason
+      };
+
+      if (comparison.edited && options.includeImages) {
+        page.diffImage = 'data:image/png;base64,' +
+          (await this.highlightRegions(uploadedPage, comparison.editedRegions)).toString('base64');
+        page.issuedImage = 'data:image/png;base64,' + referencePage.toString('base64');
+      }
+
+      pages.push(page);
+    }
+
+    const changedPages = pages.filter(page => page.status !== 'identical').map(page => page.page);
+
+    return {
+      comparedWith: reference.version,
+      dpi: RASTER_DPI,
+      pageCount: { uploaded: uploadedPages.length, issued: referencePages.length },
+      pagesCompared: Math.min(uploadedPages.length, referencePages.length),
+      maxPages: MAX_ANALYSIS_PAGES,
+      changedPages,
+      pages,
+      summary: this.summarize(pages, uploadedPages.length, referencePages.length)
+    };
+  }
+
+  /**
+   * Outline changed regions in red on the uploaded page
+   * @param {Buffer} pageImage - Rendered uploaded page
+   * @param {Array} regions - Regions as fractions of the page (see findEditedRegions)
+   * @returns {Promise<Buffer>} - PNG
+   */
+  static async highlightRegions(pageImage, regions) {
+    const { width, height } = await sharp(pageImage).metadata();
+    const padding = 4;
+
+    const boxes = regions.map(region => {
+      const x = Math.max(0, Math.round(region.x * width) - padding);
+      const y = Math.max(0, Math.round(region.y * height) - padding);
+      const boxWidth = Math.round(region.width * width) + padding * 2;
+      const boxHeight = Math.round(region.height * height) + padding * 2;
+      return `<rect x="${x}" y="${y}" width="${boxWidth}" height="${boxHeight}" fill="rgba(255,0,0,0.2)" stroke="rgb(220,0,0)" stroke-width="3"/>`;
+    }).join('');
+
+    const overlay = Buffer.from(`<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">${boxes}</svg>`);
+
+    return sharp(pageImage)
+      .composite([{ input: overlay, top: 0, left: 0 }])
+      .png()
+      .toBuffer();
+  }
+
+  /**
+   * One-line description of the differences
+   * @param {Array} pages - Page results
+   * @param {number} uploadedCount - Pages in the upload
+   * @param {number} issuedCount - Pages in the stored version
+   * @returns {string} - Summary
+   */
+  static summarize(pages, uploadedCount, issuedCount) {
+    const changed = pages.filter(page => page.status === 'changed');
+    const parts = [];
+
+    if (uploadedCount !== issuedCount) {
+      parts.push(`page count differs (uploaded: ${uploadedCount}, issued: ${issuedCount})`);
+    }
+
+    if (changed.length > 0) {
+      const regionCount = changed.reduce((total, page) => total + page.regions.length, 0);
+      parts.push(`${changed.length} page(s) changed (${changed.map(page => page.page).join(', ')}), ${regionCount} region(s) in total`);
+    }
+
+    return parts.length > 0 ? parts.join('; ') : 'No visible differences';
+  }
+}
+
+module.exports = VisualDiffService;
@@ -0,0 +1,349 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { PDFDocument, rgb, StandardFonts, degrees } = require('pdf-lib');
+const sharp = require('sharp');
+const PDFMetadataService = require('./PDFMetadataService');
+
+class WatermarkService {
+
+  /**
+   * Create the watermarked "original copy" of a processed document
+   * @param {string} processed_file_path - Path of the processed (QR-embedded) file
+   * @param {string} document_hash - Document hash, used for the output file name
+   * @param {Object} watermarkData - txHash, block_number, timestamp, verified flag and optional label
+   * @returns {Promise<string>} - Path of the watermarked file
+   */
+  static async createWatermarkedDocument(processed_file_path, document_hash, watermarkData) {
+    try {
+      console.log('createWatermarkedDocument called with:', {
+        processed_file_path,
+        document_hash,
+        watermarkData
+      });
+
+      // Check if processed file exists
+      await fs.access(processed_file_path);
+      console.log('Processed file exists:', processed_file_path);
+
+      const ext = path.extname(processed_file_path).toLowerCase();
+      const watermarkedPath = path.join('uploads', 'watermarked', `${document_hash}_verified${ext}`);
+
+      // Create watermarked directory if it doesn't exist
+      await fs.mkdir(path.dirname(watermarkedPath), { recursive: true });
+      console.log('Watermarked directory ensured');
+
+      if (ext === '.pdf') {
+        console.log('Processing PDF for watermarking...');
+        return await this.addWatermarkToPDF(processed_file_path, watermarkedPath, watermarkData, document_hash);
+      } else if (ext === '.png' || ext === '.jpg' || ext === '.jpeg') {
+        console.log('Processing image for watermarking...');
+        return await this.addWatermarkToImage(processed_file_path, watermarkedPath, watermarkData);
+      } else {
+        console.log('Unsupported format for watermarking, copying file...');
+        // For unsupported formats, just copy the file
+        await fs.copyFile(processed_file_path, watermarkedPath);
+        return watermarkedPath;
+      }
+    } catch (error) {
+      console.error('Error in createWatermarkedDocument:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stamp every page of a PDF with the ORIGINAL COPY watermark
+   * @param {string} inputPath - Source PDF path
+   * @param {string} outputPath - Destination PDF path
+   * @param {Object} watermarkData - Watermark details
+   * @param {string} documentHash - Document hash, for the metadata and issuance record
+   * @returns {Promise<string>} - Output path
+   */
+  static async addWatermarkToPDF(inputPath, outputPath, watermarkData, documentHash) {
+    try {
+      console.log('Starting PDF watermarking with stamp style...');
+      console.log('Input path:', inputPath);
+      console.log('Output path:', outputPath);
+
+      const existingPdfBytes = await fs.readFile(inputPath);
+      const pdfDoc = await PDFDocument.load(existingPdfBytes, { ignoreEncryption: true });
+      const pages = pdfDoc.getPages();
+
+      // Embed fonts
+      const boldFont = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+      const regularFont = await pdfDoc.embedFont(StandardFonts.Helvetica);
+
+      console.log(`Adding stamp watermark to ${pages.length} pages...`);
+
+      // Apply watermark to each page
+      for (let i = 0; i < pages.length; i++) {
+        const page = pages[i];
+        const { width, height } = page.getSize();
+
+        console.log(`Processing page ${i + 1}: ${width}x${height}`);
+
+        // CENTER STAMP WATERMARK
+        const centerX = width / 2;
+        const centerY = height / 2;
+
+        // Create circular stamp background
+        const stampRadius = 120;
+
+        // Remove circles - only keep subtle white background for text readability
+        page.drawCircle({
+          x: centerX,
+          y: centerY,
+          size: stampRadius - 15,
+          color: rgb(1, 1, 1),
+          opacity: 0.1  // Keep this very light
+        });
+
+        // Main "ORIGINAL" text in the center - REDUCED OPACITY
+        const mainText = 'ORIGINAL';
+        const mainFontSize = 36;
+        const mainTextWidth = boldFont.widthOfTextAtSize(mainText, mainFontSize);
+
+        page.drawText(mainText, {
+          x: centerX - (mainTextWidth / 2),
+          y: centerY + 15,  // Moved up slightly to center between the two lines
+          size: mainFontSize,
+          font: boldFont,
+          color: rgb(0.8, 0, 0),
+          opacity: 0.2
+        });
+
+        // "COPY" text below - REDUCED OPACITY
+        const copyText = 'COPY';
+        const copyFontSize = 28;
+        const copyTextWidth = boldFont.widthOfTextAtSize(copyText, copyFontSize);
+
+        page.drawText(copyText, {
+          x: centerX - (copyTextWidth / 2),
+          y: centerY - 15,  // Moved down slightly to center between the two lines
+          size: copyFontSize,
+          font: boldFont,
+          color: rgb(0.8, 0, 0),
+          opacity: 0.2
+        });
+
+        // Horizontal lines above and below text - REDUCED OPACITY - ADJUSTED FOR CENTERING
+        page.drawLine({
+          start: { x: centerX - 70, y: centerY + 45 },  // Moved up to accommodate centered text
+          end: { x: centerX + 70, y: centerY + 45 },
+          thickness: 2,
+          color: rgb(0.8, 0, 0),
+          opacity: 0.18
+        });
+
+        page.drawLine({
+          start: { x: centerX - 70, y: centerY - 45 },  // Moved down to accommodate centered text
+          end: { x: centerX + 70, y: centerY - 45 },
+          thickness: 2,
+          color: rgb(0.8, 0, 0),
+          opacity: 0.18
+        });
+
+        // Add "DO NOT MODIFY" around expanded circle - MOVED FURTHER OUT AND BRIGHTER
+        const circularText = `DO NOT MODIFY • ${watermarkData.label || 'BLOCKCHAIN VERIFIED'} •`;
+        const letterFontSize = 11;
+        const angleStep = 360 / circularText.length;
+        const expandedRadius = stampRadius + 40; // Moved 40 points further out
+
+        for (let j = 0; j < circularText.length; j++) {
+          const angle = (j * angleStep) - 90; // Start from top
+          const radian = (angle * Math.PI) / 180;
+          const letterX = centerX + Math.cos(radian) * expandedRadius;
+          const letterY = centerY + Math.sin(radian) * expandedRadius;
+
+          page.drawText(circularText[j], {
+            x: letterX - 3,
+            y: letterY - 3,
+            size: letterFontSize,
+            font: regularFont,
+            color: rgb(0.6, 0, 0),
+            opacity: 0.25,  // Increased from 0.15 to 0.25 to make it brighter
+            rotate: degrees(angle + 90)
+          });
+        }
+
+        // Add verification date inside stamp at bottom - REDUCED OPACITY
+        const dateText = new Date(watermarkData.timestamp).toLocaleDateString();
+        const dateFontSize = 10;
+        const dateTextWidth = regularFont.widthOfTextAtSize(dateText, dateFontSize);
+
+        page.drawText(dateText, {
+          x: centerX - (dateTextWidth / 2),
+          y: centerY - 60,
+          size: dateFontSize,
+          font: regularFont,
+          color: rgb(0.5, 0, 0),
+          opacity: 0.2  // Reduced from 0.6 to 0.2
+        });
+
+
+        // BOTTOM TRANSACTION INFO - REDUCED OPACITY
+        const txText = `${watermarkData.label ? 'Log entry' : 'Transaction'}: ${watermarkData.txHash.substring(0, 16)}...${watermarkData.txHash.substring(watermarkData.txHash.length - 8)}`;
+        const txFontSize = 8;
+        const txTextWidth = regularFont.widthOfTextAtSize(txText, txFontSize);
+
+        page.drawRectangle({
+          x: (width / 2) - (txTextWidth / 2) - 10,
+          y: 15,
+          width: txTextWidth + 20,
+          height: 18,
+          color: rgb(0.95, 0.95, 0.95),
+          borderColor: rgb(0.7, 0.7, 0.7),
+          borderWidth: 0.5,
+          opacity: 0.3  // Reduced from 0.8 to 0.3
+        });
+
+        page.drawText(txText, {
+          x: (width / 2) - (txTextWidth / 2),
+          y: 20,
+          size: txFontSize,
+          font: regularFont,
+          color: rgb(0.4, 0.4, 0.4),
+          opacity: 0.5  // Added opacity to make text more subtle
+        });
+      }
+
+      // Update PDF metadata
+      pdfDoc.setSubject(`${watermarkData.label ? 'Anchored' : 'Blockchain Verified'}: ${watermarkData.txHash}`);
+      pdfDoc.setKeywords([
+        `verification_hash:${documentHash}`,
+        `anchor_reference:${watermarkData.txHash}`,
+        `block_number:${watermarkData.block_number}`,
+        `blockchain_verified:${!watermarkData.label}`,
+        'watermarked:true',
+        'original_copy:stamped'
+      ]);
+      pdfDoc.setProducer('Document Verification System - Original Stamped Copy');
+      pdfDoc.setCreationDate(new Date());
+      pdfDoc.setModificationDate(new Date());
+      pdfDoc.setTitle(`ORIGINAL - Blockchain Verified`);
+
+      // Keep the issuance record written at issue time; older processed files get one now
+      const embedded = PDFMetadataService.read(pdfDoc);
+      PDFMetadataService.embed(pdfDoc, embedded.xmp || embedded.info || await PDFMetadataService.buildRecord(documentHash));
+
+      const pdfBytes = await pdfDoc.save();
+      await fs.writeFile(outputPath, pdfBytes);
+
+      // Verify the file was created and has content
+      const stats = await fs.stat(outputPath);
+      console.log(`✓ Watermarked PDF created successfully: ${outputPath}`);
+      console.log(`  File size: ${stats.size} bytes`);
+      console.log(`  Stamp watermark applied: ORIGINAL COPY (Subtle opacity)`);
+
+      return outputPath;
+
+    } catch (error) {
+      console.error('Error adding watermark to PDF:', error);
+      console.error('Error details:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Overlay the ORIGINAL COPY watermark pattern on an image
+   * @param {string} inputPath - Source image path
+   * @param {string} outputPath - Destination image path
+   * @param {Object} watermarkData - Watermark details
+   * @returns {Promise<string>} - Output path
+   */
+  static async addWatermarkToImage(inputPath, outputPath, watermarkData) {
+    try {
+      console.log('Starting image watermarking...');
+
+      const image = sharp(inputPath);
+      const metadata = await image.metadata();
+
+      if (!metadata.width || !metadata.height) {
+        throw new Error('Invalid image metadata');
+      }
+
+      const { width, height } = metadata;
+
+      // Create a more visible watermark SVG
+      const watermarkSvg = Buffer.from(`
+        <svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+          <defs>
+            <!-- Define a pattern for repeating watermark -->
+            <pattern id="watermarkPattern" x="0" y="0" width="400" height="400" patternUnits="userSpaceOnUse">
+              <text x="200" y="200" 
+                 font-family="Arial, sans-serif" 
+                 font-size="42" 
+                 font-weight="bold" 
+                 fill="rgba(200, 50, 50, 0.3)" 
+                 text-anchor="middle"
+                 transform="rotate(-45 200 200)">
+                ORIGINAL COPY
+              </text>
+              <text x="200" y="240" 
+                 font-family="Arial, sans-serif" 
+                 font-size="42" 
+                 font-weight="bold" 
+                 fill="rgba(200, 50, 50, 0.3)" 
+                 text-anchor="middle"
+                 transform="rotate(-45 200 240)">
+                DO NOT MODIFY
+              </text>
+            </pattern>
+          </defs>
+
+          <!-- Apply the pattern across the entire image -->
+          <rect width="100%" height="100%" fill="url(#watermarkPattern)" />
+
+          <!-- Verification badge at top-right -->
+          <g transform="translate(${width - 180}, 20)">
+            <rect width="160" height="35" rx="5" 
+               fill="rgba(0, 150, 0, 0.85)" 
+               stroke="rgba(0, 100, 0, 1)" 
+               stroke-width="2"/>
+            <text x="80" y="23" 
+               font-family="Arial, sans-serif" 
+               font-size="14" 
+               font-weight="bold" 
+               fill="white" 
+               text-anchor="middle">
+              ${watermarkData.label || 'BLOCKCHAIN VERIFIED'}
+            </text>
+          </g>
+
+          <!-- Block info at bottom -->
+          <text x="${width / 2}" y="${height - 20}" 
+             font-family="Arial, sans-serif" 
+             font-size="12" 
+             fill="rgba(0, 100, 0, 0.8)" 
+             text-anchor="middle"
+             font-weight="bold">
+            ${watermarkData.label ? 'Log entry' : 'Block'} #${watermarkData.block_number} | Verified: ${new Date(watermarkData.timestamp).toLocaleDateString()}
+          </text>
+        </svg>
+      `);
+
+      // Apply watermark with proper blending
+      const watermarkedImage = await image
+        .composite([{
+          input: watermarkSvg,
+          top: 0,
+          left: 0,
+          blend: 'over'
+        }])
+        .toBuffer();
+
+      await fs.writeFile(outputPath, watermarkedImage);
+
+      const stats = await fs.stat(outputPath);
+      console.log(`✓ Watermarked image created successfully: ${outputPath}`);
+      console.log(`  File size: ${stats.size} bytes`);
+
+      return outputPath;
+
+    } catch (error) {
+      console.error('Error adding watermark to image:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = WatermarkService;
@@ -0,0 +1,418 @@
+#!/usr/bin/env node
+// verifier/receiptVerifier.js - Standalone checker for verification receipts
+//
+// Checks a receipt from GET /api/verify/:hash/receipt against a document file
+// and any Ethereum JSON-RPC node. It needs nothing from this server - only
+// Node's crypto module and ethers - so it keeps working if the server is gone.
+//
+//   node verifier/receiptVerifier.js <receipt.json> [document.pdf] [--rpc <url>] [--key <keyId>]
+//
+// Exit code 0 when every check that could run passed, 1 otherwise.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { ethers } = require('ethers');
+
+const RECEIPT_FORMAT = 'prmsu-verification-receipt';
+
+const CONTRACT_ABI = [
+  'event DocumentRegistered(bytes32 indexed documentHash, uint256 timestamp)',
+  'function verifyDocument(bytes32 _documentHash) view returns (bool exists, uint256 timestamp)',
+  'function getRevocationStatus(bytes32 _documentHash) view returns (bool revoked, uint8 reason, uint256 timestamp)',
+  'function getSupersessionStatus(bytes32 _documentHash) view returns (bool superseded, bytes32 supersededBy, uint256 timestamp)'
+];
+
+/**
+ * Canonical JSON - object keys sorted, no whitespace (must match ReceiptService.canonicalize)
+ * @param {*} value - JSON value
+ * @returns {string} - Canonical JSON text
+ */
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return '[' + value.map(canonicalize).join(',') + ']';
+  }
+
+  if (value && typeof value === 'object') {
+    return '{' + Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => JSON.stringify(key) + ':' + canonicalize(value[key]))
+      .join(',') + '}';
+  }
+
+  return JSON.stringify(value);
+}
+
+/**
+ * SHA-256 of the concatenated inputs
+ * @param {...Buffer} parts - Byte strings
+ * @returns {string} - 0x-prefixed hex digest
+ */
+function sha256(...parts) {
+  return '0x' + crypto.createHash('sha256').update(Buffer.concat(parts)).digest('hex');
+}
+
+/**
+ * @param {string} hex - 0x-prefixed hex string
+ * @returns {Buffer} - Bytes
+ */
+function toBytes(hex) {
+  return Buffer.from(hex.replace(/^0x/, ''), 'hex');
+}
+
+/**
+ * Key id of an Ed25519 public key - SHA-256 of its SPKI DER encoding
+ * @param {Object} publicKey - KeyObject
+ * @returns {string} - Key id
+ */
+function keyIdOf(publicKey) {
+  return sha256(publicKey.export({ type: 'spki', format: 'der' }));
+}
+
+/**
+ * Check the server's signature over the receipt body
+ * @param {Object} signedReceipt - { receipt, signature }
+ * @param {string} trustedKeyId - Key id to pin, or null to accept the embedded key
+ * @returns {Object} - Check result
+ */
+function checkReceiptSignature(signedReceipt, trustedKeyId) {
+  const { receipt, signature } = signedReceipt;
+  const publicKey = crypto.createPublicKey(signature.publicKey);
+  const keyId = keyIdOf(publicKey);
+
+  if (keyId !== signature.keyId) {
+    return { ok: false, detail: 'Embedded public key does not match the key id' };
+  }
+
+  if (trustedKeyId && trustedKeyId.toLowerCase() !== keyId) {
+    return { ok: false, detail: `Signed by ${keyId}, expected ${trustedKeyId}` };
+  }
+
+  const valid = crypto.verify(
+    null,
+    Buffer.from(canonicalize(receipt), 'utf8'),
+    publicKey,
+    Buffer.from(signature.value, 'base64')
+  );
+
+  return {
+    ok: valid,
+    detail: valid
+      ? `Signed by key ${keyId}${trustedKeyId ? ' (pinned)' : ' (not pinned - pass --key to pin it)'}`
+      : 'Receipt signature is invalid - the receipt was modified'
+  };
+}
+
+/**
+ * Match the file against the hashes of the variants the issuer handed out
+ * @param {Object} receipt - Receipt body
+ * @param {Buffer} fileBuffer - Document file
+ * @returns {Object} - Check result
+ */
+function checkFile(receipt, fileBuffer) {
+  const fileHash = ethers.keccak256(fileBuffer);
+  const fileHashes = receipt.document.fileHashes;
+  const variant = ['original', 'processed', 'watermarked']
+    .find(name => fileHashes[name] && fileHashes[name].toLowerCase() === fileHash.toLowerCase());
+
+  return {
+    ok: !!variant,
+    detail: variant
+      ? `File matches the ${variant} copy (${fileHash})`
+      : `File hash ${fileHash} matches none of the issued copies - the file was altered or is a different document`
+  };
+}
+
+/**
+ * Recompute a batch root from the document hash (see MerkleService)
+ * @param {Object} receipt - Receipt body
+ * @returns {Object} - Check result
+ */
+function checkBatchProof(receipt) {
+  const { batch } = receipt.anchor;
+  const hashPair = (a, b) => {
+    const [left, right] = a.toLowerCase() <= b.toLowerCase() ? [a, b] : [b, a];
+    return ethers.keccak256(ethers.concat([left, right]));
+  };
+
+  const root = (batch.proof || []).reduce(hashPair, ethers.keccak256(receipt.document.documentHash));
+  const ok = root.toLowerCase() === batch.merkleRoot.toLowerCase() &&
+    batch.merkleRoot.toLowerCase() === receipt.anchor.anchoredHash.toLowerCase();
+
+  return {
+    ok,
+    detail: ok
+      ? `Document is leaf ${batch.leafIndex} of batch root ${batch.merkleRoot}`
+      : 'Merkle proof does not lead to the anchored batch root'
+  };
+}
+
+/**
+ * Check the anchor against a JSON-RPC node
+ * @param {Object} receipt - Receipt body
+ * @param {string} rpcUrl - JSON-RPC endpoint
+ * @returns {Promise<Array>} - Check results
+ */
+async function checkChain(receipt, rpcUrl) {
+  const anchor = receipt.anchor;
+  const provider = new ethers.JsonRpcProvider(rpcUrl);
+  const contract = new ethers.Contract(anchor.contractAddress, CONTRACT_ABI, provider);
+  const checks = [];
+
+  const network = await provider.getNetwork();
+  const chainOk = Number(network.chainId) === anchor.chainId;
+  checks.push({
+    name: 'chain',
+    ok: chainOk,
+    detail: chainOk
+      ? `Connected to chain ${anchor.chainId}`
+      : `Node is on chain ${network.chainId}, receipt is for chain ${anchor.chainId}`
+  });
+
+  if (!chainOk) {
+    return checks;
+  }
+
+  const txReceipt = await provider.getTransactionReceipt(anchor.transactionHash);
+  const registered = txReceipt && txReceipt.status === 1 &&
+    txReceipt.to && txReceipt.to.toLowerCase() === anchor.contractAddress.toLowerCase() &&
+    txReceipt.logs.some(log => {
+      try {
+        const parsed = contract.interface.parseLog(log);
+        return parsed && parsed.name === 'DocumentRegistered' &&
+          parsed.args.documentHash.toLowerCase() === anchor.anchoredHash.toLowerCase();
+      } catch (error) {
+        return false;
+      }
+    });
+
+  if (registered && anchor.signerAddress && txReceipt.from.toLowerCase() !== anchor.signerAddress.toLowerCase()) {
+    checks.push({
+      name: 'transaction',
+      ok: false,
+      detail: `Transaction was sent by ${txReceipt.from}, receipt names signer ${anchor.signerAddress}`
+    });
+  } else if (registered) {
+    const latestBlock = await provider.getBlockNumber();
+    const sameBlock = txReceipt.blockNumber === anchor.blockNumber;
+    checks.push({
+      name: 'transaction',
+      ok: true,
+      detail: `Registered in block ${txReceipt.blockNumber} by ${txReceipt.from}` +
+        (sameBlock ? '' : ` (receipt recorded block ${anchor.blockNumber} - re-mined after a reorg)`) +
+        `, ${latestBlock - txReceipt.blockNumber + 1} confirmations`
+    });
+  } else {
+    checks.push({
+      name: 'transaction',
+      ok: false,
+      detail: `Transaction ${anchor.transactionHash} did not register the hash on this contract`
+    });
+  }
+
+  const [exists] = await contract.verifyDocument(anchor.anchoredHash);
+  checks.push({
+    name: 'contract',
+    ok: exists,
+    detail: exists ? 'Contract reports the hash as registered' : 'Contract does not know the anchored hash'
+  });
+
+  // Revocation is tracked per document, also for batched documents
+  const [revoked] = await contract.getRevocationStatus(receipt.document.documentHash);
+  checks.push({
+    name: 'revocation',
+    ok: !revoked,
+    detail: revoked ? 'Document has been REVOKED by the issuer' : 'Not revoked'
+  });
+
+  // A reissued document replaces this one - the receipt is for an outdated version
+  const [superseded, supersededBy] = await contract.getSupersessionStatus(receipt.document.documentHash);
+  checks.push({
+    name: 'supersession',
+    ok: !superseded,
+    detail: superseded ? `Document has been SUPERSEDED by ${supersededBy}` : 'Current version'
+  });
+
+  return checks;
+}
+
+/**
+ * Check a transparency log anchor: entry hash, inclusion proof and tree head signature
+ * @param {Object} receipt - Receipt body
+ * @returns {Array} - Check results
+ */
+function checkTransparencyLog(receipt) {
+  const { entry, treeHead, auditPath, logKey } = receipt.anchor;
+
+  const time = Buffer.alloc(8);
+  time.writeBigUInt64BE(BigInt(new Date(entry.loggedAt).getTime()));
+  const entryHash = sha256(toBytes(entry.prevEntryHash), toBytes(receipt.document.documentHash), time);
+  const leafHash = sha256(Buffer.from([0x00]), toBytes(entryHash));
+  const hashChildren = (left, right) => sha256(Buffer.from([0x01]), toBytes(left), toBytes(right));
+
+  // RFC 6962 inclusion proof verification
+  let fn = entry.leafIndex;
+  let sn = treeHead.treeSize - 1;
+  let r = leafHash;
+  let pathOk = entry.leafIndex < treeHead.treeSize;
+
+  for (const p of auditPath) {
+    if (!pathOk || sn === 0) {
+      pathOk = false;
+      break;
+    }
+    if (fn % 2 === 1 || fn === sn) {
+      r = hashChildren(p, r);
+      while (fn % 2 === 0 && fn !== 0) {
+        fn = Math.floor(fn / 2);
+        sn = Math.floor(sn / 2);
+      }
+    } else {
+      r = hashChildren(r, p);
+    }
+    fn = Math.floor(fn / 2);
+    sn = Math.floor(sn / 2);
+  }
+
+  const included = pathOk && sn === 0 && r === treeHead.rootHash && entryHash === entry.entryHash;
+
+  const logPublicKey = crypto.createPublicKey(logKey.publicKey);
+  const message = Buffer.from(
+    `tree_size:${treeHead.treeSize}\nroot_hash:${treeHead.rootHash}\ntimestamp:${treeHead.timestamp}`,
+    'utf8'
+  );
+  const signed = keyIdOf(logPublicKey) === treeHead.keyId &&
+    crypto.verify(null, message, logPublicKey, Buffer.from(treeHead.signature, 'base64'));
+
+  return [
+    {
+      name: 'log_inclusion',
+      ok: included,
+      detail: included
+        ? `Entry ${entry.leafIndex} is included in the log tree of size ${treeHead.treeSize}`
+        : 'Log entry is not included under the signed tree head'
+    },
+    {
+      name: 'log_signature',
+      ok: signed,
+      detail: signed ? `Tree head signed by log key ${treeHead.keyId}` : 'Tree head signature is invalid'
+    }
+  ];
+}
+
+/**
+ * Recover the registrar wallet that signed the issuance record
+ * @param {Object} receipt - Receipt body
+ * @returns {Object} - Check result
+ */
+function checkIssuerSignature(receipt) {
+  const issuer = receipt.issuerSignature;
+
+  try {
+    const signer = ethers.verifyTypedData(issuer.domain, issuer.types, issuer.message, issuer.signature);
+    const ok = signer.toLowerCase() === issuer.signerAddress.toLowerCase() &&
+      issuer.message.documentHash.toLowerCase() === receipt.document.documentHash.toLowerCase();
+
+    return {
+      ok,
+      detail: ok ? `Issuance signed by registrar wallet ${signer}` : `Issuance signature recovers to ${signer}`
+    };
+  } catch (error) {
+    return { ok: false, detail: `Issuance signature could not be checked: ${error.message}` };
+  }
+}
+
+/**
+ * Verify a signed receipt
+ * @param {Object} signedReceipt - { receipt, signature } as returned by the receipt endpoint
+ * @param {Object} options - file (Buffer), rpcUrl, trustedKeyId
+ * @returns {Promise<Object>} - { valid, checks }
+ */
+async function verifyReceipt(signedReceipt, options = {}) {
+  const { receipt } = signedReceipt;
+  const checks = [];
+
+  if (!receipt || receipt.format !== RECEIPT_FORMAT) {
+    return { valid: false, checks: [{ name: 'format', ok: false, detail: 'Not a verification receipt' }] };
+  }
+
+  checks.push({ name: 'signature', ...checkReceiptSignature(signedReceipt, options.trustedKeyId || null) });
+
+  if (options.file) {
+    checks.push({ name: 'file', ...checkFile(receipt, options.file) });
+  }
+
+  if (receipt.issuerSignature) {
+    checks.push({ name: 'issuer_signature', ...checkIssuerSignature(receipt) });
+  }
+
+  // Time-bound documents (certificates of enrollment etc.) stop being valid at expiresAt
+  if (receipt.document.expiresAt) {
+    const expired = Date.now() >= Date.parse(receipt.document.expiresAt);
+    checks.push({
+      name: 'expiry',
+      ok: !expired,
+      detail: expired ? `Document EXPIRED on ${receipt.document.expiresAt}` : `Valid until ${receipt.document.expiresAt}`
+    });
+  }
+
+  if (receipt.anchor.backend === 'transparency_log') {
+    checks.push(...checkTransparencyLog(receipt));
+  } else {
+    if (receipt.anchor.batch) {
+      checks.push({ name: 'batch_proof', ...checkBatchProof(receipt) });
+    }
+
+    if (options.rpcUrl) {
+      try {
+        checks.push(...await checkChain(receipt, options.rpcUrl));
+      } catch (error) {
+        checks.push({ name: 'chain', ok: false, detail: `Could not query the node: ${error.message}` });
+      }
+    } else {
+      checks.push({ name: 'chain', ok: false, detail: 'No --rpc node given - the on-chain anchor was not checked' });
+    }
+  }
+
+  return {
+    valid: checks.every(check => check.ok),
+    documentHash: receipt.document.documentHash,
+    checks
+  };
+}
+
+module.exports = { verifyReceipt, canonicalize };
+
+// Command line entry point
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = name => {
+    const index = args.indexOf(name);
+    return index >= 0 ? args.splice(index, 2)[1] : null;
+  };
+
+  const rpcUrl = option('--rpc') || process.env.BLOCKCHAIN_URL || null;
+  const trustedKeyId = option('--key');
+  const [receiptPath, filePath] = args;
+
+  if (!receiptPath) {
+    console.error('Usage: node verifier/receiptVerifier.js <receipt.json> [document.pdf] [--rpc <url>] [--key <keyId>]');
+    process.exit(1);
+  }
+
+  const signedReceipt = JSON.parse(fs.readFileSync(receiptPath, 'utf8'));
+  const file = filePath ? fs.readFileSync(filePath) : null;
+
+  verifyReceipt(signedReceipt, { file, rpcUrl, trustedKeyId })
+    .then(result => {
+      console.log(`Document ${result.documentHash || 'unknown'}`);
+      for (const check of result.checks) {
+        console.log(`  ${check.ok ? '✅' : '❌'} ${check.name}: ${check.detail}`);
+      }
+      console.log(result.valid ? 'RECEIPT VALID' : 'RECEIPT NOT VALID');
+      process.exit(result.valid ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Verification failed:', error.message);
+      process.exit(1);
+    });
+}
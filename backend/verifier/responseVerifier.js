@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+// verifier/responseVerifier.js - Offline checker for signed (JWS) verification responses
+//
+// Checks a compact JWS returned by /api/verify endpoints (Accept: application/jose
+// or ?format=jws) against the institution's JWKS. Keep a copy of the JWKS from
+// /.well-known/jwks.json next to the stored responses - nothing else from this
+// server is needed, only Node's crypto module.
+//
+//   node verifier/responseVerifier.js <response.jws> <jwks.json> [--key <kid>]
+//
+// Exit code 0 when the signature is valid, 1 otherwise.
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const RESPONSE_FORMAT = 'prmsu-verification-response';
+
+/**
+ * @param {string} part - base64url segment
+ * @returns {Object} - Parsed JSON
+ */
+function decodeSegment(part) {
+  return JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+}
+
+/**
+ * Verify a compact JWS verification response
+ * @param {string} jws - header.payload.signature
+ * @param {Object} jwks - { keys: [JWK] }
+ * @param {Object} options - trustedKeyId to accept only one key
+ * @returns {Object} - { valid, payload, checks }
+ */
+function verifyResponse(jws, jwks, options = {}) {
+  const checks = [];
+  const parts = String(jws).trim().split('.');
+
+  if (parts.length !== 3) {
+    return { valid: false, payload: null, checks: [{ name: 'format', ok: false, detail: 'Not a compact JWS' }] };
+  }
+
+  let header;
+  let payload;
+  try {
+    header = decodeSegment(parts[0]);
+    payload = decodeSegment(parts[1]);
+  } catch (error) {
+    return { valid: false, payload: null, checks: [{ name: 'format', ok: false, detail: 'JWS header or payload is not JSON' }] };
+  }
+
+  checks.push({
+    name: 'format',
+    ok: payload.format === RESPONSE_FORMAT,
+    detail: payload.format === RESPONSE_FORMAT ? `${RESPONSE_FORMAT} v${payload.version}` : 'Not a verification response'
+  });
+
+  const jwk = (jwks.keys || []).find(key => key.kid === header.kid);
+
+  if (header.alg !== 'EdDSA') {
+    checks.push({ name: 'signature', ok: false, detail: `Unsupported algorithm ${header.alg}` });
+  } else if (!jwk) {
+    checks.push({ name: 'signature', ok: false, detail: `Key ${header.kid} is not in the JWKS` });
+  } else if (options.trustedKeyId && options.trustedKeyId.toLowerCase() !== header.kid.toLowerCase()) {
+    checks.push({ name: 'signature', ok: false, detail: `Signed by ${header.kid}, expected ${options.trustedKeyId}` });
+  } else {
+    const valid = crypto.verify(
+      null,
+      Buffer.from(`${parts[0]}.${parts[1]}`, 'ascii'),
+      crypto.createPublicKey({ key: jwk, format: 'jwk' }),
+      Buffer.from(parts[2], 'base64url')
+    );
+
+    checks.push({
+      name: 'signature',
+      ok: valid,
+      detail: valid ? `Signed by key ${header.kid}` : 'Signature is invalid - the response was modified'
+    });
+  }
+
+  return {
+    valid: checks.every(check => check.ok),
+    payload,
+    checks
+  };
+}
+
+module.exports = { verifyResponse };
+
+// Command line entry point
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const keyIndex = args.indexOf('--key');
+  const trustedKeyId = keyIndex >= 0 ? args.splice(keyIndex, 2)[1] : null;
+  const [jwsPath, jwksPath] = args;
+
+  if (!jwsPath || !jwksPath) {
+    console.error('Usage: node verifier/responseVerifier.js <response.jws> <jwks.json> [--key <kid>]');
+    process.exit(1);
+  }
+
+  const result = verifyResponse(
+    fs.readFileSync(jwsPath, 'utf8'),
+    JSON.parse(fs.readFileSync(jwksPath, 'utf8')),
+    { trustedKeyId }
+  );
+
+  for (const check of result.checks) {
+    console.log(`  ${check.ok ? '✅' : '❌'} ${check.name}: ${check.detail}`);
+  }
+
+  if (result.payload) {
+    const { payload } = result;
+    console.log(`Issued by ${payload.issuerName} (${payload.iss}) at ${payload.verifiedAt}`);
+    const results = payload.results || [payload];
+    for (const item of results) {
+      const evidence = item.evidence;
+      const anchor = !evidence ? 'not anchored' : evidence.transactionHash
+        ? `${evidence.anchorBackend} tx ${evidence.transactionHash} (chain ${evidence.chainId}, block ${evidence.blockNumber})`
+        : evidence.anchorBackend;
+      console.log(`  ${item.file ? item.file + ': ' : ''}${item.verificationStatus} ${item.documentHash || ''} - ${anchor}`);
+    }
+  }
+
+  console.log(result.valid ? 'RESPONSE SIGNATURE VALID' : 'RESPONSE SIGNATURE NOT VALID');
+  process.exit(result.valid ? 0 : 1);
+}